@@ -10,7 +10,13 @@ import hpp from 'hpp';
 import compression from 'compression';
 import connectDB from './config/database.js';
 import cron from 'node-cron';
-import { updateShiprocketOrderStatuses } from './utils/shiprocket.js';
+import { updateShiprocketOrderStatuses } from './utils/shipmentTracking.js';
+import { processFulfilmentJobs } from './utils/fulfilment.js';
+import { processPendingWebhookEvents } from './utils/razorpayWebhook.js';
+import { runScheduledReconciliation } from './utils/reconciliation.js';
+import { expireUnpaidOrders } from './utils/paymentExpiry.js';
+import { processAbandonedCarts } from './utils/abandonedCart.js';
+import webhookRoutes from './routes/webhook.routes.js';
 
 // Load environment variables
 dotenv.config();
@@ -41,11 +47,15 @@ const corsOptions = {
     preflightContinue: false,
     optionsSuccessStatus: 204,
     credentials: true,
-    allowedHeaders: ['Content-Type', 'Authorization']
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Cart-Token']
 };
 
 app.use(cors(corsOptions));
 
+// Webhooks come ahead of the rate limit and the 10kb body limit: Razorpay and Shiprocket send
+// bursts of events from a few IPs, and a payload can be larger than 10kb
+app.use('/api/v1/webhooks', express.json({ limit: '1mb' }), webhookRoutes);
+
 // Rate limiting
 const limiter = rateLimit({
     windowMs: 15 * 60 * 1000, // 15 minutes
@@ -106,10 +116,13 @@ import productRoutes from './routes/product.routes.js';
 import userRoutes from './routes/user.routes.js';
 import orderRoutes from './routes/order.routes.js';
 import paymentRoutes from './routes/payment.routes.js';
-import webhookRoutes from './routes/webhook.routes.js';
 import qrVideoRoutes from './routes/qrVideo.routes.js';
 import adminRoutes from './routes/admin.routes.js';
 import impactMetricRoutes from './routes/impactMetric.routes.js';
+import couponRoutes from './routes/coupon.routes.js';
+import cartRoutes from './routes/cart.routes.js';
+import reviewRoutes from './routes/review.routes.js';
+import returnRoutes from './routes/return.routes.js';
 
 
 
@@ -119,10 +132,13 @@ app.use('/api/v1/products', productRoutes);
 app.use('/api/v1/users', userRoutes);
 app.use('/api/v1/orders', orderRoutes);
 app.use('/api/v1/payments', paymentRoutes);
-app.use('/api/v1/webhooks', webhookRoutes);
 app.use('/api/v1/qr-videos', qrVideoRoutes);
 app.use('/api/v1/admin', adminRoutes);
 app.use('/api/v1/impact-metrics', impactMetricRoutes);
+app.use('/api/v1/coupons', couponRoutes);
+app.use('/api/v1/cart', cartRoutes);
+app.use('/api/v1/reviews', reviewRoutes);
+app.use('/api/v1/returns', returnRoutes);
 
 
 
@@ -211,4 +227,32 @@ cron.schedule('*/30 * * * *', async () => {
     await updateShiprocketOrderStatuses();
 });
 
+// Retry failed Shiprocket order pushes every 10 minutes
+cron.schedule('*/10 * * * *', async () => {
+    console.log('Running fulfilment retry cron job...');
+    await processFulfilmentJobs();
+});
+
+// Finish Razorpay webhook events that were stored but never processed, every 5 minutes
+cron.schedule('*/5 * * * *', async () => {
+    await processPendingWebhookEvents();
+});
+
+// Send retry links for unpaid online orders and cancel those past their grace period, every 5 minutes
+cron.schedule('*/5 * * * *', async () => {
+    await expireUnpaidOrders();
+});
+
+// Reconcile the last day of Razorpay payments and settlements against orders every hour
+cron.schedule('45 * * * *', async () => {
+    console.log('Running payment reconciliation cron job...');
+    await runScheduledReconciliation();
+});
+
+// Send abandoned cart and unpaid order reminders every hour
+cron.schedule('15 * * * *', async () => {
+    console.log('Running abandoned cart reminder cron job...');
+    await processAbandonedCarts();
+});
+
 export default app;
\ No newline at end of file
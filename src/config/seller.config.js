@@ -0,0 +1,15 @@
+// Seller details printed on tax invoices
+export const sellerConfig = {
+  name: process.env.SELLER_NAME || 'Yellow Tea',
+  legalName: process.env.SELLER_LEGAL_NAME || process.env.SELLER_NAME || 'Yellow Tea',
+  address: process.env.SELLER_ADDRESS || '123 Tea Garden',
+  city: process.env.SELLER_CITY || 'Krishnanagar',
+  state: process.env.SELLER_STATE || 'West Bengal',
+  stateCode: process.env.SELLER_STATE_CODE || '19',
+  pincode: process.env.SELLER_PINCODE || '741165',
+  gstin: process.env.SELLER_GSTIN || '',
+  email: process.env.SELLER_EMAIL || 'support@yellowtea.com',
+  phone: process.env.SELLER_PHONE || '+91 1234567890',
+  website: process.env.SELLER_WEBSITE || 'www.yellowtea.com',
+  invoicePrefix: process.env.INVOICE_PREFIX || 'YT',
+};
@@ -3,4 +3,12 @@ export const shiprocketConfig = {
   apiKey: process.env.SHIPROCKET_API_KEY || 'your-shiprocket-api-key',
   apiSecret: process.env.SHIPROCKET_API_SECRET || 'your-shiprocket-api-secret',
   baseUrl: process.env.SHIPROCKET_BASE_URL || 'https://apiv2.shiprocket.in/v1/external',
+  // Token set on the tracking webhook in the Shiprocket panel; sent back in the x-api-key header
+  webhookToken: process.env.SHIPROCKET_WEBHOOK_TOKEN,
+  // Client resilience
+  timeoutMs: Number(process.env.SHIPROCKET_TIMEOUT_MS) || 10000,
+  maxRetries: Number(process.env.SHIPROCKET_MAX_RETRIES ?? 2),
+  // Consecutive failures that open the circuit, and how long it stays open
+  circuitThreshold: Number(process.env.SHIPROCKET_CIRCUIT_THRESHOLD) || 5,
+  circuitCooldownMs: Number(process.env.SHIPROCKET_CIRCUIT_COOLDOWN_MS) || 60000,
 }; 
\ No newline at end of file
@@ -7,6 +7,11 @@ import AdminLog from '../models/adminLog.model.js';
 import slugify from 'slugify';
 import uploadToCloudinary from '../utils/uploadToCloudinary.js';
 import { sendUserNotification } from '../utils/responseHandler.js';
+import { getSettings, updateSettings } from '../utils/settings.js';
+import { releaseStock, adjustStock } from '../utils/inventory.js';
+import { releaseCoupon } from '../utils/coupon.js';
+import { getRecoveryStats } from '../utils/abandonedCart.js';
+import { getShiprocketCircuitState } from '../utils/shiprocket.js';
 import mongoose from 'mongoose';
 
 // ==================== DASHBOARD ====================
@@ -307,6 +312,11 @@ export const updateOrderStatus = async (req, res, next) => {
 
         await order.save();
 
+        if (status === 'cancelled') {
+            await releaseCoupon(order.couponCode, order._id);
+            await releaseStock(order);
+        }
+
         // Send notification to user
         await sendUserNotification(order.user, {
             type: `order_${status}`,
@@ -443,6 +453,16 @@ export const createProduct = async (req, res, next) => {
         }
 
         req.body.slug = slugify(name, { lower: true });
+        delete req.body.reservedStock;
+
+        // Variants arrive as a JSON string in multipart requests
+        if (typeof req.body.variants === 'string') {
+            try {
+                req.body.variants = JSON.parse(req.body.variants);
+            } catch (error) {
+                return next(new ApiError(400, 'Variants must be a valid JSON array'));
+            }
+        }
 
         if (req.files && req.files.length > 0) {
             console.log('Files received for create:', req.files.length);
@@ -471,6 +491,14 @@ export const updateProduct = async (req, res, next) => {
             return next(new ApiError(400, 'Invalid product ID'));
         }
         const updateData = req.body;
+        // Stock changes go through the stock adjustment endpoint so they carry a reason,
+        // and variants have their own endpoints so their stock is not overwritten here
+        delete updateData.stock;
+        delete updateData.reservedStock;
+        delete updateData.variants;
+        // Ratings are calculated from approved reviews
+        delete updateData.rating;
+        delete updateData.reviewCount;
         console.log('Original updateData:', JSON.stringify(updateData, null, 2));
         console.log('req.files:', req.files ? req.files.length : 'No files');
         if (req.files && req.files.length > 0) {
@@ -689,26 +717,6 @@ export const updateProduct = async (req, res, next) => {
             }
         }
 
-        // Handle rating field
-        if (finalSanitizedData.rating) {
-            if (finalSanitizedData.rating === "" || finalSanitizedData.rating === '""') {
-                finalSanitizedData.rating = undefined;
-            } else {
-                const num = Number(finalSanitizedData.rating);
-                finalSanitizedData.rating = isNaN(num) ? undefined : num;
-            }
-        }
-
-        // Handle reviewCount field
-        if (finalSanitizedData.reviewCount) {
-            if (finalSanitizedData.reviewCount === "" || finalSanitizedData.reviewCount === '""') {
-                finalSanitizedData.reviewCount = undefined;
-            } else {
-                const num = Number(finalSanitizedData.reviewCount);
-                finalSanitizedData.reviewCount = isNaN(num) ? undefined : num;
-            }
-        }
-
         if (finalSanitizedData.name) {
             finalSanitizedData.slug = slugify(finalSanitizedData.name, { lower: true });
         }
@@ -806,6 +814,232 @@ export const getProductStats = async (req, res, next) => {
     }
 };
 
+/**
+ * @desc    Adjust product stock with a reason
+ * @route   PUT /api/v1/admin/products/:id/stock
+ * @access  Admin
+ */
+export const adjustProductStock = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const { adjustment, stock, reason, variantId } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return next(new ApiError(400, 'Invalid product ID'));
+        }
+
+        if (!reason || !reason.toString().trim()) {
+            return next(new ApiError(400, 'Please provide a reason for the stock adjustment'));
+        }
+
+        const product = await Product.findById(id);
+        if (!product) return next(new ApiError(404, 'Product not found'));
+
+        let variant = null;
+        if (variantId) {
+            variant = product.findVariant(variantId);
+            if (!variant) return next(new ApiError(404, 'Variant not found'));
+        }
+        const currentStock = variant ? variant.stock : product.stock;
+
+        // Accept either a relative adjustment or an absolute stock count from a stock take
+        let change;
+        if (stock !== undefined && stock !== null && stock !== '') {
+            const target = Number(stock);
+            if (!Number.isInteger(target) || target < 0) {
+                return next(new ApiError(400, 'Stock must be a whole number of at least 0'));
+            }
+            change = target - currentStock;
+        } else {
+            change = Number(adjustment);
+            if (!Number.isInteger(change) || change === 0) {
+                return next(new ApiError(400, 'Please provide a non-zero whole number adjustment or a stock count'));
+            }
+        }
+
+        const updatedProduct = await adjustStock(id, change, variant ? variant._id : null);
+        if (!updatedProduct) {
+            return next(new ApiError(400, `Cannot remove ${-change} unit(s); only ${currentStock} in stock`));
+        }
+
+        const newStock = variant ? updatedProduct.findVariant(variant._id).stock : updatedProduct.stock;
+
+        await AdminLog.createLog(req.user.id, 'ADJUST_STOCK', 'products', product._id, {
+            product: product.name,
+            variant: variant ? { id: variant._id, sku: variant.sku, name: variant.name } : undefined,
+            previousStock: newStock - change,
+            adjustment: change,
+            newStock,
+            reason: reason.toString().trim()
+        }, req);
+
+        res.status(200).json(new ApiResponse(200, updatedProduct, 'Product stock adjusted successfully'));
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Pick the editable variant fields out of a (possibly multipart) request body
+const parseVariantBody = (body) => {
+    const allowedFields = ['sku', 'name', 'packaging', 'size', 'weight', 'price', 'compareAtPrice', 'images', 'isActive'];
+    const numberFields = ['weight', 'price', 'compareAtPrice'];
+    const data = {};
+
+    for (const field of allowedFields) {
+        if (body[field] === undefined || body[field] === '') continue;
+        let value = body[field];
+        if (numberFields.includes(field)) {
+            value = Number(value);
+        } else if (field === 'isActive' && typeof value === 'string') {
+            value = value === 'true';
+        } else if (field === 'images' && typeof value === 'string') {
+            try {
+                value = JSON.parse(value);
+            } catch (error) {
+                value = [value];
+            }
+        }
+        data[field] = value;
+    }
+
+    return data;
+};
+
+/**
+ * @desc    Add a variant to a product
+ * @route   POST /api/v1/admin/products/:id/variants
+ * @access  Admin
+ */
+export const addProductVariant = async (req, res, next) => {
+    try {
+        const product = await Product.findById(req.params.id);
+        if (!product) return next(new ApiError(404, 'Product not found'));
+
+        const variantData = parseVariantBody(req.body);
+
+        // Opening stock may be set when the variant is created; later changes go through stock adjustment
+        if (req.body.stock !== undefined && req.body.stock !== '') {
+            variantData.stock = Number(req.body.stock);
+        }
+
+        if (variantData.sku) {
+            const skuInUse = await Product.findOne({ 'variants.sku': variantData.sku.toString().trim().toUpperCase() });
+            if (skuInUse) {
+                return next(new ApiError(400, 'A variant with this SKU already exists'));
+            }
+        }
+
+        if (req.files && req.files.length > 0) {
+            const uploadedImages = await Promise.all(req.files.map(file => uploadToCloudinary(file, 'products')));
+            variantData.images = [...(variantData.images || []), ...uploadedImages.map(img => img.url)];
+        }
+
+        product.variants.push(variantData);
+        await product.save();
+
+        res.status(201).json(new ApiResponse(201, product, 'Product variant added successfully'));
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Update a product variant
+ * @route   PUT /api/v1/admin/products/:id/variants/:variantId
+ * @access  Admin
+ */
+export const updateProductVariant = async (req, res, next) => {
+    try {
+        const { id, variantId } = req.params;
+
+        const product = await Product.findById(id);
+        if (!product) return next(new ApiError(404, 'Product not found'));
+
+        const variant = product.findVariant(variantId);
+        if (!variant) return next(new ApiError(404, 'Variant not found'));
+
+        const variantData = parseVariantBody(req.body);
+
+        if (variantData.sku) {
+            const skuInUse = await Product.findOne({
+                variants: {
+                    $elemMatch: {
+                        sku: variantData.sku.toString().trim().toUpperCase(),
+                        _id: { $ne: variant._id }
+                    }
+                }
+            });
+            if (skuInUse) {
+                return next(new ApiError(400, 'A variant with this SKU already exists'));
+            }
+        }
+
+        if (req.files && req.files.length > 0) {
+            const uploadedImages = await Promise.all(req.files.map(file => uploadToCloudinary(file, 'products')));
+            const existingImages = variantData.images || variant.images || [];
+            variantData.images = [...existingImages, ...uploadedImages.map(img => img.url)];
+        }
+
+        variant.set(variantData);
+        await product.save();
+
+        res.status(200).json(new ApiResponse(200, product, 'Product variant updated successfully'));
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Delete a product variant
+ * @route   DELETE /api/v1/admin/products/:id/variants/:variantId
+ * @access  Admin
+ */
+export const deleteProductVariant = async (req, res, next) => {
+    try {
+        const { id, variantId } = req.params;
+
+        const product = await Product.findById(id);
+        if (!product) return next(new ApiError(404, 'Product not found'));
+
+        const variant = product.findVariant(variantId);
+        if (!variant) return next(new ApiError(404, 'Variant not found'));
+
+        if (variant.reservedStock > 0) {
+            return next(new ApiError(400, 'This variant has stock reserved by unpaid orders. Deactivate it instead.'));
+        }
+
+        product.variants.pull(variant._id);
+        await product.save();
+
+        res.status(200).json(new ApiResponse(200, product, 'Product variant deleted successfully'));
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get stock adjustment history for a product
+ * @route   GET /api/v1/admin/products/:id/stock-history
+ * @access  Admin
+ */
+export const getProductStockHistory = async (req, res, next) => {
+    try {
+        const limit = parseInt(req.query.limit, 10) || 50;
+
+        const history = await AdminLog.find({
+            action_type: 'ADJUST_STOCK',
+            target_id: req.params.id
+        })
+            .sort({ timestamp: -1 })
+            .limit(limit)
+            .populate('admin_id', 'name email');
+
+        res.status(200).json(new ApiResponse(200, history, 'Stock history retrieved successfully'));
+    } catch (error) {
+        next(error);
+    }
+};
+
 // ==================== LOGS ====================
 export const getAdminLogs = async (req, res, next) => {
     try {
@@ -953,6 +1187,30 @@ export const getAnalytics = async (req, res, next) => {
     }
 };
 
+/**
+ * @desc    Abandoned cart reminders sent and the revenue they recovered
+ * @route   GET /api/v1/admin/analytics/abandoned-carts
+ * @access  Admin
+ */
+export const getAbandonedCartStats = async (req, res, next) => {
+    try {
+        const { period = '30' } = req.query;
+        const days = parseInt(period);
+
+        const startDate = new Date();
+        startDate.setDate(startDate.getDate() - days);
+
+        const stats = await getRecoveryStats(startDate);
+
+        res.status(200).json(new ApiResponse(200, {
+            period: `${days} days`,
+            ...stats
+        }, 'Abandoned cart stats retrieved successfully'));
+    } catch (error) {
+        next(error);
+    }
+};
+
 // ==================== SYSTEM OPERATIONS ====================
 export const getSystemHealth = async (req, res, next) => {
     try {
@@ -970,6 +1228,7 @@ export const getSystemHealth = async (req, res, next) => {
         res.status(200).json(new ApiResponse(200, {
             status: 'healthy',
             database: dbStatus,
+            shiprocket: getShiprocketCircuitState(),
             stats
         }, 'System health check completed'));
     } catch (error) {
@@ -987,20 +1246,50 @@ export const clearCache = async (req, res, next) => {
 };
 
 /**
- * @desc    Get admin settings (chargeDelivery, chargeGST)
+ * @desc    Get admin settings (delivery and GST rules, shipping pickup, reminders, notification channels)
  * @route   GET /api/v1/admin/settings
  * @access  Admin
  */
 export const getAdminSettings = async (req, res, next) => {
     try {
-        // You can later fetch these from DB or env, for now hardcode
-        const settings = {
-            chargeDelivery: false,
-            chargeGST: true,
-            pickupPincode: '741165'
-        };
+        const settings = await getSettings();
+        res.status(200).json(settings);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Update admin settings; every change is recorded in the admin log
+ * @route   PUT /api/v1/admin/settings
+ * @access  Admin
+ */
+export const updateAdminSettings = async (req, res, next) => {
+    try {
+        const { settings, changes } = await updateSettings(req.body, req.user.id);
+
+        if (changes.length > 0) {
+            await AdminLog.createLog(req.user.id, 'UPDATE_SETTINGS', 'settings', null, { changes }, req);
+        }
+
         res.status(200).json(settings);
     } catch (error) {
         next(error);
     }
+};
+
+/**
+ * @desc    Get the change history of admin settings
+ * @route   GET /api/v1/admin/settings/history
+ * @access  Admin
+ */
+export const getSettingsHistory = async (req, res, next) => {
+    try {
+        const limit = parseInt(req.query.limit, 10) || 50;
+        const history = await AdminLog.getLogsByActionType('UPDATE_SETTINGS', limit);
+
+        res.status(200).json(new ApiResponse(200, history, 'Settings history retrieved successfully'));
+    } catch (error) {
+        next(error);
+    }
 }; 
\ No newline at end of file
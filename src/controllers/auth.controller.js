@@ -4,6 +4,7 @@ import { ApiResponse } from '../utils/apiResponse.js';
 import jwt from 'jsonwebtoken';
 import crypto from 'crypto';
 import { sendEmail } from '../utils/sendEmail.js';
+import { mergeGuestCart, getCartToken } from '../utils/cart.js';
 
 // Generate JWT token
 const generateToken = (id) => {
@@ -13,7 +14,7 @@ const generateToken = (id) => {
 };
 
 // Create and send token response
-const createSendToken = (user, statusCode, res) => {
+export const createSendToken = (user, statusCode, res) => {
     const token = generateToken(user._id);
 
     // Remove password from output
@@ -113,6 +114,9 @@ export const login = async (req, res, next) => {
             return next(new ApiError(401, 'Incorrect email or password'));
         }
 
+        // Bring along anything added to the cart before logging in
+        await mergeGuestCart(getCartToken(req), user._id);
+
         // Generate token and send response
         createSendToken(user, 200, res);
     } catch (error) {
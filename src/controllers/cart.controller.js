@@ -0,0 +1,162 @@
+import { ApiError } from '../utils/apiError.js';
+import { ApiResponse } from '../utils/apiResponse.js';
+import {
+    findCart,
+    findOrCreateCart,
+    resolveCartProduct,
+    buildCartView,
+    mergeGuestCart,
+    getCartToken
+} from '../utils/cart.js';
+
+/**
+ * @desc    Get the current cart with live prices and stock
+ * @route   GET /api/v1/cart
+ * @access  Public (guests send their cart token in the X-Cart-Token header)
+ */
+export const getCart = async (req, res, next) => {
+    try {
+        const cart = await findCart(req);
+        const view = await buildCartView(cart);
+
+        res.status(200).json(new ApiResponse(200, view, 'Cart retrieved successfully'));
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Add an item to the cart, or increase its quantity if it is already there
+ * @route   POST /api/v1/cart/items
+ * @access  Public
+ */
+export const addCartItem = async (req, res, next) => {
+    try {
+        const { productId, variantId } = req.body;
+        const quantity = req.body.quantity === undefined ? 1 : Number(req.body.quantity);
+        if (!Number.isInteger(quantity) || quantity < 1) {
+            return next(new ApiError(400, 'Quantity must be a whole number of at least 1'));
+        }
+
+        const cart = await findOrCreateCart(req);
+
+        // Resolve the variant first so SKUs and ids land on the same cart line
+        const { variant } = await resolveCartProduct(productId, variantId, 1);
+        const existing = cart.findItem(productId, variant ? variant._id : null);
+        const newQuantity = (existing ? existing.quantity : 0) + quantity;
+
+        // Check price and stock against the full quantity the cart will hold
+        const { price } = await resolveCartProduct(productId, variantId, newQuantity);
+
+        if (existing) {
+            existing.quantity = newQuantity;
+            existing.price = price;
+        } else {
+            cart.items.push({
+                product: productId,
+                variant: variant ? variant._id : null,
+                quantity: newQuantity,
+                price
+            });
+        }
+        await cart.save();
+
+        const view = await buildCartView(cart);
+        res.status(200).json(new ApiResponse(200, view, 'Item added to cart'));
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Change the quantity of a cart item
+ * @route   PUT /api/v1/cart/items/:itemId
+ * @access  Public
+ */
+export const updateCartItem = async (req, res, next) => {
+    try {
+        const quantity = Number(req.body.quantity);
+
+        const cart = await findCart(req);
+        const item = cart ? cart.items.id(req.params.itemId) : null;
+        if (!item) {
+            return next(new ApiError(404, 'Cart item not found'));
+        }
+
+        const { price } = await resolveCartProduct(item.product.toString(), item.variant, quantity);
+
+        item.quantity = quantity;
+        item.price = price;
+        await cart.save();
+
+        const view = await buildCartView(cart);
+        res.status(200).json(new ApiResponse(200, view, 'Cart updated'));
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Remove an item from the cart
+ * @route   DELETE /api/v1/cart/items/:itemId
+ * @access  Public
+ */
+export const removeCartItem = async (req, res, next) => {
+    try {
+        const cart = await findCart(req);
+        const item = cart ? cart.items.id(req.params.itemId) : null;
+        if (!item) {
+            return next(new ApiError(404, 'Cart item not found'));
+        }
+
+        cart.items.pull(item._id);
+        await cart.save();
+
+        const view = await buildCartView(cart);
+        res.status(200).json(new ApiResponse(200, view, 'Item removed from cart'));
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Remove all items from the cart
+ * @route   DELETE /api/v1/cart
+ * @access  Public
+ */
+export const clearCart = async (req, res, next) => {
+    try {
+        const cart = await findCart(req);
+        if (cart) {
+            cart.items = [];
+            await cart.save();
+        }
+
+        const view = await buildCartView(cart);
+        res.status(200).json(new ApiResponse(200, view, 'Cart cleared'));
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Merge a guest cart into the logged in user's cart
+ * @route   POST /api/v1/cart/merge
+ * @access  Private
+ */
+export const mergeCart = async (req, res, next) => {
+    try {
+        const cartToken = getCartToken(req);
+        if (!cartToken) {
+            return next(new ApiError(400, 'Please provide the guest cart token'));
+        }
+
+        await mergeGuestCart(cartToken, req.user._id);
+
+        const cart = await findCart(req);
+        const view = await buildCartView(cart);
+        res.status(200).json(new ApiResponse(200, view, 'Cart merged successfully'));
+    } catch (error) {
+        next(error);
+    }
+};
@@ -0,0 +1,200 @@
+import Coupon from '../models/coupon.model.js';
+import { ApiError } from '../utils/apiError.js';
+import { ApiResponse } from '../utils/apiResponse.js';
+import { validateCoupon } from '../utils/coupon.js';
+import { buildOrderLines } from '../utils/pricing.js';
+import mongoose from 'mongoose';
+
+/**
+ * @desc    Create a new coupon
+ * @route   POST /api/v1/admin/coupons
+ * @access  Private/Admin
+ */
+export const createCoupon = async (req, res, next) => {
+    try {
+        const { code } = req.body;
+
+        if (!code) {
+            return next(new ApiError(400, 'Please provide a coupon code'));
+        }
+
+        // Check if coupon with same code exists
+        const existingCoupon = await Coupon.findOne({ code: code.toString().trim().toUpperCase() });
+        if (existingCoupon) {
+            return next(new ApiError(400, 'Coupon with this code already exists'));
+        }
+
+        // Usage counters are maintained by checkout only
+        const { usedCount, redemptions, ...couponData } = req.body;
+
+        const coupon = await Coupon.create({
+            ...couponData,
+            createdBy: req.user.id
+        });
+
+        res.status(201).json(
+            new ApiResponse(201, coupon, 'Coupon created successfully')
+        );
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get all coupons with filtering and pagination
+ * @route   GET /api/v1/admin/coupons
+ * @access  Private/Admin
+ */
+export const getAllCoupons = async (req, res, next) => {
+    try {
+        const page = parseInt(req.query.page, 10) || 1;
+        const limit = parseInt(req.query.limit, 10) || 10;
+        const skip = (page - 1) * limit;
+
+        const filter = {};
+        if (req.query.isActive !== undefined) {
+            filter.isActive = req.query.isActive === 'true';
+        }
+        if (req.query.status === 'expired') {
+            filter.expiryDate = { $lte: new Date() };
+        } else if (req.query.status === 'live') {
+            filter.expiryDate = { $gt: new Date() };
+            filter.validFrom = { $lte: new Date() };
+        }
+        if (req.query.search) {
+            filter.code = { $regex: req.query.search, $options: 'i' };
+        }
+
+        const sortBy = req.query.sort ? req.query.sort.split(',').join(' ') : '-created_at';
+
+        const coupons = await Coupon.find(filter)
+            .select('-redemptions')
+            .sort(sortBy)
+            .skip(skip)
+            .limit(limit);
+
+        const total = await Coupon.countDocuments(filter);
+
+        res.status(200).json(new ApiResponse(200, {
+            coupons,
+            pagination: {
+                total,
+                page,
+                limit,
+                totalPages: Math.ceil(total / limit)
+            }
+        }, 'Coupons retrieved successfully'));
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get coupon by ID
+ * @route   GET /api/v1/admin/coupons/:id
+ * @access  Private/Admin
+ */
+export const getCouponById = async (req, res, next) => {
+    try {
+        const coupon = await Coupon.findById(req.params.id)
+            .populate('applicableProducts', 'name slug price')
+            .populate('redemptions.user', 'name email')
+            .populate('redemptions.order', 'orderNumber totalPrice status');
+
+        if (!coupon) return next(new ApiError(404, 'Coupon not found'));
+
+        res.status(200).json(new ApiResponse(200, coupon, 'Coupon details retrieved successfully'));
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Update coupon
+ * @route   PUT /api/v1/admin/coupons/:id
+ * @access  Private/Admin
+ */
+export const updateCoupon = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return next(new ApiError(400, 'Invalid coupon ID'));
+        }
+
+        const { usedCount, redemptions, createdBy, ...updateData } = req.body;
+
+        if (updateData.code) {
+            const existingCoupon = await Coupon.findOne({
+                code: updateData.code.toString().trim().toUpperCase(),
+                _id: { $ne: id }
+            });
+            if (existingCoupon) {
+                return next(new ApiError(400, 'Coupon with this code already exists'));
+            }
+        }
+
+        const coupon = await Coupon.findById(id);
+        if (!coupon) return next(new ApiError(404, 'Coupon not found'));
+
+        // Save through the document so validators that depend on other fields see the merged values
+        coupon.set(updateData);
+        await coupon.save();
+
+        res.status(200).json(new ApiResponse(200, coupon, 'Coupon updated successfully'));
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Delete coupon
+ * @route   DELETE /api/v1/admin/coupons/:id
+ * @access  Private/Admin
+ */
+export const deleteCoupon = async (req, res, next) => {
+    try {
+        const coupon = await Coupon.findByIdAndDelete(req.params.id);
+        if (!coupon) return next(new ApiError(404, 'Coupon not found'));
+
+        res.status(200).json(new ApiResponse(200, null, 'Coupon deleted successfully'));
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Validate a coupon against a cart and preview the discount
+ * @route   POST /api/v1/coupons/validate
+ * @access  Public
+ */
+export const validateCouponCode = async (req, res, next) => {
+    try {
+        const { code, items, shippingPrice } = req.body;
+
+        if (!items || !Array.isArray(items) || items.length === 0) {
+            return next(new ApiError(400, 'Please provide the cart items'));
+        }
+
+        // Price the cart from the catalogue (including variant prices), never from the client
+        const lines = await buildOrderLines(items);
+
+        const { coupon, discountAmount, subtotal } = await validateCoupon(code, {
+            userId: req.user?.id,
+            items: lines,
+            shippingPrice: Number(shippingPrice) || 0
+        });
+
+        res.status(200).json(new ApiResponse(200, {
+            code: coupon.code,
+            description: coupon.description,
+            discountType: coupon.discountType,
+            discountValue: coupon.discountValue,
+            subtotal,
+            discountAmount,
+            expiryDate: coupon.expiryDate
+        }, 'Coupon applied successfully'));
+    } catch (error) {
+        next(error);
+    }
+};
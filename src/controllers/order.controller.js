@@ -1,11 +1,33 @@
 import Order from '../models/order.model.js';
 import Product from '../models/product.model.js';
 import User from '../models/user.model.js';
+import AdminLog from '../models/adminLog.model.js';
 import { ApiError } from '../utils/apiError.js';
 import { ApiResponse } from '../utils/apiResponse.js';
 import mongoose from 'mongoose';
 import { sendUserNotification } from '../utils/responseHandler.js';
-import { createShiprocketOrder, checkCourierServiceability } from '../utils/shiprocket.js';
+import { checkCourierServiceability } from '../utils/shiprocket.js';
+import { redeemCoupon, releaseCoupon } from '../utils/coupon.js';
+import { calculateOrderPricing, findPricingMismatches, formatQuote } from '../utils/pricing.js';
+import { getSettings } from '../utils/settings.js';
+import { createWithOrderNumber } from '../utils/orderNumber.js';
+import { reserveStock, rollbackReservation, commitStock, releaseStock } from '../utils/inventory.js';
+import { getCartOrderItems, clearUserCart } from '../utils/cart.js';
+import { getOrCreateInvoice } from '../utils/invoice.js';
+import { getOrderTracking } from '../utils/shipmentTracking.js';
+import { pushOrderOrQueue, cleanPhone } from '../utils/fulfilment.js';
+import { getOrderWeightKg } from '../utils/shipments.js';
+import { getCodAvailability, verifyCodOrder, getPendingRemittance } from '../utils/cod.js';
+import { createPaymentLink, sendPaymentLink } from '../utils/paymentLinks.js';
+import { generateRandomPassword } from '../utils/passwordUtils.js';
+import { refundOrder, cancelItems, notifyRefund, CANCELLABLE_STATUSES } from '../utils/refunds.js';
+import {
+    resolveExportColumns,
+    buildOrderExportFilter,
+    getOrderExportCursor,
+    streamOrdersCsv,
+    streamOrdersXlsx
+} from '../utils/orderExport.js';
 
 /**
  * @desc    Create new order
@@ -30,102 +52,45 @@ export const createOrder = async (req, res, next) => {
             deliveryOption,
             specialInstructions,
             newsletterSubscription,
-            currency
+            currency,
+            fromCart
         } = req.body;
         console.log(req.body);
 
-        // Handle both 'items' and 'orderItems' for backward compatibility
-        const orderItems = items || req.body.orderItems;
+        // Check out the saved cart, or handle both 'items' and 'orderItems' for backward compatibility
+        const orderItems = fromCart
+            ? await getCartOrderItems(req.user.id)
+            : items || req.body.orderItems;
 
         if (!orderItems || orderItems.length === 0) {
             return next(new ApiError(400, 'No order items'));
         }
 
-        // Process order items - handle both productId and direct item data
-        const itemsPromises = orderItems.map(async (item) => {
-            // If productId or product is provided, fetch product details
-            const productId = item.productId || item.product;
-            if (productId) {
-                const product = await Product.findById(productId);
-                if (!product) {
-                    throw new ApiError(404, `Product not found: ${productId}`);
-                }
-                return {
-                    name: product.name,
-                    quantity: item.quantity,
-                    image: product.images?.[0] || 'default-product-image.jpg',
-                    price: product.price,
-                    product: product._id
-                };
-            } else {
-                // Use provided item data directly (when productId is null)
-                const tempProductId = new mongoose.Types.ObjectId();
-                return {
-                    name: item.name,
-                    quantity: item.quantity,
-                    image: item.image || 'default-product-image.jpg',
-                    price: item.price,
-                    product: tempProductId
-                };
-            }
+        // Price the order on the server; client totals are only used to detect a stale cart
+        const pricing = await calculateOrderPricing({
+            items: orderItems,
+            couponCode,
+            userId: req.user.id
         });
 
-        const orderItemsWithDetails = await Promise.all(itemsPromises);
-
-        // Use provided totals or calculate them
-        const itemsPrice = subtotal || orderItemsWithDetails.reduce(
-            (acc, item) => acc + item.price * item.quantity,
-            0
-        );
-
-        const shippingPrice = deliveryCharges || (itemsPrice > 500 ? 0 : 50);
-        const taxPrice = tax || Number((0.05 * itemsPrice).toFixed(2));
-
-        // Apply discount if coupon is provided
-        let discountAmount = 0;
-        if (couponCode) {
-            // Fetch coupon from database and validate
-            const coupon = await mongoose.model('Coupon').findOne({
-                code: couponCode,
-                isActive: true,
-                expiryDate: { $gt: Date.now() }
-            });
-
-            if (coupon) {
-                if (coupon.discountType === 'percentage') {
-                    discountAmount = (coupon.discountValue / 100) * itemsPrice;
-                } else {
-                    discountAmount = coupon.discountValue;
-                }
-
-                // Cap discount at maximum allowed value if specified
-                if (coupon.maxDiscountAmount && discountAmount > coupon.maxDiscountAmount) {
-                    discountAmount = coupon.maxDiscountAmount;
-                }
-            }
-        }
-
-        // Use provided total or calculate it
-        const totalPrice = total || (itemsPrice + shippingPrice + taxPrice - discountAmount);
-
-        // Generate order number (YT-YYYYMMDD-XXXX)
-        const date = new Date();
-        const dateStr = date.getFullYear().toString() +
-            (date.getMonth() + 1).toString().padStart(2, '0') +
-            date.getDate().toString().padStart(2, '0');
-
-        const lastOrder = await Order.findOne().sort({ created_at: -1 });
-        let orderCounter = 1;
-
-        if (lastOrder && lastOrder.orderNumber) {
-            const lastOrderNumber = lastOrder.orderNumber;
-            const lastCounter = parseInt(lastOrderNumber.split('-')[2]);
-            if (!isNaN(lastCounter)) {
-                orderCounter = lastCounter + 1;
-            }
+        const mismatches = findPricingMismatches(pricing, { subtotal, deliveryCharges, tax, total });
+        if (mismatches.length > 0) {
+            console.warn(`[Pricing] Client totals differ from server for user ${req.user.id}:`, mismatches);
+            return res.status(409).json(
+                new ApiResponse(409, { quote: formatQuote(pricing), mismatches }, 'Order totals have changed. Please review the updated prices.')
+            );
         }
 
-        const orderNumber = `YT-${dateStr}-${orderCounter.toString().padStart(4, '0')}`;
+        const {
+            items: pricedItems,
+            itemsPrice,
+            shippingPrice,
+            taxPrice,
+            taxRate,
+            discountAmount,
+            totalPrice,
+            coupon
+        } = pricing;
 
         // Map payment method to valid enum values
         const mapPaymentMethod = (method) => {
@@ -154,68 +119,78 @@ export const createOrder = async (req, res, next) => {
             };
         };
 
-        // Create order with additional fields from frontend
-        const order = await Order.create({
-            user: req.user.id,
-            orderItems: orderItemsWithDetails,
-            shippingAddress: mapAddress(shippingAddress),
-            paymentMethod: mapPaymentMethod(paymentMethod),
-            itemsPrice,
-            shippingPrice,
-            taxPrice,
-            discountAmount,
-            totalPrice,
-            orderNumber,
-            couponCode: couponCode || null,
-            status: 'pending', // Use status instead of orderStatus
-            notes: specialInstructions || null
-        });
+        // Cash on delivery depends on the store's COD rules, the customer's RTO history and the pincode
+        const isCod = mapPaymentMethod(paymentMethod) === 'cod';
+        if (isCod) {
+            const { available, reason } = await getCodAvailability({
+                postalCode: mapAddress(shippingAddress)?.postalCode,
+                weight: getOrderWeightKg({ orderItems: pricedItems }),
+                orderValue: totalPrice,
+                userId: req.user.id
+            });
+            if (!available) {
+                return next(new ApiError(400, reason));
+            }
+        }
+        // COD orders wait for the customer to verify their phone before they are shipped
+        const needsCodConfirmation = isCod && (await getSettings()).codOtpRequired;
 
-        // Helper to clean phone number for Shiprocket (10 digits, no country code)
-        const cleanPhone = (phone) => {
-            return (phone || '').replace(/\D/g, '').slice(-10);
-        };
+        // Hold stock for the order; it is committed on payment and released on cancellation
+        const orderItemsWithDetails = await reserveStock(pricedItems);
 
-        // Shiprocket order creation
+        // Create order with additional fields from frontend
+        let order;
         try {
-            const SHIPROCKET_PICKUP_LOCATION = process.env.SHIPROCKET_PICKUP_LOCATION || 'FAZIL NA';
-            const shiprocketOrderPayload = {
-                order_id: order._id.toString(),
-                order_date: new Date().toISOString().slice(0, 19).replace('T', ' '),
-                pickup_location: SHIPROCKET_PICKUP_LOCATION,
-                billing_customer_name: req.user.name || customerName || 'Customer',
-                billing_last_name: '',
-                billing_address: order.shippingAddress.address,
-                billing_city: order.shippingAddress.city,
-                billing_pincode: order.shippingAddress.postalCode,
-                billing_state: order.shippingAddress.state || '',
-                billing_country: order.shippingAddress.country,
-                billing_email: req.user.email || customerEmail || '',
-                billing_phone: cleanPhone(order.shippingAddress.phone),
-                shipping_is_billing: true,
-                order_items: order.orderItems.map(item => ({
-                    name: item.name,
-                    sku: item.product.toString(),
-                    units: item.quantity,
-                    selling_price: item.price
-                })),
-                payment_method: order.paymentMethod === 'cod' ? 'COD' : 'Prepaid',
-                sub_total: order.itemsPrice,
-                length: 10,
-                breadth: 10,
-                height: 10,
-                weight: 1
-            };
-            console.log('[Shiprocket] Creating order with payload:', JSON.stringify(shiprocketOrderPayload, null, 2));
-            const shiprocketRes = await createShiprocketOrder(shiprocketOrderPayload);
-            console.log('[Shiprocket] Order creation response:', JSON.stringify(shiprocketRes, null, 2));
-            if (shiprocketRes && shiprocketRes.order_id && shiprocketRes.shipment_id) {
-                order.shiprocketOrderId = shiprocketRes.order_id.toString();
-                order.shiprocketShipmentId = shiprocketRes.shipment_id.toString();
-                await order.save();
+            order = await createWithOrderNumber('web', (orderNumber) => Order.create({
+                user: req.user.id,
+                orderItems: orderItemsWithDetails,
+                shippingAddress: mapAddress(shippingAddress),
+                paymentMethod: mapPaymentMethod(paymentMethod),
+                itemsPrice,
+                shippingPrice,
+                taxPrice,
+                taxRate,
+                discountAmount,
+                totalPrice,
+                orderNumber,
+                channel: 'web',
+                couponCode: coupon ? coupon.code : null,
+                status: 'pending', // Use status instead of orderStatus
+                notes: specialInstructions || null,
+                inventoryStatus: 'reserved',
+                codConfirmation: needsCodConfirmation ? { status: 'pending', requestedAt: new Date() } : undefined
+            }));
+        } catch (createErr) {
+            await rollbackReservation(orderItemsWithDetails);
+            throw createErr;
+        }
+
+        // Record the coupon redemption; a usage limit may have been hit by a concurrent checkout
+        if (coupon) {
+            const redeemed = await redeemCoupon(coupon, {
+                userId: req.user.id,
+                orderId: order._id,
+                discountAmount
+            });
+            if (!redeemed) {
+                await releaseStock(order);
+                await Order.findByIdAndDelete(order._id);
+                return next(new ApiError(400, 'Coupon usage limit has been reached'));
             }
-        } catch (shipErr) {
-            console.error('[Shiprocket] Order creation failed:', shipErr?.response?.data || shipErr.message);
+        }
+
+        // The cart has been turned into this order
+        if (fromCart) {
+            await clearUserCart(req.user.id);
+        }
+
+        // Push to Shiprocket; a failed push is queued and retried in the background.
+        // Unconfirmed COD orders are pushed once the customer confirms them.
+        if (!needsCodConfirmation) {
+            await pushOrderOrQueue(order, {
+                name: req.user.name || customerName,
+                email: req.user.email || customerEmail
+            });
         }
 
         // Update user with order reference
@@ -227,10 +202,35 @@ export const createOrder = async (req, res, next) => {
         await sendUserNotification(req.user.id, {
             type: 'order_placed',
             order: order._id
-        }, { orderNumber, orderId: order._id });
+        }, { orderNumber: order.orderNumber, orderId: order._id });
 
         res.status(201).json(
-            new ApiResponse(201, order, 'Order placed successfully')
+            new ApiResponse(201, order, needsCodConfirmation
+                ? 'Order placed. Verify your phone number to confirm cash on delivery.'
+                : 'Order placed successfully')
+        );
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get a server-side price quote for a cart
+ * @route   POST /api/v1/orders/quote
+ * @access  Public
+ */
+export const getOrderQuote = async (req, res, next) => {
+    try {
+        const { items, couponCode } = req.body;
+
+        const pricing = await calculateOrderPricing({
+            items: items || req.body.orderItems,
+            couponCode,
+            userId: req.user?.id
+        });
+
+        res.status(200).json(
+            new ApiResponse(200, formatQuote(pricing), 'Order quote calculated successfully')
         );
     } catch (error) {
         next(error);
@@ -378,6 +378,11 @@ export const updateOrderStatus = async (req, res, next) => {
 
         await order.save();
 
+        if (status === 'cancelled') {
+            await releaseCoupon(order.couponCode, order._id);
+            await releaseStock(order);
+        }
+
         // Add notification for user
         await sendUserNotification(order.user, {
             type: `order_${status}`,
@@ -435,6 +440,8 @@ export const updateOrderToPaid = async (req, res, next) => {
 
         const updatedOrder = await order.save();
 
+        await commitStock(updatedOrder);
+
         // Add notification for user
         await sendUserNotification(req.user.id, {
             type: 'payment_successful',
@@ -565,14 +572,15 @@ export const cancelOrder = async (req, res, next) => {
         }
 
         // Check if order can be cancelled
-        if (order.status === 'delivered') {
-            return next(new ApiError(400, 'Cannot cancel a delivered order'));
-        }
-
         if (order.status === 'cancelled') {
             return next(new ApiError(400, 'Order is already cancelled'));
         }
 
+        // Once shipped, the stock is committed or has come back through a return
+        if (!CANCELLABLE_STATUSES.includes(order.status)) {
+            return next(new ApiError(400, `Order is ${order.status}; only pending or processing orders can be cancelled`));
+        }
+
         // Update order status
         order.status = 'cancelled';
         order.cancellationReason = reason || 'No reason provided';
@@ -585,6 +593,10 @@ export const cancelOrder = async (req, res, next) => {
 
         await order.save();
 
+        // Give the coupon redemption and stock back
+        await releaseCoupon(order.couponCode, order._id);
+        await releaseStock(order);
+
         // Add notification for user
         await sendUserNotification(order.user, {
             type: 'order_cancelled',
@@ -614,14 +626,16 @@ export const cancelOrder = async (req, res, next) => {
 };
 
 /**
- * @desc    Process refund for cancelled order
+ * @desc    Refund all or part of an order; same as POST /api/v1/payments/refund
  * @route   PUT /api/v1/orders/:id/refund
  * @access  Private/Admin
  */
 export const processRefund = async (req, res, next) => {
     try {
         const { id } = req.params;
-        const { refundAmount, refundMethod, transactionId, notes } = req.body;
+        // Same body as POST /api/v1/payments/refund; refundMethod is still read for older clients
+        const { refundAmount, refundMethod, transactionId, reason, notes, items, restock, upiId, accountNumber, ifsc, accountHolder } = req.body;
+        const method = req.body.method || refundMethod;
 
         const order = await Order.findById(id);
 
@@ -629,45 +643,64 @@ export const processRefund = async (req, res, next) => {
             return next(new ApiError(404, 'Order not found'));
         }
 
-        // Check if order is cancelled and paid
-        if (order.status !== 'cancelled') {
-            return next(new ApiError(400, 'Only cancelled orders can be refunded'));
-        }
+        const refund = await refundOrder(order, {
+            amount: refundAmount,
+            reason: reason || notes,
+            items,
+            restock: restock !== false && restock !== 'false',
+            payout: { method, transactionId, upiId, accountNumber, ifsc, accountHolder },
+            adminId: req.user.id
+        });
 
-        if (!order.isPaid) {
-            return next(new ApiError(400, 'Order was not paid, no refund needed'));
-        }
+        await notifyRefund(order, refund.amount);
 
-        if (order.refundStatus === 'completed') {
-            return next(new ApiError(400, 'Refund has already been processed'));
-        }
+        res.status(200).json(
+            new ApiResponse(200, order, 'Refund processed successfully')
+        );
+    } catch (error) {
+        next(error);
+    }
+};
 
-        // Process refund
-        order.refundStatus = 'completed';
-        order.refundDetails = {
-            amount: refundAmount || order.totalPrice,
-            method: refundMethod,
-            transactionId,
-            processedAt: Date.now(),
-            processedBy: req.user.id,
-            notes
-        };
+/**
+ * @desc    Cancel some items of an order before it ships, refunding their share if paid online
+ * @route   PUT /api/v1/orders/:id/cancel-items
+ * @access  Private
+ */
+export const cancelOrderItems = async (req, res, next) => {
+    try {
+        const { items, reason } = req.body;
 
-        await order.save();
+        const order = await Order.findById(req.params.id);
 
-        // Add notification for user
-        await User.findByIdAndUpdate(order.user, {
-            $push: {
-                notifications: {
-                    type: 'refund_processed',
-                    message: `Refund for order ${order.orderNumber} has been processed.`,
-                    order: order._id
-                }
-            }
+        if (!order) {
+            return next(new ApiError(404, 'Order not found'));
+        }
+
+        // Check if the order belongs to the logged-in user or user is admin
+        if (order.user.toString() !== req.user.id && req.user.role !== 'admin') {
+            return next(new ApiError(403, 'Not authorized to cancel this order'));
+        }
+
+        const { refund, refundError, cancelledOrder } = await cancelItems(order, items, {
+            reason,
+            by: req.user.id
         });
 
+        if (cancelledOrder) {
+            await sendUserNotification(order.user, {
+                type: 'order_cancelled',
+                order: order._id
+            }, { orderNumber: order.orderNumber });
+        }
+        if (refund) {
+            await notifyRefund(order, refund.amount);
+        }
+
         res.status(200).json(
-            new ApiResponse(200, order, 'Refund processed successfully')
+            new ApiResponse(200, { order, refund, refundError }, cancelledOrder
+                ? 'All items cancelled; the order has been cancelled'
+                : 'Items cancelled successfully')
         );
     } catch (error) {
         next(error);
@@ -675,7 +708,7 @@ export const processRefund = async (req, res, next) => {
 };
 
 /**
- * @desc    Generate invoice for order
+ * @desc    Download the GST tax invoice for an order as a PDF (or ?format=json for its data)
  * @route   GET /api/v1/orders/:id/invoice
  * @access  Private
  */
@@ -684,8 +717,7 @@ export const generateInvoice = async (req, res, next) => {
         const { id } = req.params;
 
         const order = await Order.findById(id)
-            .populate('user', 'name email phone')
-            .populate('orderItems.product', 'name slug');
+            .populate('user', 'name email phone');
 
         if (!order) {
             return next(new ApiError(404, 'Order not found'));
@@ -696,51 +728,21 @@ export const generateInvoice = async (req, res, next) => {
             return next(new ApiError(403, 'Not authorized to access this order'));
         }
 
+        const invoice = await getOrCreateInvoice(order);
 
+        if (req.query.format === 'json') {
+            const { pdf, ...invoiceData } = invoice.toObject();
+            return res.status(200).json(
+                new ApiResponse(200, invoiceData, 'Invoice retrieved successfully')
+            );
+        }
 
-        // Generate invoice data
-        const invoiceData = {
-            order: {
-                id: order._id,
-                number: order.orderNumber,
-                date: order.created_at,
-                paymentDate: order.paidAt,
-                paymentMethod: order.paymentMethod
-            },
-            customer: {
-                name: order.user.name,
-                email: order.user.email,
-                phone: order.user.phone || 'N/A',
-                address: order.shippingAddress
-            },
-            items: order.orderItems.map(item => ({
-                name: item.name,
-                quantity: item.quantity,
-                price: item.price,
-                total: item.price * item.quantity
-            })),
-            summary: {
-                subtotal: order.itemsPrice,
-                shipping: order.shippingPrice,
-                tax: order.taxPrice,
-                discount: order.discountAmount,
-                total: order.totalPrice
-            },
-            company: {
-                name: 'Yellow Tea',
-                address: '123 Tea Garden, Darjeeling, India',
-                email: 'support@yellowtea.com',
-                phone: '+91 1234567890',
-                website: 'www.yellowtea.com',
-                gst: 'GSTIN12345678901'
-            }
-        };
-
-        // In a real implementation, you would generate a PDF here
-        // For now, we'll just return the invoice data
-        res.status(200).json(
-            new ApiResponse(200, invoiceData, 'Invoice data generated successfully')
-        );
+        const fileName = `invoice-${invoice.invoiceNumber.replace(/\//g, '-')}.pdf`;
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `attachment; filename="${fileName}"`
+        });
+        res.status(200).send(invoice.pdf);
     } catch (error) {
         next(error);
     }
@@ -766,62 +768,7 @@ export const trackOrder = async (req, res, next) => {
             return next(new ApiError(403, 'Not authorized to track this order'));
         }
 
-        // In a real implementation, you would fetch tracking info from a shipping API
-        // For now, we'll create mock tracking data based on order status
-
-        const trackingInfo = {
-            orderNumber: order.orderNumber,
-            status: order.status,
-            timeline: [
-                {
-                    status: 'Order Placed',
-                    date: order.created_at,
-                    description: 'Your order has been placed successfully'
-                }
-            ]
-        };
-
-        if (order.isPaid) {
-            trackingInfo.timeline.push({
-                status: 'Payment Confirmed',
-                date: order.paidAt,
-                description: 'Payment has been received and confirmed'
-            });
-        }
-
-        if (order.status === 'processing' || order.status === 'shipped' || order.status === 'delivered') {
-            trackingInfo.timeline.push({
-                status: 'Processing',
-                date: new Date(order.created_at.getTime() + 1 * 60 * 60 * 1000), // 1 hour after order
-                description: 'Your order is being processed and packed'
-            });
-        }
-
-        if (order.status === 'shipped' || order.status === 'delivered') {
-            trackingInfo.timeline.push({
-                status: 'Shipped',
-                date: order.shippedAt || new Date(order.created_at.getTime() + 24 * 60 * 60 * 1000), // 1 day after order
-                description: 'Your order has been shipped',
-                trackingNumber: order.trackingNumber || 'YT' + Math.random().toString(36).substring(2, 10).toUpperCase(),
-                courier: order.courier || 'Yellow Tea Express'
-            });
-        }
-
-        if (order.status === 'delivered') {
-            trackingInfo.timeline.push({
-                status: 'Delivered',
-                date: order.deliveredAt,
-                description: 'Your order has been delivered successfully'
-            });
-        }
-
-        if (order.status === 'cancelled') {
-            trackingInfo.timeline.push({
-                status: 'Cancelled',
-                date: order.cancelledAt || new Date(),
-                description: `Order cancelled${order.cancellationReason ? ': ' + order.cancellationReason : ''}`,
-            });
-        }
+        const trackingInfo = await getOrderTracking(order);
 
         res.status(200).json(
             new ApiResponse(200, trackingInfo, 'Order tracking information retrieved successfully')
@@ -983,45 +930,44 @@ export const getOrderAnalytics = async (req, res, next) => {
 };
 
 /**
- * @desc    Export orders to CSV
+ * @desc    Download orders as CSV or XLSX (?format=csv|xlsx, columns=a,b, mode=orders|items)
  * @route   GET /api/v1/orders/export
  * @access  Private/Admin
  */
 export const exportOrders = async (req, res, next) => {
     try {
-        // Get date range from query params
-        const startDate = req.query.startDate ? new Date(req.query.startDate) : new Date(0);
-        const endDate = req.query.endDate ? new Date(req.query.endDate) : new Date();
+        const format = (req.query.format || 'csv').toLowerCase();
+        if (!['csv', 'xlsx'].includes(format)) {
+            return next(new ApiError(400, 'Format must be either csv or xlsx'));
+        }
 
-        // Get orders within date range
-        const orders = await Order.find({
-            created_at: { $gte: startDate, $lte: endDate }
-        }).populate('user', 'name email');
-
-        // Format orders for CSV
-        const csvData = orders.map(order => ({
-            'Order ID': order._id,
-            'Order Number': order.orderNumber,
-            'Customer Name': order.user?.name || 'N/A',
-            'Customer Email': order.user?.email || 'N/A',
-            'Order Date': order.created_at.toISOString().split('T')[0],
-            'Status': order.status,
-            'Payment Status': order.isPaid ? 'Paid' : 'Not Paid',
-            'Payment Method': order.paymentMethod || 'N/A',
-            'Items Count': order.orderItems.length,
-            'Items Price': order.itemsPrice,
-            'Shipping Price': order.shippingPrice,
-            'Tax': order.taxPrice,
-            'Discount': order.discountAmount,
-            'Total Price': order.totalPrice,
-            'Shipping Address': `${order.shippingAddress.address}, ${order.shippingAddress.city}, ${order.shippingAddress.postalCode}, ${order.shippingAddress.country}`
-        }));
-
-        // In a real implementation, you would generate a CSV file
-        // For now, we'll just return the data
-        res.status(200).json(
-            new ApiResponse(200, csvData, 'Orders exported successfully')
-        );
+        const mode = req.query.mode === 'items' ? 'items' : 'orders';
+        const columns = resolveExportColumns(req.query.columns, mode);
+        const filter = buildOrderExportFilter(req.query);
+
+        // Orders are read from a cursor and written as they arrive, so large ranges are never held in memory
+        const cursor = getOrderExportCursor(filter, req.query.sort);
+        const fileName = `orders-${new Date().toISOString().split('T')[0]}.${format}`;
+
+        res.status(200).set({
+            'Content-Type': format === 'csv'
+                ? 'text/csv; charset=utf-8'
+                : 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+            'Content-Disposition': `attachment; filename="${fileName}"`
+        });
+
+        try {
+            if (format === 'csv') {
+                await streamOrdersCsv(cursor, columns, mode, res);
+            } else {
+                await streamOrdersXlsx(cursor, columns, mode, res);
+            }
+        } catch (streamError) {
+            // Headers are already sent, so the download can only be cut short
+            console.error('Order export failed part way through:', streamError);
+            await cursor.close().catch(() => {});
+            res.destroy(streamError);
+        }
     } catch (error) {
         next(error);
     }
@@ -1099,7 +1045,7 @@ export const getOrderCountByStatus = async (req, res, next) => {
         ]);
 
         // Ensure all statuses are represented
-        const allStatuses = ['pending', 'processing', 'shipped', 'delivered', 'cancelled'];
+        const allStatuses = ['pending', 'processing', 'shipped', 'delivered', 'returned', 'cancelled'];
         const result = allStatuses.map(status => {
             const found = counts.find(item => item.status === status);
             return found || { status, count: 0 };
@@ -1131,8 +1077,14 @@ export const markCodOrderAsPaid = async (req, res, next) => {
         if (order.isPaid) {
             return next(new ApiError(400, 'Order is already marked as paid'));
         }
+        const { remittanceReference, remittedAt } = req.body || {};
         order.isPaid = true;
         order.paidAt = Date.now();
+        order.codRemittance = {
+            reference: remittanceReference || null,
+            remittedAt: remittedAt ? new Date(remittedAt) : new Date(),
+            markedBy: req.user.id
+        };
         order.paymentResult = {
             id: 'COD',
             status: 'paid',
@@ -1141,6 +1093,7 @@ export const markCodOrderAsPaid = async (req, res, next) => {
             method: 'cod'
         };
         await order.save();
+        await commitStock(order);
         await sendUserNotification(order.user, {
             type: 'payment_successful',
             order: order._id
@@ -1151,6 +1104,88 @@ export const markCodOrderAsPaid = async (req, res, next) => {
     }
 };
 
+/**
+ * @desc    Check whether cash on delivery can be offered for a cart and pincode
+ * @route   POST /api/v1/orders/cod-availability
+ * @access  Private
+ */
+export const checkCodAvailability = async (req, res, next) => {
+    try {
+        const { postalCode, couponCode } = req.body;
+        if (!postalCode) {
+            return next(new ApiError(400, 'postalCode is required'));
+        }
+
+        const { items, totalPrice } = await calculateOrderPricing({
+            items: req.body.items || req.body.orderItems,
+            couponCode,
+            userId: req.user.id
+        });
+
+        const availability = await getCodAvailability({
+            postalCode,
+            weight: getOrderWeightKg({ orderItems: items }),
+            orderValue: totalPrice,
+            userId: req.user.id
+        });
+
+        res.status(200).json(new ApiResponse(200, availability, 'COD availability checked successfully'));
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Confirm a COD order by verifying the delivery phone number
+ * @route   POST /api/v1/orders/:id/confirm-cod
+ * @access  Private
+ */
+export const confirmCodOrder = async (req, res, next) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return next(new ApiError(400, 'Invalid order ID'));
+        }
+
+        const order = await Order.findById(req.params.id).populate('user', 'name email');
+        if (!order) {
+            return next(new ApiError(404, 'Order not found'));
+        }
+        if (order.user._id.toString() !== req.user.id) {
+            return next(new ApiError(403, 'Not authorized to confirm this order'));
+        }
+
+        await verifyCodOrder(order, req.body.idToken);
+
+        // Held back from Shiprocket until now
+        if (!order.shiprocketOrderId) {
+            await pushOrderOrQueue(order, { name: order.user.name, email: order.user.email });
+        }
+
+        res.status(200).json(new ApiResponse(200, order, 'COD order confirmed'));
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    COD orders delivered but not yet remitted by the courier
+ * @route   GET /api/v1/admin/cod/pending-remittance
+ * @access  Private/Admin
+ */
+export const getCodRemittanceReport = async (req, res, next) => {
+    try {
+        const report = await getPendingRemittance({
+            courier: req.query.courier,
+            page: parseInt(req.query.page, 10) || 1,
+            limit: parseInt(req.query.limit, 10) || 20
+        });
+
+        res.status(200).json(new ApiResponse(200, report, 'COD remittance report retrieved successfully'));
+    } catch (error) {
+        next(error);
+    }
+};
+
 /**
  * @desc    Check Shiprocket courier serviceability and estimated delivery days
  * @route   POST /api/v1/orders/shiprocket-serviceability
@@ -1158,13 +1193,221 @@ export const markCodOrderAsPaid = async (req, res, next) => {
  */
 export const shiprocketServiceability = async (req, res, next) => {
     try {
-        const { pickup_postcode, delivery_postcode, cod, weight } = req.body;
-        if (!pickup_postcode || !delivery_postcode) {
-            return res.status(400).json({ success: false, message: 'pickup_postcode and delivery_postcode are required' });
+        const { delivery_postcode, cod, weight } = req.body;
+        // Default to the store's pickup pincode from settings
+        const pickup_postcode = req.body.pickup_postcode || (await getSettings()).pickupPincode;
+        if (!delivery_postcode) {
+            return res.status(400).json({ success: false, message: 'delivery_postcode is required' });
         }
         const result = await checkCourierServiceability({ pickup_postcode, delivery_postcode, cod, weight });
         res.status(200).json({ success: true, data: result, message: 'Serviceability checked successfully' });
     } catch (error) {
         next(error);
     }
-};
\ No newline at end of file
+};
+/**
+ * Find the customer an admin is ordering for, or create an account for a new one.
+ * Email and phone both identify an existing customer.
+ * @returns {Object} - { user, created }
+ */
+const findOrCreateCustomer = async ({ userId, name, email, phone }) => {
+    if (userId) {
+        if (!mongoose.Types.ObjectId.isValid(userId)) {
+            throw new ApiError(400, 'Invalid customer ID');
+        }
+        const user = await User.findById(userId);
+        if (!user) {
+            throw new ApiError(404, 'Customer not found');
+        }
+        return { user, created: false };
+    }
+
+    const cleanedPhone = cleanPhone(phone);
+    if (!name || !email || cleanedPhone.length !== 10) {
+        throw new ApiError(400, 'A new customer needs a name, email and 10-digit phone number');
+    }
+
+    const existing = await User.findOne({
+        $or: [
+            { email: email.toLowerCase().trim() },
+            { phone: cleanedPhone },
+            { phoneNumber: `+91${cleanedPhone}` }
+        ]
+    });
+    if (existing) {
+        return { user: existing, created: false };
+    }
+
+    // The customer sets their own password with "forgot password" or logs in by OTP
+    const user = await User.create({
+        name,
+        email,
+        phone: cleanedPhone,
+        password: generateRandomPassword()
+    });
+    return { user, created: true };
+};
+
+/**
+ * @desc    Create an order for a customer and send them a Razorpay payment link
+ * @route   POST /api/v1/admin/orders
+ * @access  Private/Admin
+ */
+export const createAdminOrder = async (req, res, next) => {
+    try {
+        const { customer = {}, items, shippingAddress, couponCode, notes } = req.body;
+
+        if (!items || items.length === 0) {
+            return next(new ApiError(400, 'No order items'));
+        }
+
+        const { user, created } = await findOrCreateCustomer(customer);
+
+        const address = {
+            address: shippingAddress?.address || shippingAddress?.street || shippingAddress?.line1 || '',
+            city: shippingAddress?.city || '',
+            postalCode: shippingAddress?.postalCode || shippingAddress?.pincode || '',
+            state: shippingAddress?.state || '',
+            country: shippingAddress?.country || 'India',
+            phone: cleanPhone(shippingAddress?.phone || user.phone || user.phoneNumber)
+        };
+        if (!address.address || !address.city || !address.postalCode || !address.state || !address.phone) {
+            return next(new ApiError(400, 'Shipping address needs address, city, state, postalCode and phone'));
+        }
+
+        const {
+            items: pricedItems,
+            itemsPrice,
+            shippingPrice,
+            taxPrice,
+            taxRate,
+            discountAmount,
+            totalPrice,
+            coupon
+        } = await calculateOrderPricing({ items, couponCode, userId: user._id });
+
+        // Hold stock for the order; it is committed on payment and released if the link expires
+        const orderItemsWithDetails = await reserveStock(pricedItems);
+
+        let order;
+        try {
+            order = await createWithOrderNumber('admin', (orderNumber) => Order.create({
+                user: user._id,
+                orderItems: orderItemsWithDetails,
+                shippingAddress: address,
+                paymentMethod: 'razorpay',
+                itemsPrice,
+                shippingPrice,
+                taxPrice,
+                taxRate,
+                discountAmount,
+                totalPrice,
+                orderNumber,
+                channel: 'admin',
+                placedBy: req.user.id,
+                couponCode: coupon ? coupon.code : null,
+                status: 'pending',
+                notes: notes || null,
+                inventoryStatus: 'reserved'
+            }));
+        } catch (createErr) {
+            await rollbackReservation(orderItemsWithDetails);
+            throw createErr;
+        }
+
+        if (coupon) {
+            const redeemed = await redeemCoupon(coupon, {
+                userId: user._id,
+                orderId: order._id,
+                discountAmount
+            });
+            if (!redeemed) {
+                await releaseStock(order);
+                await Order.findByIdAndDelete(order._id);
+                return next(new ApiError(400, 'Coupon usage limit has been reached'));
+            }
+        }
+
+        let paymentLink;
+        try {
+            paymentLink = await createPaymentLink(order, {
+                name: user.name,
+                email: user.email,
+                phone: address.phone
+            });
+        } catch (linkErr) {
+            console.error(`Could not create payment link for order ${order.orderNumber}:`, linkErr);
+            await releaseCoupon(order.couponCode, order._id);
+            await releaseStock(order);
+            await Order.findByIdAndDelete(order._id);
+            return next(new ApiError(502, `Razorpay: ${linkErr.error?.description || linkErr.message}`));
+        }
+
+        await pushOrderOrQueue(order, { name: user.name, email: user.email });
+
+        await User.findByIdAndUpdate(user._id, {
+            $push: { orders: order._id }
+        });
+
+        // The order and its link exist either way; a failed send is retried with the resend endpoint
+        let sent;
+        try {
+            sent = await sendPaymentLink(order, user);
+        } catch (sendErr) {
+            console.error(`Could not send payment link for order ${order.orderNumber}:`, sendErr);
+            sent = { whatsapp: false, email: false, error: sendErr.message };
+        }
+
+        await AdminLog.createLog(req.user.id, 'CREATE_ORDER', 'orders', order._id, {
+            orderNumber: order.orderNumber,
+            customer: user._id,
+            newCustomer: created,
+            totalPrice,
+            paymentLinkId: paymentLink.id,
+            sent
+        }, req);
+
+        res.status(201).json(
+            new ApiResponse(201, {
+                order,
+                customer: { _id: user._id, name: user.name, email: user.email, phone: user.phone, created },
+                paymentLink: { id: paymentLink.id, url: paymentLink.short_url, expiresAt: order.paymentExpiresAt },
+                sent
+            }, sent.error ? 'Order created, but the payment link could not be sent' : 'Order created and payment link sent')
+        );
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Send the customer an order's payment link again
+ * @route   POST /api/v1/admin/orders/:id/payment-link/resend
+ * @access  Private/Admin
+ */
+export const resendPaymentLink = async (req, res, next) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return next(new ApiError(400, 'Invalid order ID'));
+        }
+
+        const order = await Order.findById(req.params.id).populate('user', 'name email phone');
+        if (!order) {
+            return next(new ApiError(404, 'Order not found'));
+        }
+        if (order.isPaid || order.status !== 'pending') {
+            return next(new ApiError(400, `Order is ${order.isPaid ? 'already paid' : order.status}`));
+        }
+
+        const sent = await sendPaymentLink(order, order.user);
+
+        await AdminLog.createLog(req.user.id, 'SEND_PAYMENT_LINK', 'orders', order._id, {
+            orderNumber: order.orderNumber,
+            sent
+        }, req);
+
+        res.status(200).json(new ApiResponse(200, { sent }, 'Payment link sent'));
+    } catch (error) {
+        next(error);
+    }
+};
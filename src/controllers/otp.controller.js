@@ -2,6 +2,8 @@ import admin from '../config/firebase.config.js';
 import User from '../models/user.model.js';
 import { ApiError } from '../utils/apiError.js';
 import { ApiResponse } from '../utils/apiResponse.js';
+import { createSendToken } from './auth.controller.js';
+import { mergeGuestCart, getCartToken } from '../utils/cart.js';
 
 /**
  * @desc    Send OTP to phone number
@@ -45,8 +47,10 @@ export const verifyOTP = async (req, res, next) => {
             user.isPhoneVerified = true;
             await user.save();
         }
+        // Bring along anything added to the cart before logging in
+        await mergeGuestCart(getCartToken(req), user._id);
+
         // Generate token and send response (using your existing method)
-        const { createSendToken } = await import('./auth.controller.js');
         createSendToken(user, 200, res);
     } catch (error) {
         next(error);
@@ -1,10 +1,14 @@
-import { razorpay, RAZORPAY_CONFIG, formatAmountForRazorpay, formatAmountFromRazorpay } from '../config/razorpay.config.js';
+import { razorpay, formatAmountFromRazorpay } from '../config/razorpay.config.js';
 import Order from '../models/order.model.js';
 import User from '../models/user.model.js';
 import { ApiError } from '../utils/apiError.js';
 import { ApiResponse } from '../utils/apiResponse.js';
 import crypto from 'crypto';
-import { sendUserNotification } from '../utils/responseHandler.js';
+import { refundOrder, notifyRefund, getRefundableBalance } from '../utils/refunds.js';
+import { isPaymentExpired, refundLatePayment } from '../utils/paymentExpiry.js';
+import { startRazorpayAttempt, switchToCod, findOrderByRazorpayOrderId } from '../utils/paymentAttempts.js';
+import { markOrderPaid } from '../utils/razorpayWebhook.js';
+import { getSettings } from '../utils/settings.js';
 
 /**
  * @desc    Create Razorpay order
@@ -31,32 +35,13 @@ export const createRazorpayOrder = async (req, res, next) => {
             return next(new ApiError(403, 'Not authorized to access this order'));
         }
 
-        // Check if order is already paid
-        if (order.isPaid) {
-            return next(new ApiError(400, 'Order is already paid'));
-        }
-
         // Check if order is cancelled
         if (order.status === 'cancelled') {
             return next(new ApiError(400, 'Cannot process payment for cancelled order'));
         }
 
-        // Create Razorpay order
-        const razorpayOrder = await razorpay.orders.create({
-            amount: formatAmountForRazorpay(order.totalPrice),
-            currency: RAZORPAY_CONFIG.currency,
-            receipt: order.orderNumber,
-            notes: {
-                orderId: order._id.toString(),
-                orderNumber: order.orderNumber,
-                customerName: order.user.name,
-                customerEmail: order.user.email
-            }
-        });
-
-        // Update order with Razorpay order ID
-        order.razorpayOrderId = razorpayOrder.id;
-        await order.save();
+        // Create Razorpay order and record it as a payment attempt
+        const razorpayOrder = await startRazorpayAttempt(order);
 
         res.status(200).json(
             new ApiResponse(200, {
@@ -94,7 +79,7 @@ export const verifyPayment = async (req, res, next) => {
         let actualOrderId = orderId;
         if (!actualOrderId && razorpay_order_id) {
             // Try to find order by razorpay_order_id
-            const order = await Order.findOne({ razorpayOrderId: razorpay_order_id });
+            const order = await findOrderByRazorpayOrderId(razorpay_order_id);
             if (order) {
                 actualOrderId = order._id;
             }
@@ -137,27 +122,15 @@ export const verifyPayment = async (req, res, next) => {
                 return next(new ApiError(400, 'Payment not captured'));
             }
 
-            // Update order payment details
-            order.isPaid = true;
-            order.paidAt = Date.now();
-            order.paymentMethod = 'razorpay';
-            order.paymentResult = {
-                id: razorpay_payment_id,
-                status: 'captured',
-                update_time: Date.now(),
-                email_address: req.user.email,
-                razorpay_order_id: razorpay_order_id || payment.order_id,
-                razorpay_payment_id: razorpay_payment_id
-            };
-            order.status = 'processing';
-
-            await order.save();
-
-            // Add notification for user
-            await sendUserNotification(order.user, {
-                type: 'payment_successful',
-                order: order._id
-            }, { orderNumber: order.orderNumber, method: order.paymentMethod, orderId: order._id });
+            if (isPaymentExpired(order)) {
+                await refundLatePayment(payment, order);
+                return next(new ApiError(400, 'This order expired before payment was received. Your payment will be refunded.'));
+            }
+
+            // The webhook may have got there first
+            if (!order.isPaid) {
+                await markOrderPaid(order, payment);
+            }
 
             res.status(200).json(
                 new ApiResponse(200, {
@@ -179,6 +152,56 @@ export const verifyPayment = async (req, res, next) => {
     }
 };
 
+/**
+ * @desc    Pay for a pending order again, online with a fresh Razorpay order or by switching to COD
+ * @route   POST /api/v1/payments/retry
+ * @access  Private
+ */
+export const retryPayment = async (req, res, next) => {
+    try {
+        const { orderId, method = 'razorpay' } = req.body;
+
+        if (!orderId) {
+            return next(new ApiError(400, 'Order ID is required'));
+        }
+        if (!['razorpay', 'cod'].includes(method)) {
+            return next(new ApiError(400, 'Method must be either: razorpay or cod'));
+        }
+
+        const order = await Order.findById(orderId).populate('user', 'name email phone');
+
+        if (!order) {
+            return next(new ApiError(404, 'Order not found'));
+        }
+
+        if (order.user._id.toString() !== req.user.id) {
+            return next(new ApiError(403, 'Not authorized to access this order'));
+        }
+
+        if (method === 'cod') {
+            await switchToCod(order);
+
+            return res.status(200).json(
+                new ApiResponse(200, { order }, order.codConfirmation?.status === 'pending'
+                    ? 'Order switched to cash on delivery. Verify your phone number to confirm it.'
+                    : 'Order switched to cash on delivery')
+            );
+        }
+
+        const razorpayOrder = await startRazorpayAttempt(order);
+
+        res.status(200).json(
+            new ApiResponse(200, {
+                razorpayOrder,
+                key: process.env.RAZORPAY_KEY_ID,
+                attempts: order.paymentAttempts.length
+            }, 'Razorpay order created successfully')
+        );
+    } catch (error) {
+        next(error);
+    }
+};
+
 /**
  * @desc    Get payment status
  * @route   GET /api/v1/payments/status/:orderId
@@ -203,7 +226,9 @@ export const getPaymentStatus = async (req, res, next) => {
             isPaid: order.isPaid,
             paymentMethod: order.paymentMethod,
             paidAt: order.paidAt,
-            status: order.status
+            status: order.status,
+            paymentExpiresAt: order.paymentExpiresAt,
+            paymentAttempts: order.paymentAttempts
         };
 
         // If payment was made via Razorpay, get additional details
@@ -236,13 +261,13 @@ export const getPaymentStatus = async (req, res, next) => {
 };
 
 /**
- * @desc    Process refund via Razorpay
+ * @desc    Refund all or part of an order; can be repeated up to the amount paid
  * @route   POST /api/v1/payments/refund
  * @access  Private/Admin
  */
 export const processRefund = async (req, res, next) => {
     try {
-        const { orderId, refundAmount, reason } = req.body;
+        const { orderId, refundAmount, reason, items, restock, method, transactionId, upiId, accountNumber, ifsc, accountHolder } = req.body;
 
         if (!orderId) {
             return next(new ApiError(400, 'Order ID is required'));
@@ -254,63 +279,22 @@ export const processRefund = async (req, res, next) => {
             return next(new ApiError(404, 'Order not found'));
         }
 
-        // Check if order is paid
-        if (!order.isPaid) {
-            return next(new ApiError(400, 'Order is not paid'));
-        }
-
-        // Check if order has Razorpay payment
-        if (!order.paymentResult?.razorpay_payment_id) {
-            return next(new ApiError(400, 'Order does not have Razorpay payment'));
-        }
-
-        // Calculate refund amount
-        const refundAmountInPaise = refundAmount 
-            ? formatAmountForRazorpay(refundAmount)
-            : formatAmountForRazorpay(order.totalPrice);
-
-        // Process refund with Razorpay
-        const refund = await razorpay.payments.refund(
-            order.paymentResult.razorpay_payment_id,
-            {
-                amount: refundAmountInPaise,
-                speed: 'normal',
-                notes: {
-                    reason: reason || 'Customer request',
-                    orderId: order._id.toString(),
-                    orderNumber: order.orderNumber
-                }
-            }
-        );
-
-        // Update order with refund details
-        order.refundStatus = 'completed';
-        order.refundDetails = {
-            amount: formatAmountFromRazorpay(refund.amount),
-            id: refund.id,
-            status: refund.status,
-            processedAt: Date.now(),
-            processedBy: req.user.id,
-            reason: reason || 'Customer request',
-            razorpayRefundId: refund.id
-        };
-
-        await order.save();
+        const refund = await refundOrder(order, {
+            amount: refundAmount,
+            reason,
+            items,
+            restock: restock !== false && restock !== 'false',
+            payout: { method, transactionId, upiId, accountNumber, ifsc, accountHolder },
+            adminId: req.user.id
+        });
 
-        // Add notification for user
-        await sendUserNotification(order.user, {
-            type: 'refund_processed',
-            order: order._id
-        }, { orderNumber: order.orderNumber, amount: formatAmountFromRazorpay(refund.amount) });
+        await notifyRefund(order, refund.amount);
 
         res.status(200).json(
             new ApiResponse(200, {
-                refund: {
-                    id: refund.id,
-                    amount: formatAmountFromRazorpay(refund.amount),
-                    status: refund.status,
-                    processedAt: Date.now()
-                },
+                refund,
+                amountRefunded: order.amountRefunded,
+                refundableBalance: getRefundableBalance(order),
                 order: order
             }, 'Refund processed successfully')
         );
@@ -326,6 +310,8 @@ export const processRefund = async (req, res, next) => {
  */
 export const getPaymentMethods = async (req, res, next) => {
     try {
+        const { codEnabled } = await getSettings();
+
         const paymentMethods = [
             {
                 id: 'razorpay',
@@ -346,7 +332,7 @@ export const getPaymentMethods = async (req, res, next) => {
                 methods: [
                     { id: 'cod', name: 'Cash on Delivery', icon: '💵' }
                 ],
-                isActive: true
+                isActive: codEnabled
             }
         ];
 
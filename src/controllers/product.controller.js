@@ -22,6 +22,16 @@ export const createProduct = async (req, res, next) => {
         
         // Generate slug from name
         req.body.slug = slugify(name, { lower: true });
+        delete req.body.reservedStock;
+        
+        // Variants arrive as a JSON string in multipart requests
+        if (typeof req.body.variants === 'string') {
+            try {
+                req.body.variants = JSON.parse(req.body.variants);
+            } catch (error) {
+                return next(new ApiError(400, 'Variants must be a valid JSON array'));
+            }
+        }
         
         // Handle image uploads if files are present
         if (req.files && req.files.length > 0) {
@@ -53,14 +63,25 @@ export const getAllProducts = async (req, res, next) => {
         // BUILD QUERY
         // 1) Filtering
         const queryObj = { ...req.query };
-        const excludedFields = ['page', 'sort', 'limit', 'fields', 'search'];
+        const excludedFields = ['page', 'sort', 'limit', 'fields', 'search', 'inStock'];
         excludedFields.forEach(field => delete queryObj[field]);
         
         // Advanced filtering for price ranges, etc.
         let queryStr = JSON.stringify(queryObj);
         queryStr = queryStr.replace(/\b(gt|gte|lt|lte)\b/g, match => `${match}`);
         
-        let query = Product.find(JSON.parse(queryStr));
+        const filter = JSON.parse(queryStr);
+        
+        // Only products that can be bought right now
+        if (req.query.inStock === 'true') {
+            filter.$or = [
+                { trackInventory: false },
+                { stock: { $gt: 0 } },
+                { variants: { $elemMatch: { isActive: true, stock: { $gt: 0 } } } }
+            ];
+        }
+        
+        let query = Product.find(filter);
         
         // 2) Search functionality
         if (req.query.search) {
@@ -94,7 +115,7 @@ export const getAllProducts = async (req, res, next) => {
         const products = await query;
         
         // Get total count for pagination info
-        const totalProducts = await Product.countDocuments(JSON.parse(queryStr));
+        const totalProducts = await Product.countDocuments(filter);
         
         res.status(200).json(
             new ApiResponse(200, {
@@ -149,6 +170,15 @@ export const updateProduct = async (req, res, next) => {
     try {
         const { id } = req.params;
         
+        // Stock changes go through the stock adjustment endpoint so they carry a reason,
+        // and variants have their own endpoints so their stock is not overwritten here
+        delete req.body.stock;
+        delete req.body.reservedStock;
+        delete req.body.variants;
+        // Ratings are calculated from approved reviews
+        delete req.body.rating;
+        delete req.body.reviewCount;
+        
         // If name is being updated, update slug as well
         if (req.body.name) {
             req.body.slug = slugify(req.body.name, { lower: true });
@@ -248,8 +278,9 @@ export const getTopRatedProducts = async (req, res, next) => {
     try {
         const limit = parseInt(req.query.limit, 10) || 5;
         
-        const products = await Product.find({})
-            .sort({ rating: -1 })
+        // Only products with approved reviews have a rating to rank by
+        const products = await Product.find({ reviewCount: { $gt: 0 } })
+            .sort({ rating: -1, reviewCount: -1 })
             .limit(limit);
         
         res.status(200).json(
@@ -604,7 +635,7 @@ export const bulkUpdateProducts = async (req, res, next) => {
         }
         
         const updatePromises = products.map(product => {
-            const { id, ...updateData } = product;
+            const { id, stock, reservedStock, variants, rating, reviewCount, ...updateData } = product;
             
             // If name is being updated, update slug as well
             if (updateData.name) {
@@ -0,0 +1,137 @@
+import ReconciliationReport from '../models/reconciliationReport.model.js';
+import AdminLog from '../models/adminLog.model.js';
+import { ApiError } from '../utils/apiError.js';
+import { ApiResponse } from '../utils/apiResponse.js';
+import { runReconciliation } from '../utils/reconciliation.js';
+import mongoose from 'mongoose';
+
+/**
+ * @desc    List reconciliation reports, newest first
+ * @route   GET /api/v1/admin/reconciliation/reports
+ * @access  Private/Admin
+ */
+export const getReconciliationReports = async (req, res, next) => {
+    try {
+        const page = parseInt(req.query.page, 10) || 1;
+        const limit = parseInt(req.query.limit, 10) || 20;
+        const skip = (page - 1) * limit;
+
+        const filter = {};
+        if (req.query.status) filter.status = req.query.status;
+        if (req.query.trigger) filter.trigger = req.query.trigger;
+        // Only reports with something still waiting on an admin
+        if (req.query.unresolved === 'true') {
+            filter.items = { $elemMatch: { type: { $ne: 'missed_capture_fixed' }, resolved: false } };
+        }
+
+        const [reports, total] = await Promise.all([
+            ReconciliationReport.find(filter)
+                .select('-items -settlements')
+                .populate('triggeredBy', 'name email')
+                .sort({ created_at: -1 })
+                .skip(skip)
+                .limit(limit),
+            ReconciliationReport.countDocuments(filter)
+        ]);
+
+        res.status(200).json(new ApiResponse(200, {
+            reports,
+            pagination: {
+                total,
+                page,
+                limit,
+                totalPages: Math.ceil(total / limit)
+            }
+        }, 'Reconciliation reports retrieved successfully'));
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get a reconciliation report with its items and settlements
+ * @route   GET /api/v1/admin/reconciliation/reports/:id
+ * @access  Private/Admin
+ */
+export const getReconciliationReportById = async (req, res, next) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return next(new ApiError(400, 'Invalid report ID'));
+        }
+
+        const report = await ReconciliationReport.findById(req.params.id).populate('triggeredBy', 'name email');
+        if (!report) {
+            return next(new ApiError(404, 'Reconciliation report not found'));
+        }
+
+        res.status(200).json(new ApiResponse(200, report, 'Reconciliation report retrieved successfully'));
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Reconcile a window against Razorpay now
+ * @route   POST /api/v1/admin/reconciliation/run
+ * @access  Private/Admin
+ */
+export const runReconciliationNow = async (req, res, next) => {
+    try {
+        const { from, to } = req.body;
+
+        const report = await runReconciliation({ from, to, trigger: 'manual', adminId: req.user.id });
+
+        await AdminLog.createLog(req.user.id, 'RUN_RECONCILIATION', 'reconciliation_reports', report._id, {
+            windowFrom: report.windowFrom,
+            windowTo: report.windowTo,
+            status: report.status,
+            summary: report.summary
+        }, req);
+
+        res.status(200).json(
+            new ApiResponse(200, report, report.status === 'failed' ? 'Reconciliation run failed' : 'Reconciliation completed')
+        );
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Mark a flagged reconciliation item as dealt with
+ * @route   PUT /api/v1/admin/reconciliation/reports/:id/items/:itemId/resolve
+ * @access  Private/Admin
+ */
+export const resolveReconciliationItem = async (req, res, next) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return next(new ApiError(400, 'Invalid report ID'));
+        }
+
+        const report = await ReconciliationReport.findById(req.params.id);
+        if (!report) {
+            return next(new ApiError(404, 'Reconciliation report not found'));
+        }
+
+        const item = report.items.id(req.params.itemId);
+        if (!item) {
+            return next(new ApiError(404, 'Reconciliation item not found'));
+        }
+
+        item.resolved = true;
+        item.resolvedBy = req.user.id;
+        item.resolvedAt = new Date();
+        item.resolutionNote = req.body.note;
+        await report.save();
+
+        await AdminLog.createLog(req.user.id, 'RESOLVE_RECONCILIATION', 'reconciliation_reports', report._id, {
+            item: item._id,
+            type: item.type,
+            razorpayPaymentId: item.razorpayPaymentId,
+            note: req.body.note
+        }, req);
+
+        res.status(200).json(new ApiResponse(200, item, 'Reconciliation item marked as resolved'));
+    } catch (error) {
+        next(error);
+    }
+};
@@ -0,0 +1,425 @@
+import ReturnRequest, { RETURN_STATUSES } from '../models/returnRequest.model.js';
+import Order from '../models/order.model.js';
+import AdminLog from '../models/adminLog.model.js';
+import { ApiError } from '../utils/apiError.js';
+import { ApiResponse } from '../utils/apiResponse.js';
+import uploadToCloudinary from '../utils/uploadToCloudinary.js';
+import { sendUserNotification } from '../utils/responseHandler.js';
+import {
+    createReturnRequest,
+    getReturnDeadline,
+    getReturnableQuantities,
+    createReversePickup,
+    restockReturnItems,
+    refundReturn
+} from '../utils/returns.js';
+import { notifyRefund } from '../utils/refunds.js';
+import mongoose from 'mongoose';
+
+const MAX_RETURN_PHOTOS = 5;
+
+// Upload return photos from a multipart request
+const uploadReturnPhotos = async (files = []) => {
+    const uploaded = await Promise.all(files.map(file => uploadToCloudinary(file, 'returns')));
+    return uploaded.map(photo => ({ public_id: photo.public_id, url: photo.url }));
+};
+
+const findReturn = async (id) => {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new ApiError(400, 'Invalid return ID');
+    }
+    const returnRequest = await ReturnRequest.findById(id);
+    if (!returnRequest) {
+        throw new ApiError(404, 'Return not found');
+    }
+    return returnRequest;
+};
+
+// Only moves along the workflow; anything else is a 400
+const requireStatus = (returnRequest, allowed, action) => {
+    if (!allowed.includes(returnRequest.status)) {
+        throw new ApiError(400, `Return is ${returnRequest.status} and cannot be ${action}`);
+    }
+};
+
+const logReturnAction = (req, returnRequest, action, details = {}) =>
+    AdminLog.createLog(req.user.id, 'UPDATE_RETURN', 'returns', returnRequest._id, {
+        action,
+        rmaNumber: returnRequest.rmaNumber,
+        status: returnRequest.status,
+        ...details
+    }, req);
+
+/**
+ * @desc    Request a return for items of a delivered order
+ * @route   POST /api/v1/returns
+ * @access  Private
+ */
+export const createReturn = async (req, res, next) => {
+    try {
+        const { orderId, reason, comments } = req.body;
+
+        if (!orderId || !mongoose.Types.ObjectId.isValid(orderId)) {
+            return next(new ApiError(400, 'Please provide a valid order'));
+        }
+
+        const order = await Order.findById(orderId);
+        if (!order || order.user.toString() !== req.user._id.toString()) {
+            return next(new ApiError(404, 'Order not found'));
+        }
+
+        // Multipart forms send the items as a JSON string
+        let items = req.body.items;
+        if (typeof items === 'string') {
+            try {
+                items = JSON.parse(items);
+            } catch {
+                return next(new ApiError(400, 'Items must be a JSON array of { orderItemId, quantity }'));
+            }
+        }
+
+        if (req.files && req.files.length > MAX_RETURN_PHOTOS) {
+            return next(new ApiError(400, `You can add up to ${MAX_RETURN_PHOTOS} photos`));
+        }
+        if (['damaged', 'defective', 'wrong_item'].includes(reason) && !req.files?.length) {
+            return next(new ApiError(400, 'Please add a photo of the item'));
+        }
+        const photos = await uploadReturnPhotos(req.files);
+
+        const returnRequest = await createReturnRequest(order, items, { reason, comments, photos });
+
+        res.status(201).json(
+            new ApiResponse(201, returnRequest, 'Return requested successfully')
+        );
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Check whether an order can be returned and which items are left to return
+ * @route   GET /api/v1/returns/eligibility/:orderId
+ * @access  Private
+ */
+export const getReturnEligibility = async (req, res, next) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.orderId)) {
+            return next(new ApiError(400, 'Invalid order ID'));
+        }
+
+        const order = await Order.findById(req.params.orderId);
+        if (!order || order.user.toString() !== req.user._id.toString()) {
+            return next(new ApiError(404, 'Order not found'));
+        }
+
+        const deadline = await getReturnDeadline(order);
+        const returnable = await getReturnableQuantities(order);
+        const eligible = order.status === 'delivered' && !!deadline && deadline > new Date();
+
+        res.status(200).json(new ApiResponse(200, {
+            eligible,
+            returnBy: deadline,
+            items: order.orderItems.map(item => ({
+                orderItemId: item._id,
+                name: item.name,
+                variantName: item.variantName,
+                quantity: item.quantity,
+                returnableQuantity: eligible ? Math.max(returnable[item._id.toString()], 0) : 0
+            }))
+        }, 'Return eligibility retrieved successfully'));
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get the logged in user's returns
+ * @route   GET /api/v1/returns/me
+ * @access  Private
+ */
+export const getMyReturns = async (req, res, next) => {
+    try {
+        const returns = await ReturnRequest.find({ user: req.user._id })
+            .populate('order', 'orderNumber')
+            .select('-history.by -inspection.inspectedBy -refund.processedBy')
+            .sort({ created_at: -1 });
+
+        res.status(200).json(new ApiResponse(200, returns, 'Your returns retrieved successfully'));
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get a return (owner or admin)
+ * @route   GET /api/v1/returns/:id
+ * @access  Private
+ */
+export const getReturn = async (req, res, next) => {
+    try {
+        const returnRequest = await findReturn(req.params.id);
+
+        if (returnRequest.user.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+            return next(new ApiError(404, 'Return not found'));
+        }
+
+        await returnRequest.populate('order', 'orderNumber status deliveredAt');
+
+        res.status(200).json(new ApiResponse(200, returnRequest, 'Return retrieved successfully'));
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Withdraw a return before it has been picked up
+ * @route   PUT /api/v1/returns/:id/cancel
+ * @access  Private
+ */
+export const cancelReturn = async (req, res, next) => {
+    try {
+        const returnRequest = await findReturn(req.params.id);
+        if (returnRequest.user.toString() !== req.user._id.toString()) {
+            return next(new ApiError(404, 'Return not found'));
+        }
+        requireStatus(returnRequest, ['requested', 'approved'], 'cancelled');
+
+        returnRequest.transition('cancelled', req.user._id, 'Cancelled by customer');
+        await returnRequest.save();
+
+        res.status(200).json(new ApiResponse(200, returnRequest, 'Return cancelled successfully'));
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get returns (all statuses by default)
+ * @route   GET /api/v1/admin/returns
+ * @access  Private/Admin
+ */
+export const getAllReturns = async (req, res, next) => {
+    try {
+        const page = parseInt(req.query.page, 10) || 1;
+        const limit = parseInt(req.query.limit, 10) || 20;
+        const skip = (page - 1) * limit;
+
+        const filter = {};
+        if (RETURN_STATUSES.includes(req.query.status)) filter.status = req.query.status;
+        if (req.query.reason) filter.reason = req.query.reason;
+        if (req.query.order && mongoose.Types.ObjectId.isValid(req.query.order)) filter.order = req.query.order;
+
+        const [returns, total] = await Promise.all([
+            ReturnRequest.find(filter)
+                .populate('order', 'orderNumber paymentMethod totalPrice')
+                .populate('user', 'name email phone')
+                .sort({ created_at: -1 })
+                .skip(skip)
+                .limit(limit),
+            ReturnRequest.countDocuments(filter)
+        ]);
+
+        res.status(200).json(new ApiResponse(200, {
+            returns,
+            pagination: {
+                total,
+                page,
+                limit,
+                totalPages: Math.ceil(total / limit)
+            }
+        }, 'Returns retrieved successfully'));
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Approve a return
+ * @route   PUT /api/v1/admin/returns/:id/approve
+ * @access  Private/Admin
+ */
+export const approveReturn = async (req, res, next) => {
+    try {
+        const returnRequest = await findReturn(req.params.id);
+        requireStatus(returnRequest, ['requested'], 'approved');
+
+        returnRequest.transition('approved', req.user._id, req.body.note);
+        await returnRequest.save();
+        await logReturnAction(req, returnRequest, 'approve', { note: req.body.note });
+
+        const order = await Order.findById(returnRequest.order).select('orderNumber');
+        await sendUserNotification(returnRequest.user, {
+            type: 'return_approved',
+            order: returnRequest.order
+        }, { orderNumber: order?.orderNumber, rmaNumber: returnRequest.rmaNumber });
+
+        res.status(200).json(new ApiResponse(200, returnRequest, 'Return approved'));
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Reject a return
+ * @route   PUT /api/v1/admin/returns/:id/reject
+ * @access  Private/Admin
+ */
+export const rejectReturn = async (req, res, next) => {
+    try {
+        const { reason } = req.body;
+        if (!reason) {
+            return next(new ApiError(400, 'Please provide a reason for rejecting the return'));
+        }
+
+        const returnRequest = await findReturn(req.params.id);
+        requireStatus(returnRequest, ['requested', 'approved'], 'rejected');
+
+        returnRequest.rejectionReason = reason;
+        returnRequest.transition('rejected', req.user._id, reason);
+        await returnRequest.save();
+        await logReturnAction(req, returnRequest, 'reject', { reason });
+
+        const order = await Order.findById(returnRequest.order).select('orderNumber');
+        await sendUserNotification(returnRequest.user, {
+            type: 'return_rejected',
+            order: returnRequest.order
+        }, { orderNumber: order?.orderNumber, rmaNumber: returnRequest.rmaNumber, reason });
+
+        res.status(200).json(new ApiResponse(200, returnRequest, 'Return rejected'));
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Book a Shiprocket reverse pickup for an approved return
+ * @route   POST /api/v1/admin/returns/:id/pickup
+ * @access  Private/Admin
+ */
+export const scheduleReturnPickup = async (req, res, next) => {
+    try {
+        const returnRequest = await findReturn(req.params.id);
+        const order = await Order.findById(returnRequest.order).populate('user', 'name email');
+        if (!order) {
+            return next(new ApiError(404, 'Order not found'));
+        }
+
+        await createReversePickup(returnRequest, order);
+        returnRequest.transition('pickup_scheduled', req.user._id,
+            returnRequest.pickup.awb ? `AWB ${returnRequest.pickup.awb}` : 'Awaiting AWB');
+        await returnRequest.save();
+        await logReturnAction(req, returnRequest, 'schedule_pickup', {
+            shiprocketOrderId: returnRequest.pickup.shiprocketOrderId,
+            awb: returnRequest.pickup.awb
+        });
+
+        res.status(200).json(new ApiResponse(200, returnRequest, 'Reverse pickup scheduled successfully'));
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Mark a return as received at the warehouse
+ * @route   PUT /api/v1/admin/returns/:id/receive
+ * @access  Private/Admin
+ */
+export const receiveReturn = async (req, res, next) => {
+    try {
+        const returnRequest = await findReturn(req.params.id);
+        // Items handed over without a Shiprocket pickup can be received straight from approved
+        requireStatus(returnRequest, ['approved', 'pickup_scheduled'], 'received');
+
+        returnRequest.transition('received', req.user._id, req.body.note);
+        await returnRequest.save();
+        await logReturnAction(req, returnRequest, 'receive', { note: req.body.note });
+
+        res.status(200).json(new ApiResponse(200, returnRequest, 'Return marked as received'));
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Record the inspection of received items, optionally restocking them
+ * @route   PUT /api/v1/admin/returns/:id/inspect
+ * @access  Private/Admin
+ */
+export const inspectReturn = async (req, res, next) => {
+    try {
+        const { result, notes, restock } = req.body;
+        if (!['accepted', 'rejected'].includes(result)) {
+            return next(new ApiError(400, 'Result must be either accepted or rejected'));
+        }
+
+        const returnRequest = await findReturn(req.params.id);
+        requireStatus(returnRequest, ['received'], 'inspected');
+
+        const restocked = result === 'accepted' && (restock === true || restock === 'true');
+        if (restocked) {
+            await restockReturnItems(returnRequest);
+        }
+
+        returnRequest.inspection = {
+            result,
+            notes,
+            restocked,
+            inspectedBy: req.user._id,
+            inspectedAt: new Date()
+        };
+        if (result === 'rejected') {
+            returnRequest.rejectionReason = notes || 'Items did not pass inspection';
+            returnRequest.transition('rejected', req.user._id, returnRequest.rejectionReason);
+        } else {
+            returnRequest.transition('inspected', req.user._id, notes);
+        }
+        await returnRequest.save();
+        await logReturnAction(req, returnRequest, 'inspect', { result, restocked, notes });
+
+        if (result === 'rejected') {
+            const order = await Order.findById(returnRequest.order).select('orderNumber');
+            await sendUserNotification(returnRequest.user, {
+                type: 'return_rejected',
+                order: returnRequest.order
+            }, { orderNumber: order?.orderNumber, rmaNumber: returnRequest.rmaNumber, reason: returnRequest.rejectionReason });
+        }
+
+        res.status(200).json(new ApiResponse(200, returnRequest, 'Inspection recorded'));
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Refund an inspected return
+ * @route   POST /api/v1/admin/returns/:id/refund
+ * @access  Private/Admin
+ */
+export const refundReturnRequest = async (req, res, next) => {
+    try {
+        // Same body as the order refund endpoints; amount is kept as an alias of refundAmount
+        const { refundAmount, amount, method, transactionId, upiId, accountNumber, ifsc, accountHolder } = req.body;
+        const returnRequest = await findReturn(req.params.id);
+        const order = await Order.findById(returnRequest.order);
+        if (!order) {
+            return next(new ApiError(404, 'Order not found'));
+        }
+
+        await refundReturn(returnRequest, order, {
+            amount: refundAmount ?? amount,
+            payout: { method, transactionId, upiId, accountNumber, ifsc, accountHolder },
+            adminId: req.user._id
+        });
+        await logReturnAction(req, returnRequest, 'refund', {
+            amount: returnRequest.refund.amount,
+            method: returnRequest.refund.method,
+            refundId: returnRequest.refund.razorpayRefundId || returnRequest.refund.transactionId
+        });
+
+        await notifyRefund(order, returnRequest.refund.amount);
+
+        res.status(200).json(new ApiResponse(200, returnRequest, 'Return refunded successfully'));
+    } catch (error) {
+        next(error);
+    }
+};
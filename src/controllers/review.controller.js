@@ -0,0 +1,325 @@
+import Review from '../models/review.model.js';
+import Product from '../models/product.model.js';
+import Order from '../models/order.model.js';
+import AdminLog from '../models/adminLog.model.js';
+import { ApiError } from '../utils/apiError.js';
+import { ApiResponse } from '../utils/apiResponse.js';
+import uploadToCloudinary from '../utils/uploadToCloudinary.js';
+import mongoose from 'mongoose';
+
+const MAX_REVIEW_PHOTOS = 5;
+
+// Upload review photos from a multipart request
+const uploadReviewPhotos = async (files = []) => {
+    const uploaded = await Promise.all(files.map(file => uploadToCloudinary(file, 'reviews')));
+    return uploaded.map(photo => ({ public_id: photo.public_id, url: photo.url }));
+};
+
+/**
+ * @desc    Review a product from a delivered order
+ * @route   POST /api/v1/reviews
+ * @access  Private
+ */
+export const createReview = async (req, res, next) => {
+    try {
+        const { productId, rating, title, body } = req.body;
+
+        if (!productId || !mongoose.Types.ObjectId.isValid(productId)) {
+            return next(new ApiError(400, 'Please provide a valid product'));
+        }
+
+        const product = await Product.findById(productId).select('_id');
+        if (!product) return next(new ApiError(404, 'Product not found'));
+
+        // Only customers who have received the product can review it
+        const deliveredOrder = await Order.findOne({
+            user: req.user._id,
+            'orderItems.product': product._id,
+            $or: [{ status: 'delivered' }, { isDelivered: true }]
+        }).sort({ created_at: -1 });
+        if (!deliveredOrder) {
+            return next(new ApiError(403, 'You can only review products from your delivered orders'));
+        }
+
+        const existingReview = await Review.findOne({ product: product._id, user: req.user._id });
+        if (existingReview) {
+            return next(new ApiError(400, 'You have already reviewed this product. Edit your review instead.'));
+        }
+
+        if (req.files && req.files.length > MAX_REVIEW_PHOTOS) {
+            return next(new ApiError(400, `You can add up to ${MAX_REVIEW_PHOTOS} photos`));
+        }
+        const photos = await uploadReviewPhotos(req.files);
+
+        const review = await Review.create({
+            product: product._id,
+            user: req.user._id,
+            order: deliveredOrder._id,
+            rating: Number(rating),
+            title,
+            body,
+            photos
+        });
+
+        res.status(201).json(
+            new ApiResponse(201, review, 'Review submitted. It will appear once it has been approved.')
+        );
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get approved reviews for a product
+ * @route   GET /api/v1/reviews/product/:productId
+ * @access  Public
+ */
+export const getProductReviews = async (req, res, next) => {
+    try {
+        const { productId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(productId)) {
+            return next(new ApiError(400, 'Invalid product ID'));
+        }
+
+        const page = parseInt(req.query.page, 10) || 1;
+        const limit = parseInt(req.query.limit, 10) || 10;
+        const skip = (page - 1) * limit;
+
+        const sortOptions = {
+            newest: { created_at: -1 },
+            highest: { rating: -1, created_at: -1 },
+            lowest: { rating: 1, created_at: -1 }
+        };
+        const sort = sortOptions[req.query.sort] || sortOptions.newest;
+
+        const filter = { product: productId, status: 'approved' };
+        if (req.query.rating) {
+            filter.rating = parseInt(req.query.rating, 10);
+        }
+
+        const reviews = await Review.find(filter)
+            .select('-moderatedBy -moderationNote')
+            .populate('user', 'name')
+            .sort(sort)
+            .skip(skip)
+            .limit(limit);
+
+        const total = await Review.countDocuments(filter);
+
+        // Star breakdown for the rating summary
+        const breakdown = await Review.aggregate([
+            { $match: { product: new mongoose.Types.ObjectId(productId), status: 'approved' } },
+            { $group: { _id: '$rating', count: { $sum: 1 } } }
+        ]);
+        const ratingBreakdown = [5, 4, 3, 2, 1].reduce((acc, stars) => {
+            const row = breakdown.find(b => b._id === stars);
+            acc[stars] = row ? row.count : 0;
+            return acc;
+        }, {});
+
+        res.status(200).json(new ApiResponse(200, {
+            reviews,
+            ratingBreakdown,
+            pagination: {
+                total,
+                page,
+                limit,
+                totalPages: Math.ceil(total / limit)
+            }
+        }, 'Reviews retrieved successfully'));
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get the logged in user's reviews
+ * @route   GET /api/v1/reviews/me
+ * @access  Private
+ */
+export const getMyReviews = async (req, res, next) => {
+    try {
+        const reviews = await Review.find({ user: req.user._id })
+            .populate('product', 'name slug images')
+            .sort({ created_at: -1 });
+
+        res.status(200).json(new ApiResponse(200, reviews, 'Your reviews retrieved successfully'));
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Edit your own review; it goes back into moderation
+ * @route   PUT /api/v1/reviews/:id
+ * @access  Private
+ */
+export const updateReview = async (req, res, next) => {
+    try {
+        const review = await Review.findById(req.params.id);
+        if (!review) return next(new ApiError(404, 'Review not found'));
+
+        if (review.user.toString() !== req.user._id.toString()) {
+            return next(new ApiError(403, 'You can only edit your own reviews'));
+        }
+
+        const { rating, title, body, removePhotos } = req.body;
+        if (rating !== undefined) review.rating = Number(rating);
+        if (title !== undefined) review.title = title;
+        if (body !== undefined) review.body = body;
+
+        // removePhotos: public_ids of photos to drop, as an array or JSON string
+        if (removePhotos) {
+            let toRemove = removePhotos;
+            if (typeof toRemove === 'string') {
+                try {
+                    toRemove = JSON.parse(toRemove);
+                } catch (error) {
+                    toRemove = [toRemove];
+                }
+            }
+            review.photos = review.photos.filter(photo => !toRemove.includes(photo.public_id));
+        }
+
+        if (req.files && req.files.length > 0) {
+            if (review.photos.length + req.files.length > MAX_REVIEW_PHOTOS) {
+                return next(new ApiError(400, `You can add up to ${MAX_REVIEW_PHOTOS} photos`));
+            }
+            review.photos.push(...await uploadReviewPhotos(req.files));
+        }
+
+        review.status = 'pending';
+        review.moderatedBy = null;
+        review.moderatedAt = null;
+        review.moderationNote = undefined;
+        await review.save();
+
+        res.status(200).json(
+            new ApiResponse(200, review, 'Review updated. It will appear once it has been approved.')
+        );
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Delete your own review
+ * @route   DELETE /api/v1/reviews/:id
+ * @access  Private
+ */
+export const deleteReview = async (req, res, next) => {
+    try {
+        const review = await Review.findById(req.params.id);
+        if (!review) return next(new ApiError(404, 'Review not found'));
+
+        if (review.user.toString() !== req.user._id.toString()) {
+            return next(new ApiError(403, 'You can only delete your own reviews'));
+        }
+
+        await Review.findOneAndDelete({ _id: review._id });
+
+        res.status(200).json(new ApiResponse(200, null, 'Review deleted successfully'));
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get reviews for moderation (pending by default)
+ * @route   GET /api/v1/admin/reviews
+ * @access  Private/Admin
+ */
+export const getReviewsForModeration = async (req, res, next) => {
+    try {
+        const page = parseInt(req.query.page, 10) || 1;
+        const limit = parseInt(req.query.limit, 10) || 20;
+        const skip = (page - 1) * limit;
+
+        const filter = { status: req.query.status || 'pending' };
+        if (filter.status === 'all') delete filter.status;
+        if (req.query.product) filter.product = req.query.product;
+        if (req.query.rating) filter.rating = parseInt(req.query.rating, 10);
+
+        // Oldest first so the queue is worked through in order
+        const reviews = await Review.find(filter)
+            .populate('product', 'name slug')
+            .populate('user', 'name email')
+            .populate('order', 'orderNumber')
+            .populate('moderatedBy', 'name')
+            .sort({ created_at: 1 })
+            .skip(skip)
+            .limit(limit);
+
+        const total = await Review.countDocuments(filter);
+
+        res.status(200).json(new ApiResponse(200, {
+            reviews,
+            pagination: {
+                total,
+                page,
+                limit,
+                totalPages: Math.ceil(total / limit)
+            }
+        }, 'Reviews retrieved successfully'));
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Approve or reject a review
+ * @route   PUT /api/v1/admin/reviews/:id/moderate
+ * @access  Private/Admin
+ */
+export const moderateReview = async (req, res, next) => {
+    try {
+        const { status, note } = req.body;
+
+        if (!['approved', 'rejected'].includes(status)) {
+            return next(new ApiError(400, 'Status must be either approved or rejected'));
+        }
+
+        const review = await Review.findById(req.params.id);
+        if (!review) return next(new ApiError(404, 'Review not found'));
+
+        const previousStatus = review.status;
+        review.status = status;
+        review.moderatedBy = req.user._id;
+        review.moderatedAt = new Date();
+        review.moderationNote = note;
+        await review.save();
+
+        await AdminLog.createLog(req.user._id, 'MODERATE_REVIEW', 'reviews', review._id, {
+            product: review.product,
+            previousStatus,
+            status,
+            note
+        }, req);
+
+        res.status(200).json(new ApiResponse(200, review, `Review ${status}`));
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Delete any review
+ * @route   DELETE /api/v1/admin/reviews/:id
+ * @access  Private/Admin
+ */
+export const adminDeleteReview = async (req, res, next) => {
+    try {
+        const review = await Review.findOneAndDelete({ _id: req.params.id });
+        if (!review) return next(new ApiError(404, 'Review not found'));
+
+        await AdminLog.createLog(req.user._id, 'DELETE_REVIEW', 'reviews', review._id, {
+            product: review.product,
+            user: review.user,
+            rating: review.rating
+        }, req);
+
+        res.status(200).json(new ApiResponse(200, null, 'Review deleted successfully'));
+    } catch (error) {
+        next(error);
+    }
+};
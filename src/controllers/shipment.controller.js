@@ -0,0 +1,286 @@
+import Order from '../models/order.model.js';
+import AdminLog from '../models/adminLog.model.js';
+import { ApiError } from '../utils/apiError.js';
+import { ApiResponse } from '../utils/apiResponse.js';
+import {
+    MAX_BULK_SHIPMENTS,
+    getCourierOptions,
+    assignAwbs,
+    schedulePickups,
+    getShippingLabel,
+    getManifest
+} from '../utils/shipments.js';
+import { retryOrderFulfilment, getFulfilmentExceptions } from '../utils/fulfilment.js';
+import mongoose from 'mongoose';
+
+const findOrder = async (id) => {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new ApiError(400, 'Invalid order ID');
+    }
+    const order = await Order.findById(id);
+    if (!order) {
+        throw new ApiError(404, 'Order not found');
+    }
+    return order;
+};
+
+// Orders picked for a bulk action, in the order they were given
+const findOrders = async (orderIds) => {
+    if (!Array.isArray(orderIds) || orderIds.length === 0) {
+        throw new ApiError(400, 'Please provide orderIds');
+    }
+    if (orderIds.length > MAX_BULK_SHIPMENTS) {
+        throw new ApiError(400, `At most ${MAX_BULK_SHIPMENTS} orders can be handled at once`);
+    }
+    const invalid = orderIds.filter(id => !mongoose.Types.ObjectId.isValid(id));
+    if (invalid.length > 0) {
+        throw new ApiError(400, `Invalid order ID(s): ${invalid.join(', ')}`);
+    }
+
+    const orders = await Order.find({ _id: { $in: orderIds } });
+    const missing = orderIds.filter(id => !orders.some(order => order._id.toString() === id.toString()));
+    if (missing.length > 0) {
+        throw new ApiError(404, `Order(s) not found: ${missing.join(', ')}`);
+    }
+
+    return orderIds.map(id => orders.find(order => order._id.toString() === id.toString()));
+};
+
+const summarise = (results) => ({
+    results,
+    succeeded: results.filter(result => result.success).length,
+    failed: results.filter(result => !result.success).length
+});
+
+const logShipmentResults = async (req, action, results) => {
+    for (const result of results.filter(item => item.success)) {
+        const { orderId, success, ...details } = result;
+        await AdminLog.createLog(req.user.id, 'UPDATE_ORDER', 'orders', orderId, { action, ...details }, req);
+    }
+};
+
+// Send a label or manifest as a PDF download, or its Shiprocket link with ?format=json
+const sendShipmentDocument = (req, res, document, fileName, message) => {
+    if (req.query.format === 'json') {
+        const { pdf, ...data } = document;
+        return res.status(200).json(new ApiResponse(200, data, message));
+    }
+
+    res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${fileName}"`
+    });
+    res.status(200).send(document.pdf);
+};
+
+/**
+ * @desc    List couriers that can deliver an order, cheapest first
+ * @route   GET /api/v1/admin/orders/:id/couriers
+ * @access  Private/Admin
+ */
+export const getOrderCouriers = async (req, res, next) => {
+    try {
+        const order = await findOrder(req.params.id);
+        const couriers = await getCourierOptions(order);
+
+        res.status(200).json(
+            new ApiResponse(200, couriers, 'Couriers retrieved successfully')
+        );
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Assign an AWB with the chosen courier, or the cheapest one
+ * @route   POST /api/v1/admin/orders/:id/awb
+ * @access  Private/Admin
+ */
+export const assignOrderAwb = async (req, res, next) => {
+    try {
+        const order = await findOrder(req.params.id);
+        const [result] = await assignAwbs([order], req.body.courierId);
+
+        if (!result.success) {
+            return next(new ApiError(400, result.error));
+        }
+        await logShipmentResults(req, 'assign_awb', [result]);
+
+        res.status(200).json(
+            new ApiResponse(200, result, 'AWB assigned successfully')
+        );
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Assign AWBs to several processing orders
+ * @route   POST /api/v1/admin/shipments/awb
+ * @access  Private/Admin
+ */
+export const bulkAssignAwb = async (req, res, next) => {
+    try {
+        const orders = await findOrders(req.body.orderIds);
+        const results = await assignAwbs(orders, req.body.courierId);
+        await logShipmentResults(req, 'assign_awb', results);
+
+        res.status(200).json(
+            new ApiResponse(200, summarise(results), 'AWB assignment completed')
+        );
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Request courier pickup for an order
+ * @route   POST /api/v1/admin/orders/:id/pickup
+ * @access  Private/Admin
+ */
+export const scheduleOrderPickup = async (req, res, next) => {
+    try {
+        const order = await findOrder(req.params.id);
+        const [result] = await schedulePickups([order]);
+
+        if (!result.success) {
+            return next(new ApiError(400, result.error));
+        }
+        await logShipmentResults(req, 'schedule_pickup', [result]);
+
+        res.status(200).json(
+            new ApiResponse(200, result, 'Pickup scheduled successfully')
+        );
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Request courier pickup for several orders
+ * @route   POST /api/v1/admin/shipments/pickup
+ * @access  Private/Admin
+ */
+export const bulkSchedulePickup = async (req, res, next) => {
+    try {
+        const orders = await findOrders(req.body.orderIds);
+        const results = await schedulePickups(orders);
+        await logShipmentResults(req, 'schedule_pickup', results);
+
+        res.status(200).json(
+            new ApiResponse(200, summarise(results), 'Pickup scheduling completed')
+        );
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Download an order's shipping label
+ * @route   GET /api/v1/admin/orders/:id/label
+ * @access  Private/Admin
+ */
+export const downloadOrderLabel = async (req, res, next) => {
+    try {
+        const order = await findOrder(req.params.id);
+        const label = await getShippingLabel([order]);
+
+        sendShipmentDocument(req, res, label, `label-${order.orderNumber}.pdf`, 'Label generated successfully');
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Download one label PDF for several orders
+ * @route   POST /api/v1/admin/shipments/label
+ * @access  Private/Admin
+ */
+export const downloadBulkLabels = async (req, res, next) => {
+    try {
+        const orders = await findOrders(req.body.orderIds);
+        const label = await getShippingLabel(orders);
+
+        sendShipmentDocument(req, res, label, `labels-${Date.now()}.pdf`, 'Labels generated successfully');
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Download the pickup manifest for an order
+ * @route   GET /api/v1/admin/orders/:id/manifest
+ * @access  Private/Admin
+ */
+export const downloadOrderManifest = async (req, res, next) => {
+    try {
+        const order = await findOrder(req.params.id);
+        const manifest = await getManifest([order]);
+
+        sendShipmentDocument(req, res, manifest, `manifest-${order.orderNumber}.pdf`, 'Manifest generated successfully');
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Download one pickup manifest for several orders
+ * @route   POST /api/v1/admin/shipments/manifest
+ * @access  Private/Admin
+ */
+export const downloadBulkManifest = async (req, res, next) => {
+    try {
+        const orders = await findOrders(req.body.orderIds);
+        const manifest = await getManifest(orders);
+
+        sendShipmentDocument(req, res, manifest, `manifest-${Date.now()}.pdf`, 'Manifest generated successfully');
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Orders that could not be pushed to Shiprocket
+ * @route   GET /api/v1/admin/shipments/exceptions
+ * @access  Private/Admin
+ */
+export const getShipmentExceptions = async (req, res, next) => {
+    try {
+        const page = parseInt(req.query.page, 10) || 1;
+        const limit = parseInt(req.query.limit, 10) || 20;
+        const exceptions = await getFulfilmentExceptions({ status: req.query.status, page, limit });
+
+        res.status(200).json(
+            new ApiResponse(200, exceptions, 'Fulfilment exceptions retrieved successfully')
+        );
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Push an order to Shiprocket again
+ * @route   POST /api/v1/admin/orders/:id/push-to-shiprocket
+ * @access  Private/Admin
+ */
+export const pushOrderToShiprocketAgain = async (req, res, next) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return next(new ApiError(400, 'Invalid order ID'));
+        }
+
+        const order = await retryOrderFulfilment(req.params.id, req.user.id);
+
+        await AdminLog.createLog(req.user.id, 'UPDATE_ORDER', 'orders', order._id, {
+            action: 'push_to_shiprocket',
+            orderNumber: order.orderNumber,
+            shiprocketOrderId: order.shiprocketOrderId
+        }, req);
+
+        res.status(200).json(
+            new ApiResponse(200, order, 'Order pushed to Shiprocket successfully')
+        );
+    } catch (error) {
+        next(error);
+    }
+};
@@ -1,8 +1,12 @@
 import crypto from 'crypto';
-import Order from '../models/order.model.js';
-import User from '../models/user.model.js';
+import WebhookEvent from '../models/webhookEvent.model.js';
+import AdminLog from '../models/adminLog.model.js';
 import { ApiError } from '../utils/apiError.js';
 import { ApiResponse } from '../utils/apiResponse.js';
+import { shiprocketConfig } from '../config/shiprocket.config.js';
+import { applyShipmentUpdate, findOrderForShipment, parseWebhookPayload } from '../utils/shipmentTracking.js';
+import { recordWebhookEvent, processWebhookEvent, replayWebhookEvent } from '../utils/razorpayWebhook.js';
+import mongoose from 'mongoose';
 
 /**
  * @desc    Handle Razorpay webhook notifications
@@ -34,214 +38,179 @@ export const handleRazorpayWebhook = async (req, res, next) => {
             return next(new ApiError(400, 'Invalid webhook signature'));
         }
 
-        const event = req.body;
-
-        // Handle different webhook events
-        switch (event.event) {
-            case 'payment.captured':
-                await handlePaymentCaptured(event.payload.payment.entity);
-                break;
-                
-            case 'payment.failed':
-                await handlePaymentFailed(event.payload.payment.entity);
-                break;
-                
-            case 'refund.processed':
-                await handleRefundProcessed(event.payload.refund.entity);
-                break;
-                
-            case 'order.paid':
-                await handleOrderPaid(event.payload.order.entity);
-                break;
-                
-            default:
-                console.log(`Unhandled webhook event: ${event.event}`);
+        // Store the event and answer straight away; Razorpay retries anything slower than a few seconds
+        const { event, duplicate } = await recordWebhookEvent(req.body, req.headers['x-razorpay-event-id']);
+
+        if (duplicate) {
+            return res.status(200).json(
+                new ApiResponse(200, {}, 'Duplicate webhook event ignored')
+            );
         }
 
         res.status(200).json(
-            new ApiResponse(200, {}, 'Webhook processed successfully')
+            new ApiResponse(200, {}, 'Webhook received')
         );
+
+        setImmediate(() => {
+            processWebhookEvent(event._id).catch(error => {
+                console.error(`[Webhooks] Could not process event ${event.eventId}:`, error);
+            });
+        });
     } catch (error) {
         next(error);
     }
 };
 
 /**
- * Handle payment captured event
+ * @desc    Handle Shiprocket shipment tracking updates
+ * @route   POST /api/v1/webhooks/shiprocket
+ * @access  Public (but verified by token)
  */
-const handlePaymentCaptured = async (payment) => {
+export const handleShiprocketWebhook = async (req, res, next) => {
     try {
-        // Find order by Razorpay order ID
-        const order = await Order.findOne({ razorpayOrderId: payment.order_id });
-        
+        const webhookToken = shiprocketConfig.webhookToken;
+
+        if (!webhookToken) {
+            return next(new ApiError(500, 'Webhook token not configured'));
+        }
+
+        // Shiprocket sends the token configured in its panel as x-api-key
+        const token = req.headers['x-api-key'] || '';
+        const expected = Buffer.from(webhookToken);
+        const received = Buffer.from(String(token));
+
+        if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+            return next(new ApiError(401, 'Invalid webhook token'));
+        }
+
+        const update = parseWebhookPayload(req.body || {});
+        const order = await findOrderForShipment(update);
+
+        // Still answer 200 so Shiprocket does not keep retrying events for shipments we do not know
         if (!order) {
-            console.error(`Order not found for Razorpay order ID: ${payment.order_id}`);
-            return;
+            console.warn(`Shiprocket webhook for unknown shipment (AWB ${update.awb}, order ${update.srOrderId || update.channelOrderId})`);
+            return res.status(200).json(
+                new ApiResponse(200, {}, 'No matching order, event ignored')
+            );
         }
 
-        // Update order if not already paid
-        if (!order.isPaid) {
-            order.isPaid = true;
-            order.paidAt = Date.now();
-            order.paymentMethod = 'razorpay';
-            order.paymentResult = {
-                id: payment.id,
-                status: payment.status,
-                update_time: Date.now(),
-                email_address: payment.email,
-                razorpay_order_id: payment.order_id,
-                razorpay_payment_id: payment.id
-            };
-            order.status = 'processing';
-
-            await order.save();
-
-            // Send notification to user
-            await sendUserNotification(order.user, {
-                type: 'payment_successful',
-                order: order._id
-            }, { orderNumber: order.orderNumber, method: 'razorpay', orderId: order._id });
-
-            console.log(`Payment captured for order: ${order.orderNumber}`);
+        const result = await applyShipmentUpdate(order, update, 'webhook');
+
+        if (result.statusChanged) {
+            console.log(`Shiprocket webhook moved order ${order.orderNumber} from ${result.previousStatus} to ${result.status}`);
         }
+
+        res.status(200).json(
+            new ApiResponse(200, result, 'Webhook processed successfully')
+        );
     } catch (error) {
-        console.error('Error handling payment captured:', error);
+        next(error);
     }
 };
 
 /**
- * Handle payment failed event
+ * @desc    Test webhook endpoint
+ * @route   POST /api/v1/webhooks/test
+ * @access  Public
  */
-const handlePaymentFailed = async (payment) => {
+export const testWebhook = async (req, res, next) => {
     try {
-        // Find order by Razorpay order ID
-        const order = await Order.findOne({ razorpayOrderId: payment.order_id });
-        
-        if (!order) {
-            console.error(`Order not found for Razorpay order ID: ${payment.order_id}`);
-            return;
-        }
-
-        // Update order status
-        order.status = 'cancelled';
-        order.paymentResult = {
-            id: payment.id,
-            status: payment.status,
-            update_time: Date.now(),
-            email_address: payment.email,
-            razorpay_order_id: payment.order_id,
-            razorpay_payment_id: payment.id,
-            error_code: payment.error_code,
-            error_description: payment.error_description
-        };
-
-        await order.save();
-
-        // Add notification for user
-        await User.findByIdAndUpdate(order.user, {
-            $push: {
-                notifications: {
-                    type: 'payment_failed',
-                    message: `Payment for order ${order.orderNumber} failed. Please try again.`,
-                    order: order._id
-                }
-            }
-        });
-
-        console.log(`Payment failed for order: ${order.orderNumber}`);
+        res.status(200).json(
+            new ApiResponse(200, {
+                message: 'Webhook endpoint is working',
+                timestamp: new Date().toISOString(),
+                body: req.body
+            }, 'Webhook test successful')
+        );
     } catch (error) {
-        console.error('Error handling payment failed:', error);
+        next(error);
     }
-};
-
+}; 
 /**
- * Handle refund processed event
+ * @desc    List stored Razorpay webhook events, newest first
+ * @route   GET /api/v1/admin/webhooks/events
+ * @access  Private/Admin
  */
-const handleRefundProcessed = async (refund) => {
+export const getWebhookEvents = async (req, res, next) => {
     try {
-        // Find order by Razorpay payment ID
-        const order = await Order.findOne({ 
-            'paymentResult.razorpay_payment_id': refund.payment_id 
-        });
-        
-        if (!order) {
-            console.error(`Order not found for Razorpay payment ID: ${refund.payment_id}`);
-            return;
-        }
-
-        // Update order refund details
-        order.refundStatus = 'completed';
-        order.refundDetails = {
-            amount: refund.amount / 100, // Convert from paise to rupees
-            id: refund.id,
-            status: refund.status,
-            processedAt: Date.now(),
-            reason: refund.notes?.reason || 'Customer request',
-            razorpayRefundId: refund.id
-        };
-
-        await order.save();
-
-        // Add notification for user
-        await User.findByIdAndUpdate(order.user, {
-            $push: {
-                notifications: {
-                    type: 'refund_processed',
-                    message: `Refund for order ${order.orderNumber} has been processed. Amount: ₹${refund.amount / 100}`,
-                    order: order._id
-                }
+        const page = parseInt(req.query.page, 10) || 1;
+        const limit = parseInt(req.query.limit, 10) || 20;
+        const skip = (page - 1) * limit;
+
+        const filter = {};
+        if (req.query.status) filter.status = req.query.status;
+        if (req.query.event) filter.event = req.query.event;
+
+        const [events, total] = await Promise.all([
+            WebhookEvent.find(filter)
+                .select('-payload')
+                .sort({ created_at: -1 })
+                .skip(skip)
+                .limit(limit),
+            WebhookEvent.countDocuments(filter)
+        ]);
+
+        res.status(200).json(new ApiResponse(200, {
+            events,
+            pagination: {
+                total,
+                page,
+                limit,
+                totalPages: Math.ceil(total / limit)
             }
-        });
-
-        console.log(`Refund processed for order: ${order.orderNumber}`);
+        }, 'Webhook events retrieved successfully'));
     } catch (error) {
-        console.error('Error handling refund processed:', error);
+        next(error);
     }
 };
 
 /**
- * Handle order paid event
+ * @desc    Get a webhook event with its payload
+ * @route   GET /api/v1/admin/webhooks/events/:id
+ * @access  Private/Admin
  */
-const handleOrderPaid = async (orderEntity) => {
+export const getWebhookEventById = async (req, res, next) => {
     try {
-        // Find order by Razorpay order ID
-        const order = await Order.findOne({ razorpayOrderId: orderEntity.id });
-        
-        if (!order) {
-            console.error(`Order not found for Razorpay order ID: ${orderEntity.id}`);
-            return;
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return next(new ApiError(400, 'Invalid webhook event ID'));
         }
 
-        // Update order status
-        if (!order.isPaid) {
-            order.isPaid = true;
-            order.paidAt = Date.now();
-            order.status = 'processing';
-
-            await order.save();
-
-            console.log(`Order paid: ${order.orderNumber}`);
+        const event = await WebhookEvent.findById(req.params.id).populate('replayedBy', 'name email');
+        if (!event) {
+            return next(new ApiError(404, 'Webhook event not found'));
         }
+
+        res.status(200).json(new ApiResponse(200, event, 'Webhook event retrieved successfully'));
     } catch (error) {
-        console.error('Error handling order paid:', error);
+        next(error);
     }
 };
 
 /**
- * @desc    Test webhook endpoint
- * @route   POST /api/v1/webhooks/test
- * @access  Public
+ * @desc    Process a failed or skipped webhook event again
+ * @route   POST /api/v1/admin/webhooks/events/:id/replay
+ * @access  Private/Admin
  */
-export const testWebhook = async (req, res, next) => {
+export const replayWebhookEventById = async (req, res, next) => {
     try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return next(new ApiError(400, 'Invalid webhook event ID'));
+        }
+
+        const event = await replayWebhookEvent(req.params.id, req.user.id);
+
+        await AdminLog.createLog(req.user.id, 'REPLAY_WEBHOOK', 'webhook_events', event._id, {
+            eventId: event.eventId,
+            event: event.event,
+            status: event.status,
+            attempts: event.attempts,
+            error: event.lastError
+        }, req);
+
         res.status(200).json(
-            new ApiResponse(200, {
-                message: 'Webhook endpoint is working',
-                timestamp: new Date().toISOString(),
-                body: req.body
-            }, 'Webhook test successful')
+            new ApiResponse(200, event, event.status === 'failed' ? 'Webhook event failed again' : 'Webhook event replayed')
         );
     } catch (error) {
         next(error);
     }
-}; 
\ No newline at end of file
+};
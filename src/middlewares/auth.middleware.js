@@ -64,13 +64,20 @@ export const restrictTo = (...roles) => {
 };
 
 /**
- * Middleware to check if user is logged in (for rendered pages, no errors)
+ * Middleware to check if user is logged in (for public routes, no errors)
  */
 export const isLoggedIn = async (req, res, next) => {
     try {
-        if (req.cookies.jwt) {
+        let token;
+        if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+            token = req.headers.authorization.split(' ')[1];
+        } else if (req.cookies?.jwt) {
+            token = req.cookies.jwt;
+        }
+
+        if (token) {
             // 1) Verify token
-            const decoded = await promisify(jwt.verify)(req.cookies.jwt, process.env.JWT_SECRET);
+            const decoded = await promisify(jwt.verify)(token, process.env.JWT_SECRET);
 
             // 2) Check if user still exists
             const currentUser = await User.findById(decoded.id);
@@ -10,17 +10,21 @@ const adminLogSchema = new mongoose.Schema({
         type: String,
         required: [true, 'Action type is required'],
         enum: [
-            'CREATE_PRODUCT', 'UPDATE_PRODUCT', 'DELETE_PRODUCT',
+            'CREATE_PRODUCT', 'UPDATE_PRODUCT', 'DELETE_PRODUCT', 'ADJUST_STOCK',
             'CREATE_USER', 'UPDATE_USER', 'DELETE_USER',
-            'UPDATE_ORDER', 'DELETE_ORDER',
-            'SYSTEM_CONFIG', 'LOGIN', 'LOGOUT',
+            'CREATE_ORDER', 'UPDATE_ORDER', 'DELETE_ORDER', 'SEND_PAYMENT_LINK',
+            'MODERATE_REVIEW', 'DELETE_REVIEW',
+            'UPDATE_RETURN',
+            'REPLAY_WEBHOOK',
+            'RUN_RECONCILIATION', 'RESOLVE_RECONCILIATION',
+            'SYSTEM_CONFIG', 'UPDATE_SETTINGS', 'LOGIN', 'LOGOUT',
             'OTHER'
         ]
     },
     target_collection: {
         type: String,
         required: [true, 'Target collection is required'],
-        enum: ['products', 'users', 'orders', 'system', 'auth', 'other']
+        enum: ['products', 'users', 'orders', 'reviews', 'returns', 'webhook_events', 'reconciliation_reports', 'settings', 'system', 'auth', 'other']
     },
     target_id: mongoose.Schema.ObjectId,
     details: {
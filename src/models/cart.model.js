@@ -0,0 +1,74 @@
+import mongoose from 'mongoose';
+
+// Guest carts are removed after this many days without activity
+const GUEST_CART_TTL_DAYS = 30;
+
+const cartItemSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    variant: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    quantity: {
+        type: Number,
+        required: true,
+        min: [1, 'Quantity must be at least 1']
+    },
+    // Unit price when the item was added, so price changes can be flagged at checkout
+    price: {
+        type: Number,
+        required: true
+    },
+    addedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+const cartSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    guestToken: {
+        type: String,
+        default: null
+    },
+    items: [cartItemSchema],
+    expiresAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+});
+
+// Indexes for better query performance
+cartSchema.index({ user: 1 }, { unique: true, partialFilterExpression: { user: { $type: 'objectId' } } });
+cartSchema.index({ guestToken: 1 }, { unique: true, partialFilterExpression: { guestToken: { $type: 'string' } } });
+cartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Pre-save hook to push back the expiry of guest carts on every change
+cartSchema.pre('save', function (next) {
+    this.expiresAt = this.user
+        ? null
+        : new Date(Date.now() + GUEST_CART_TTL_DAYS * 24 * 60 * 60 * 1000);
+    next();
+});
+
+// Instance method to find the line for a product (and variant)
+cartSchema.methods.findItem = function (productId, variantId = null) {
+    return this.items.find(item =>
+        item.product.toString() === productId.toString() &&
+        (item.variant ? item.variant.toString() : null) === (variantId ? variantId.toString() : null)
+    );
+};
+
+const Cart = mongoose.model('Cart', cartSchema);
+
+export default Cart;
@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+
+// One recovery reminder sent for an abandoned cart or an unpaid order
+const cartReminderSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    source: {
+        type: String,
+        required: true,
+        enum: {
+            values: ['cart', 'unpaid_order'],
+            message: 'Source must be either: cart or unpaid_order'
+        }
+    },
+    cart: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Cart',
+        default: null
+    },
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        default: null
+    },
+    // Value of the cart or order when the reminder was sent
+    value: {
+        type: Number,
+        default: 0
+    },
+    itemCount: {
+        type: Number,
+        default: 0
+    },
+    sentAt: {
+        type: Date,
+        default: Date.now
+    },
+    recovered: {
+        type: Boolean,
+        default: false
+    },
+    recoveredAt: {
+        type: Date,
+        default: null
+    },
+    recoveredOrder: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        default: null
+    },
+    recoveredRevenue: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+});
+
+// Indexes for better query performance
+cartReminderSchema.index({ cart: 1, sentAt: -1 });
+cartReminderSchema.index({ order: 1 });
+cartReminderSchema.index({ recovered: 1, sentAt: -1 });
+
+const CartReminder = mongoose.model('CartReminder', cartReminderSchema);
+
+export default CartReminder;
@@ -0,0 +1,177 @@
+import mongoose from 'mongoose';
+
+const redemptionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true
+    },
+    discountAmount: {
+        type: Number,
+        default: 0
+    },
+    redeemedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    _id: false
+});
+
+const couponSchema = new mongoose.Schema({
+    code: {
+        type: String,
+        required: [true, 'A coupon must have a code'],
+        unique: true,
+        uppercase: true,
+        trim: true,
+        maxlength: [30, 'A coupon code cannot be more than 30 characters']
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'A coupon description cannot be more than 200 characters']
+    },
+    discountType: {
+        type: String,
+        required: [true, 'A coupon must have a discount type'],
+        enum: {
+            values: ['percentage', 'fixed', 'free_shipping'],
+            message: 'Discount type must be either: percentage, fixed, or free_shipping'
+        }
+    },
+    discountValue: {
+        type: Number,
+        default: 0,
+        min: [0, 'Discount value must be positive'],
+        validate: {
+            validator: function (val) {
+                return this.discountType !== 'percentage' || val <= 100;
+            },
+            message: 'A percentage discount cannot be more than 100'
+        }
+    },
+    maxDiscountAmount: {
+        type: Number,
+        min: [0, 'Maximum discount amount must be positive']
+    },
+    minCartValue: {
+        type: Number,
+        default: 0,
+        min: [0, 'Minimum cart value must be positive']
+    },
+    // null means unlimited
+    usageLimit: {
+        type: Number,
+        default: null,
+        min: [1, 'Usage limit must be at least 1']
+    },
+    usageLimitPerUser: {
+        type: Number,
+        default: null,
+        min: [1, 'Usage limit per user must be at least 1']
+    },
+    usedCount: {
+        type: Number,
+        default: 0,
+        min: [0, 'Used count cannot be negative']
+    },
+    redemptions: [redemptionSchema],
+    validFrom: {
+        type: Date,
+        default: Date.now
+    },
+    expiryDate: {
+        type: Date,
+        required: [true, 'A coupon must have an expiry date']
+    },
+    // Empty scope means the coupon applies to the whole cart
+    applicableProducts: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product'
+    }],
+    applicableCategories: [{
+        type: String,
+        enum: {
+            values: ['Trial Pack', 'Gift Box', 'Full Size'],
+            message: 'Category must be either: Trial Pack, Gift Box, or Full Size'
+        }
+    }],
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+});
+
+// Indexes for better query performance
+couponSchema.index({ isActive: 1, expiryDate: 1 });
+couponSchema.index({ 'redemptions.user': 1 });
+
+// Instance method to check the active flag and validity window
+couponSchema.methods.isCurrentlyValid = function (date = new Date()) {
+    return this.isActive &&
+        (!this.validFrom || this.validFrom <= date) &&
+        this.expiryDate > date;
+};
+
+// Instance method to count how many times a user has redeemed this coupon
+couponSchema.methods.countUserRedemptions = function (userId) {
+    if (!userId) return 0;
+    return this.redemptions.filter(r => r.user.toString() === userId.toString()).length;
+};
+
+// Instance method to check if a line item falls within the coupon's product/category scope
+couponSchema.methods.appliesToItem = function (item) {
+    const hasProductScope = this.applicableProducts && this.applicableProducts.length > 0;
+    const hasCategoryScope = this.applicableCategories && this.applicableCategories.length > 0;
+
+    if (!hasProductScope && !hasCategoryScope) return true;
+
+    const productId = item.product ? item.product.toString() : null;
+    if (hasProductScope && productId && this.applicableProducts.some(id => id.toString() === productId)) {
+        return true;
+    }
+    return hasCategoryScope && !!item.category && this.applicableCategories.includes(item.category);
+};
+
+/**
+ * Instance method to calculate the discount for a set of line items
+ * @param {Array} items - [{ product, category, price, quantity }]
+ * @param {Number} shippingPrice - Shipping charge, used by free_shipping coupons
+ * @returns {Number} - Discount amount in rupees
+ */
+couponSchema.methods.calculateDiscount = function (items, shippingPrice = 0) {
+    if (this.discountType === 'free_shipping') {
+        return shippingPrice;
+    }
+
+    const eligibleSubtotal = items
+        .filter(item => this.appliesToItem(item))
+        .reduce((acc, item) => acc + item.price * item.quantity, 0);
+
+    let discount = this.discountType === 'percentage'
+        ? (this.discountValue / 100) * eligibleSubtotal
+        : Math.min(this.discountValue, eligibleSubtotal);
+
+    // Cap discount at maximum allowed value if specified
+    if (this.maxDiscountAmount && discount > this.maxDiscountAmount) {
+        discount = this.maxDiscountAmount;
+    }
+
+    return Math.round(discount * 100) / 100;
+};
+
+const Coupon = mongoose.model('Coupon', couponSchema);
+
+export default Coupon;
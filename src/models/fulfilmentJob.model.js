@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+
+// A failed attempt at pushing an order to Shiprocket, retried until it goes through
+const fulfilmentJobSchema = new mongoose.Schema({
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true,
+        unique: true
+    },
+    status: {
+        type: String,
+        enum: {
+            values: ['pending', 'failed', 'succeeded', 'skipped'],
+            message: 'Status must be either: pending, failed, succeeded, or skipped'
+        },
+        default: 'pending'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    nextAttemptAt: {
+        type: Date,
+        default: Date.now
+    },
+    lastAttemptAt: {
+        type: Date,
+        default: null
+    },
+    lastError: {
+        type: String,
+        default: null
+    },
+    // Most recent errors, newest last
+    errorHistory: [{
+        at: { type: Date, default: Date.now },
+        error: { type: String }
+    }],
+    completedAt: {
+        type: Date,
+        default: null
+    },
+    // Admin who pushed the order by hand, if it was not the retry job
+    resolvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    }
+}, {
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+});
+
+// Indexes for better query performance
+fulfilmentJobSchema.index({ status: 1, nextAttemptAt: 1 });
+
+const FulfilmentJob = mongoose.model('FulfilmentJob', fulfilmentJobSchema);
+
+export default FulfilmentJob;
@@ -0,0 +1,95 @@
+import mongoose from 'mongoose';
+
+const partySchema = new mongoose.Schema({
+    name: String,
+    address: String,
+    city: String,
+    state: String,
+    stateCode: String,
+    pincode: String,
+    country: String,
+    gstin: String,
+    email: String,
+    phone: String,
+    website: String
+}, {
+    _id: false
+});
+
+const invoiceLineSchema = new mongoose.Schema({
+    description: { type: String, required: true },
+    sku: String,
+    hsnCode: String,
+    quantity: { type: Number, required: true },
+    unitPrice: { type: Number, required: true },
+    discount: { type: Number, default: 0 },
+    taxableValue: { type: Number, required: true },
+    gstRate: { type: Number, default: 0 },
+    cgst: { type: Number, default: 0 },
+    sgst: { type: Number, default: 0 },
+    igst: { type: Number, default: 0 },
+    total: { type: Number, required: true }
+}, {
+    _id: false
+});
+
+// A tax invoice as issued; never edited so re-downloads are identical. The row is reserved for
+// its order before a number is taken, so numbers are only used by invoices that exist.
+const invoiceSchema = new mongoose.Schema({
+    // Unset while the row is reserved and not numbered yet
+    invoiceNumber: String,
+    financialYear: {
+        type: String,
+        required: true
+    },
+    sequence: Number,
+    // When a request started numbering the reserved row
+    numberingAt: Date,
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true,
+        unique: true
+    },
+    orderNumber: String,
+    orderDate: Date,
+    issuedAt: {
+        type: Date,
+        default: Date.now
+    },
+    seller: partySchema,
+    buyer: partySchema,
+    placeOfSupply: String,
+    // intra_state: CGST + SGST, inter_state: IGST
+    supplyType: {
+        type: String,
+        enum: ['intra_state', 'inter_state']
+    },
+    paymentMethod: String,
+    lines: [invoiceLineSchema],
+    totals: {
+        taxableValue: { type: Number, default: 0 },
+        cgst: { type: Number, default: 0 },
+        sgst: { type: Number, default: 0 },
+        igst: { type: Number, default: 0 },
+        shipping: { type: Number, default: 0 },
+        shippingDiscount: { type: Number, default: 0 },
+        grandTotal: { type: Number, default: 0 }
+    },
+    // The rendered PDF, served as-is on every download
+    pdf: {
+        type: Buffer,
+        select: false
+    }
+}, {
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+});
+
+// Indexes for better query performance
+// Reserved rows have no number yet, so they are left out of the unique indexes
+invoiceSchema.index({ invoiceNumber: 1 }, { unique: true, partialFilterExpression: { invoiceNumber: { $type: 'string' } } });
+invoiceSchema.index({ financialYear: 1, sequence: 1 }, { unique: true, partialFilterExpression: { sequence: { $type: 'number' } } });
+
+const Invoice = mongoose.model('Invoice', invoiceSchema);
+
+export default Invoice;
@@ -22,9 +22,154 @@ const orderItemSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Product',
         required: true
+    },
+    // Variant (pack size / packaging) of the product, when it has variants
+    variant: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    variantName: {
+        type: String
+    },
+    sku: {
+        type: String
+    },
+    // Weight of one unit in grams
+    weight: {
+        type: Number
+    },
+    hsnCode: {
+        type: String
+    },
+    // Whether this line took units out of product stock when the order was placed
+    stockReserved: {
+        type: Boolean,
+        default: false
+    },
+    // Units taken off the order before it shipped
+    cancelledQuantity: {
+        type: Number,
+        default: 0
+    },
+    // Units refunded after they were delivered
+    returnedQuantity: {
+        type: Number,
+        default: 0
     }
 });
 
+// A refund against the order's payment; an order can have several, up to what was paid
+const refundSchema = new mongoose.Schema({
+    amount: {
+        type: Number,
+        required: true
+    },
+    reason: {
+        type: String
+    },
+    // Lines the refund covers, if it is for particular items
+    items: [{
+        orderItem: { type: mongoose.Schema.Types.ObjectId },
+        quantity: { type: Number }
+    }],
+    method: {
+        type: String,
+        enum: {
+            values: ['razorpay', 'bank_transfer', 'upi'],
+            message: 'Refund method must be either: razorpay, bank_transfer, or upi'
+        },
+        default: 'razorpay'
+    },
+    razorpayRefundId: {
+        type: String
+    },
+    // UTR or reference of a bank/UPI payout
+    transactionId: {
+        type: String
+    },
+    // Where a payout was sent, for refunds not made through Razorpay
+    payout: {
+        upiId: { type: String },
+        accountHolder: { type: String },
+        accountLast4: { type: String },
+        ifsc: { type: String }
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'processed', 'failed'],
+        default: 'pending'
+    },
+    processedAt: {
+        type: Date
+    },
+    processedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, { timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' } });
+
+// One try at paying for the order: a Razorpay order, or a switch to cash on delivery
+const paymentAttemptSchema = new mongoose.Schema({
+    method: {
+        type: String,
+        enum: {
+            values: ['razorpay', 'payment_link', 'cod'],
+            message: 'Payment attempt method must be either: razorpay, payment_link, or cod'
+        },
+        required: true
+    },
+    razorpayOrderId: {
+        type: String
+    },
+    razorpayPaymentId: {
+        type: String
+    },
+    // Payment links sent by an admin; the Razorpay order is only known once the link is paid
+    razorpayPaymentLinkId: {
+        type: String
+    },
+    paymentLinkUrl: {
+        type: String
+    },
+    amount: {
+        type: Number,
+        required: true
+    },
+    // created: waiting for the customer; superseded: replaced by a newer attempt; selected: COD chosen
+    status: {
+        type: String,
+        enum: {
+            values: ['created', 'failed', 'paid', 'superseded', 'selected'],
+            message: 'Payment attempt status must be either: created, failed, paid, superseded, or selected'
+        },
+        default: 'created'
+    },
+    errorCode: {
+        type: String
+    },
+    errorDescription: {
+        type: String
+    }
+}, { timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' } });
+
+const trackingEventSchema = new mongoose.Schema({
+    status: {
+        type: String
+    },
+    activity: {
+        type: String
+    },
+    location: {
+        type: String
+    },
+    date: {
+        type: Date
+    },
+    // 'webhook' or 'poll'
+    source: {
+        type: String
+    }
+}, { _id: false });
+
 const orderSchema = new mongoose.Schema({
     user: {
         type: mongoose.Schema.Types.ObjectId,
@@ -63,6 +208,10 @@ const orderSchema = new mongoose.Schema({
         required: true,
         default: 0.0
     },
+    // GST rate (%) the order was taxed at
+    taxRate: {
+        type: Number
+    },
     shippingPrice: {
         type: Number,
         required: true,
@@ -96,9 +245,15 @@ const orderSchema = new mongoose.Schema({
     status: {
         type: String,
         required: true,
-        enum: ['pending', 'processing', 'shipped', 'delivered', 'cancelled', 'refunded'],
+        enum: ['pending', 'processing', 'shipped', 'delivered', 'returned', 'cancelled', 'refunded'],
         default: 'pending'
     },
+    // Stock lifecycle: reserved on creation, committed on payment, released on cancel/failure
+    inventoryStatus: {
+        type: String,
+        enum: ['none', 'reserved', 'committed', 'released'],
+        default: 'none'
+    },
     // Shiprocket integration fields
     shiprocketOrderId: {
         type: String,
@@ -108,17 +263,99 @@ const orderSchema = new mongoose.Schema({
         type: String,
         default: null
     },
+    // Shiprocket courier the AWB was assigned with
+    courierId: {
+        type: Number
+    },
+    awbAssignedAt: {
+        type: Date
+    },
+    pickupScheduledAt: {
+        type: Date
+    },
+    pickupTokenNumber: {
+        type: String
+    },
+    labelUrl: {
+        type: String
+    },
+    manifestUrl: {
+        type: String
+    },
     trackingNumber: {
         type: String
     },
+    courier: {
+        type: String
+    },
+    estimatedDelivery: {
+        type: Date
+    },
+    shippedAt: {
+        type: Date
+    },
+    cancelledAt: {
+        type: Date
+    },
+    cancellationReason: {
+        type: String
+    },
+    // Phone verification of a COD order, when the store asks for it
+    codConfirmation: {
+        status: {
+            type: String,
+            enum: ['pending', 'confirmed']
+        },
+        phone: { type: String },
+        requestedAt: { type: Date },
+        confirmedAt: { type: Date }
+    },
+    // Courier's remittance of cash collected on delivery
+    codRemittance: {
+        reference: { type: String },
+        remittedAt: { type: Date },
+        markedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+    },
+    // Unpaid online orders are cancelled at this time; set when the payment timeout passes
+    paymentExpiresAt: {
+        type: Date
+    },
+    // Latest courier status as reported by Shiprocket, e.g. "OUT FOR DELIVERY"
+    shipmentStatus: {
+        type: String
+    },
+    // Courier scans, oldest first
+    trackingEvents: [trackingEventSchema],
+    trackingUpdatedAt: {
+        type: Date
+    },
+    // Whether the last tracking update came from the Shiprocket webhook or the polling job
+    trackingSource: {
+        type: String,
+        enum: ['webhook', 'poll']
+    },
     orderNumber: {
         type: String,
         required: true,
         unique: true
     },
+    // Where the order was placed; decides the order number prefix
+    channel: {
+        type: String,
+        enum: ['web', 'admin', 'marketplace'],
+        default: 'web'
+    },
+    // Admin who took an admin channel order over the phone or WhatsApp
+    placedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    // Razorpay order of the latest payment attempt
     razorpayOrderId: {
         type: String
     },
+    // Every payment attempt, oldest first
+    paymentAttempts: [paymentAttemptSchema],
     couponCode: {
         type: String
     },
@@ -127,9 +364,16 @@ const orderSchema = new mongoose.Schema({
     },
     refundStatus: {
         type: String,
-        enum: ['pending', 'processing', 'completed', 'failed'],
+        enum: ['pending', 'processing', 'partial', 'completed', 'failed'],
         required: false
     },
+    // Every refund made on the order, oldest first
+    refunds: [refundSchema],
+    // Sum of refunds that have not failed
+    amountRefunded: {
+        type: Number,
+        default: 0
+    },
     refundDetails: {
         amount: { type: Number },
         id: { type: String },
@@ -137,12 +381,18 @@ const orderSchema = new mongoose.Schema({
         processedAt: { type: Date },
         processedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
         reason: { type: String },
+        method: { type: String },
+        transactionId: { type: String },
         razorpayRefundId: { type: String }
     }
 }, { timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' } });
 
 // Add any order-specific methods here
 
+// Indexes for better query performance
+orderSchema.index({ 'paymentAttempts.razorpayOrderId': 1 });
+orderSchema.index({ 'paymentAttempts.razorpayPaymentLinkId': 1 });
+
 const Order = mongoose.model('Order', orderSchema);
 
 export default Order;
\ No newline at end of file
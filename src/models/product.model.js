@@ -1,6 +1,66 @@
 import mongoose from 'mongoose';
 import slugify from 'slugify';
 
+const variantSchema = new mongoose.Schema({
+    sku: {
+        type: String,
+        required: [true, 'A variant must have a SKU'],
+        trim: true,
+        uppercase: true
+    },
+    name: {
+        type: String,
+        required: [true, 'A variant must have a name'],
+        trim: true,
+        maxlength: [100, 'A variant name cannot be more than 100 characters']
+    },
+    packaging: {
+        type: String,
+        enum: {
+            values: ['Teabags', 'Whole Leaf', ''],
+            message: 'Packaging must be either: Teabags or Whole Leaf'
+        }
+    },
+    size: String,
+    weight: {
+        type: Number,
+        required: [true, 'A variant must have a weight in grams'],
+        min: [0, 'Weight must be positive']
+    },
+    price: {
+        type: Number,
+        required: [true, 'A variant must have a price'],
+        min: [0, 'Price must be positive']
+    },
+    compareAtPrice: {
+        type: Number,
+        min: [0, 'Compare-at price must be positive']
+    },
+    images: [String],
+    stock: {
+        type: Number,
+        default: 0,
+        min: [0, 'Stock cannot be negative']
+    },
+    reservedStock: {
+        type: Number,
+        default: 0,
+        min: [0, 'Reserved stock cannot be negative']
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Virtual for variant out-of-stock flag
+variantSchema.virtual('isOutOfStock').get(function () {
+    return typeof this.stock !== 'number' || this.stock <= 0;
+});
+
 const productSchema = new mongoose.Schema({
     name: {
         type: String,
@@ -52,11 +112,43 @@ const productSchema = new mongoose.Schema({
         }
     },
     quantity: String,
+    // Pack sizes / packaging options, each with its own SKU, price and stock
+    variants: {
+        type: [variantSchema],
+        validate: {
+            validator: function (val) {
+                const skus = val.map(v => v.sku);
+                return new Set(skus).size === skus.length;
+            },
+            message: 'Variant SKUs must be unique'
+        }
+    },
     price: {
         type: Number,
         required: [true, 'A product must have a price'],
         min: [0, 'Price must be positive']
     },
+    // Units available to sell; units held by unpaid orders are moved to reservedStock
+    stock: {
+        type: Number,
+        default: 0,
+        min: [0, 'Stock cannot be negative']
+    },
+    reservedStock: {
+        type: Number,
+        default: 0,
+        min: [0, 'Reserved stock cannot be negative']
+    },
+    trackInventory: {
+        type: Boolean,
+        default: true
+    },
+    // HSN code printed on GST invoices (0902 covers tea)
+    hsnCode: {
+        type: String,
+        trim: true,
+        default: '0902'
+    },
     offer: String,
     gift_included: String,
     rating: {
@@ -111,6 +203,11 @@ productSchema.index({ category: 1 });
 productSchema.index({ type: 1 });
 productSchema.index({ price: 1 });
 productSchema.index({ rating: -1 });
+productSchema.index({ stock: 1 });
+productSchema.index(
+    { 'variants.sku': 1 },
+    { unique: true, partialFilterExpression: { 'variants.sku': { $exists: true } } }
+);
 
 // Pre-save hook to create slug from name
 productSchema.pre('save', function (next) {
@@ -119,6 +216,16 @@ productSchema.pre('save', function (next) {
     next();
 });
 
+// Pre-save hook to keep the listing price at the cheapest active variant
+productSchema.pre('save', function (next) {
+    if (!this.isModified('variants')) return next();
+    const activePrices = this.variants.filter(v => v.isActive).map(v => v.price);
+    if (activePrices.length > 0) {
+        this.price = Math.min(...activePrices);
+    }
+    next();
+});
+
 // Virtual for formatted price
 productSchema.virtual('formattedPrice').get(function () {
     if (typeof this.price === 'number') {
@@ -127,6 +234,23 @@ productSchema.virtual('formattedPrice').get(function () {
     return '₹0.00';
 });
 
+// Virtual for out-of-stock flag
+productSchema.virtual('isOutOfStock').get(function () {
+    if (this.trackInventory === false) return false;
+    const activeVariants = (this.variants || []).filter(v => v.isActive);
+    if (activeVariants.length > 0) {
+        return activeVariants.every(v => typeof v.stock !== 'number' || v.stock <= 0);
+    }
+    return typeof this.stock !== 'number' || this.stock <= 0;
+});
+
+// Instance method to find a variant by ID or SKU
+productSchema.methods.findVariant = function (variantIdOrSku) {
+    if (!variantIdOrSku || !this.variants) return null;
+    const key = variantIdOrSku.toString();
+    return this.variants.find(v => v._id.toString() === key || v.sku === key.toUpperCase()) || null;
+};
+
 // Virtual for id field (maps _id to id for frontend compatibility)
 productSchema.virtual('id').get(function () {
     return this._id ? this._id.toString() : null;
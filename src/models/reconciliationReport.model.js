@@ -0,0 +1,166 @@
+import mongoose from 'mongoose';
+
+// Something a reconciliation run found, or fixed, for a single Razorpay payment
+const reconciliationItemSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        required: true,
+        enum: {
+            values: ['missed_capture_fixed', 'amount_mismatch', 'orphan_payment', 'duplicate_payment', 'paid_cancelled_order', 'fix_failed'],
+            message: 'Type must be either: missed_capture_fixed, amount_mismatch, orphan_payment, duplicate_payment, paid_cancelled_order, or fix_failed'
+        }
+    },
+    razorpayPaymentId: {
+        type: String,
+        required: true
+    },
+    razorpayOrderId: {
+        type: String,
+        default: null
+    },
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        default: null
+    },
+    orderNumber: {
+        type: String,
+        default: null
+    },
+    // What Razorpay captured, in rupees
+    amount: {
+        type: Number,
+        required: true
+    },
+    // What the order says the customer owes, in rupees
+    expectedAmount: {
+        type: Number,
+        default: null
+    },
+    method: String,
+    email: String,
+    contact: String,
+    capturedAt: Date,
+    settlementId: {
+        type: String,
+        default: null
+    },
+    message: {
+        type: String,
+        required: true
+    },
+    // Set once an admin has dealt with the item
+    resolved: {
+        type: Boolean,
+        default: false
+    },
+    resolvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    resolvedAt: {
+        type: Date,
+        default: null
+    },
+    resolutionNote: String
+});
+
+// A settlement seen in the run's window, totalled from Razorpay's settlement recon
+const settlementSummarySchema = new mongoose.Schema({
+    settlementId: {
+        type: String,
+        required: true
+    },
+    utr: String,
+    settledAt: Date,
+    // Net credited to the bank account, in rupees
+    amount: {
+        type: Number,
+        default: 0
+    },
+    fees: {
+        type: Number,
+        default: 0
+    },
+    tax: {
+        type: Number,
+        default: 0
+    },
+    payments: {
+        type: Number,
+        default: 0
+    },
+    refunds: {
+        type: Number,
+        default: 0
+    }
+}, { _id: false });
+
+const reconciliationReportSchema = new mongoose.Schema({
+    windowFrom: {
+        type: Date,
+        required: true
+    },
+    windowTo: {
+        type: Date,
+        required: true
+    },
+    trigger: {
+        type: String,
+        enum: {
+            values: ['scheduled', 'manual'],
+            message: 'Trigger must be either: scheduled or manual'
+        },
+        default: 'scheduled'
+    },
+    triggeredBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    status: {
+        type: String,
+        enum: {
+            values: ['running', 'completed', 'failed'],
+            message: 'Status must be either: running, completed, or failed'
+        },
+        default: 'running'
+    },
+    summary: {
+        payments: { type: Number, default: 0 },
+        captured: { type: Number, default: 0 },
+        matched: { type: Number, default: 0 },
+        capturedAmount: { type: Number, default: 0 },
+        missedCapturesFixed: { type: Number, default: 0 },
+        amountMismatches: { type: Number, default: 0 },
+        orphanPayments: { type: Number, default: 0 },
+        duplicatePayments: { type: Number, default: 0 },
+        settled: { type: Number, default: 0 },
+        unsettled: { type: Number, default: 0 },
+        settledAmount: { type: Number, default: 0 },
+        fees: { type: Number, default: 0 },
+        tax: { type: Number, default: 0 }
+    },
+    items: [reconciliationItemSchema],
+    settlements: [settlementSummarySchema],
+    error: {
+        type: String,
+        default: null
+    },
+    completedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+});
+
+// Indexes for better query performance
+reconciliationReportSchema.index({ created_at: -1 });
+reconciliationReportSchema.index({ status: 1, created_at: -1 });
+reconciliationReportSchema.index({ 'items.type': 1, 'items.resolved': 1 });
+
+const ReconciliationReport = mongoose.model('ReconciliationReport', reconciliationReportSchema);
+
+export default ReconciliationReport;
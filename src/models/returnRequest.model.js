@@ -0,0 +1,165 @@
+import mongoose from 'mongoose';
+
+export const RETURN_REASONS = [
+    'damaged',
+    'defective',
+    'wrong_item',
+    'missing_item',
+    'quality_issue',
+    'not_as_described',
+    'changed_mind',
+    'other'
+];
+
+export const RETURN_STATUSES = [
+    'requested',
+    'approved',
+    'rejected',
+    'pickup_scheduled',
+    'received',
+    'inspected',
+    'refunded',
+    'cancelled'
+];
+
+const returnItemSchema = new mongoose.Schema({
+    // Line of the original order being returned
+    orderItem: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    variant: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    name: {
+        type: String,
+        required: true
+    },
+    sku: {
+        type: String
+    },
+    quantity: {
+        type: Number,
+        required: true,
+        min: [1, 'Quantity must be at least 1']
+    },
+    price: {
+        type: Number,
+        required: true
+    }
+}, { _id: false });
+
+// A customer's request to send back items from a delivered order (RMA)
+const returnRequestSchema = new mongoose.Schema({
+    rmaNumber: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: [true, 'A return must belong to an order']
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'A return must belong to a user']
+    },
+    items: {
+        type: [returnItemSchema],
+        validate: {
+            validator: items => items.length > 0,
+            message: 'A return must include at least one item'
+        }
+    },
+    reason: {
+        type: String,
+        required: [true, 'Please provide a reason for the return'],
+        enum: {
+            values: RETURN_REASONS,
+            message: `Reason must be one of: ${RETURN_REASONS.join(', ')}`
+        }
+    },
+    comments: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Comments cannot be more than 1000 characters']
+    },
+    photos: [{
+        public_id: String,
+        url: String
+    }],
+    status: {
+        type: String,
+        enum: {
+            values: RETURN_STATUSES,
+            message: `Status must be one of: ${RETURN_STATUSES.join(', ')}`
+        },
+        default: 'requested'
+    },
+    // Most the customer can get back for these items: their share of what was paid for goods
+    refundableAmount: {
+        type: Number,
+        default: 0
+    },
+    rejectionReason: {
+        type: String
+    },
+    // Shiprocket reverse pickup
+    pickup: {
+        shiprocketOrderId: { type: String },
+        shiprocketShipmentId: { type: String },
+        awb: { type: String },
+        courier: { type: String },
+        scheduledAt: { type: Date }
+    },
+    inspection: {
+        result: {
+            type: String,
+            enum: ['accepted', 'rejected']
+        },
+        notes: { type: String },
+        restocked: { type: Boolean, default: false },
+        inspectedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        inspectedAt: { type: Date }
+    },
+    refund: {
+        amount: { type: Number },
+        method: { type: String },
+        razorpayRefundId: { type: String },
+        transactionId: { type: String },
+        status: { type: String },
+        processedAt: { type: Date },
+        processedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+    },
+    // Every status change, oldest first
+    history: [{
+        status: { type: String },
+        note: { type: String },
+        by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        at: { type: Date, default: Date.now }
+    }]
+}, {
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+});
+
+// Indexes for better query performance
+returnRequestSchema.index({ order: 1 });
+returnRequestSchema.index({ user: 1, created_at: -1 });
+returnRequestSchema.index({ status: 1, created_at: -1 });
+
+// Method to move the return to a new status and record it in the history
+returnRequestSchema.methods.transition = function (status, by, note) {
+    this.status = status;
+    this.history.push({ status, note, by, at: new Date() });
+};
+
+const ReturnRequest = mongoose.model('ReturnRequest', returnRequestSchema);
+
+export default ReturnRequest;
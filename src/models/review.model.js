@@ -0,0 +1,100 @@
+import mongoose from 'mongoose';
+
+const reviewSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: [true, 'A review must belong to a product']
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'A review must belong to a user']
+    },
+    // Delivered order that made the customer eligible to review
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: [true, 'A review must reference a delivered order']
+    },
+    rating: {
+        type: Number,
+        required: [true, 'A review must have a rating'],
+        min: [1, 'Rating must be at least 1'],
+        max: [5, 'Rating cannot be more than 5'],
+        validate: {
+            validator: Number.isInteger,
+            message: 'Rating must be a whole number of stars'
+        }
+    },
+    title: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'A review title cannot be more than 100 characters']
+    },
+    body: {
+        type: String,
+        trim: true,
+        maxlength: [2000, 'A review cannot be more than 2000 characters']
+    },
+    photos: [{
+        public_id: String,
+        url: String
+    }],
+    status: {
+        type: String,
+        enum: {
+            values: ['pending', 'approved', 'rejected'],
+            message: 'Status must be either: pending, approved, or rejected'
+        },
+        default: 'pending'
+    },
+    moderatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    moderatedAt: {
+        type: Date,
+        default: null
+    },
+    moderationNote: {
+        type: String,
+        trim: true
+    }
+}, {
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+});
+
+// Indexes for better query performance
+reviewSchema.index({ product: 1, user: 1 }, { unique: true });
+reviewSchema.index({ product: 1, status: 1, created_at: -1 });
+reviewSchema.index({ status: 1, created_at: 1 });
+
+// Static method to recalculate a product's rating and review count from its approved reviews
+reviewSchema.statics.calcProductRating = async function (productId) {
+    const stats = await this.aggregate([
+        { $match: { product: new mongoose.Types.ObjectId(productId), status: 'approved' } },
+        { $group: { _id: '$product', reviewCount: { $sum: 1 }, rating: { $avg: '$rating' } } }
+    ]);
+
+    await mongoose.model('Product').findByIdAndUpdate(productId, {
+        rating: stats.length > 0 ? stats[0].rating : 0,
+        reviewCount: stats.length > 0 ? stats[0].reviewCount : 0
+    }, { runValidators: true });
+};
+
+// Keep product aggregates in sync whenever a review is saved or removed
+reviewSchema.post('save', async function () {
+    await this.constructor.calcProductRating(this.product);
+});
+
+reviewSchema.post('findOneAndDelete', async function (doc) {
+    if (doc) {
+        await doc.constructor.calcProductRating(doc.product);
+    }
+});
+
+const Review = mongoose.model('Review', reviewSchema);
+
+export default Review;
@@ -0,0 +1,175 @@
+import mongoose from 'mongoose';
+
+// Store-wide settings; a single document keyed 'store'
+const settingsSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        default: 'store',
+        unique: true,
+        immutable: true
+    },
+    // Delivery
+    chargeDelivery: {
+        type: Boolean,
+        default: false
+    },
+    deliveryCharge: {
+        type: Number,
+        default: 50,
+        min: [0, 'Delivery charge must be positive']
+    },
+    // Orders at or above this value ship free
+    freeShippingThreshold: {
+        type: Number,
+        default: 500,
+        min: [0, 'Free shipping threshold must be positive']
+    },
+    // Tax
+    chargeGST: {
+        type: Boolean,
+        default: true
+    },
+    gstRate: {
+        type: Number,
+        default: 5,
+        min: [0, 'GST rate must be positive'],
+        max: [28, 'GST rate cannot be more than 28']
+    },
+    // Shipping
+    pickupPincode: {
+        type: String,
+        default: '741165',
+        match: [/^\d{6}$/, 'Pickup pincode must be 6 digits']
+    },
+    // Pickup location name as configured in Shiprocket
+    pickupLocation: {
+        type: String,
+        trim: true,
+        default: () => process.env.SHIPROCKET_PICKUP_LOCATION || 'FAZIL NA'
+    },
+    // Order numbers, e.g. {PREFIX}-{YYYY}{MM}{DD}-{SEQ:4} gives YT-20240915-0001
+    orderNumberFormat: {
+        type: String,
+        trim: true,
+        default: '{PREFIX}-{YYYY}{MM}{DD}-{SEQ:4}',
+        validate: {
+            validator: val => /\{SEQ(:\d+)?\}/.test(val),
+            message: 'Order number format must include {SEQ}'
+        }
+    },
+    // How often the sequence starts again from 1
+    orderNumberReset: {
+        type: String,
+        enum: {
+            values: ['daily', 'monthly', 'yearly', 'never'],
+            message: 'Order number reset must be either: daily, monthly, yearly, or never'
+        },
+        default: 'daily'
+    },
+    // Prefix for each sales channel
+    orderNumberPrefixes: {
+        web: {
+            type: String,
+            trim: true,
+            default: 'YT'
+        },
+        admin: {
+            type: String,
+            trim: true,
+            default: 'YTA'
+        },
+        marketplace: {
+            type: String,
+            trim: true,
+            default: 'YTM'
+        }
+    },
+    // Offer cash on delivery at checkout and when switching an unpaid order's payment method
+    codEnabled: {
+        type: Boolean,
+        default: true
+    },
+    // Orders above this value must be paid online (0 for no limit)
+    codMaxOrderValue: {
+        type: Number,
+        default: 5000,
+        min: [0, 'COD order value limit must be positive']
+    },
+    // Customers with this many COD orders returned to origin can no longer choose COD (0 for no limit)
+    codMaxRtoOrders: {
+        type: Number,
+        default: 2,
+        min: [0, 'COD RTO limit must be positive']
+    },
+    // Customers confirm COD orders by verifying the delivery phone number before they are shipped
+    codOtpRequired: {
+        type: Boolean,
+        default: false
+    },
+    // Days after delivery a customer can ask to return items (0 turns returns off)
+    returnWindowDays: {
+        type: Number,
+        default: 7,
+        min: [0, 'Return window must be positive'],
+        max: [90, 'Return window cannot be more than 90 days']
+    },
+    // Unpaid online orders: after the timeout the customer gets a retry link, and the order
+    // is cancelled if it is still unpaid when the grace period ends
+    paymentTimeoutMinutes: {
+        type: Number,
+        default: 60,
+        min: [5, 'Payment timeout must be at least 5 minutes'],
+        max: [10080, 'Payment timeout cannot be more than 10080 minutes (7 days)']
+    },
+    paymentGraceMinutes: {
+        type: Number,
+        default: 30,
+        min: [0, 'Payment grace period must be positive'],
+        max: [1440, 'Payment grace period cannot be more than 1440 minutes (1 day)']
+    },
+    // Hours a payment link for an admin-created order stays payable; the order is cancelled when it expires
+    paymentLinkExpiryHours: {
+        type: Number,
+        default: 48,
+        min: [1, 'Payment link expiry must be at least 1 hour'],
+        max: [720, 'Payment link expiry cannot be more than 720 hours (30 days)']
+    },
+    // Abandoned cart reminders
+    abandonedCartReminders: {
+        type: Boolean,
+        default: true
+    },
+    abandonedCartHours: {
+        type: Number,
+        default: 3,
+        min: [1, 'Abandoned cart threshold must be at least 1 hour'],
+        max: [168, 'Abandoned cart threshold cannot be more than 168 hours']
+    },
+    // Customer notification channels (in-app notifications are always saved)
+    notifications: {
+        whatsapp: {
+            type: Boolean,
+            default: true
+        },
+        email: {
+            type: Boolean,
+            default: true
+        },
+        // Only email when WhatsApp could not be sent
+        emailFallback: {
+            type: Boolean,
+            default: true
+        }
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    }
+}, {
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+});
+
+const Settings = mongoose.model('Settings', settingsSchema);
+
+export default Settings;
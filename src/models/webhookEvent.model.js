@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+
+// A webhook delivery from Razorpay, kept so retries and duplicates are only applied once
+const webhookEventSchema = new mongoose.Schema({
+    // Razorpay's x-razorpay-event-id, or a hash of the body when it is missing
+    eventId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    source: {
+        type: String,
+        enum: ['razorpay'],
+        default: 'razorpay'
+    },
+    // e.g. payment.captured
+    event: {
+        type: String,
+        required: true
+    },
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: {
+            values: ['received', 'processing', 'processed', 'skipped', 'failed'],
+            message: 'Status must be either: received, processing, processed, skipped, or failed'
+        },
+        default: 'received'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    // Why the last attempt failed, or why the event was skipped
+    lastError: {
+        type: String,
+        default: null
+    },
+    // Times the same event was delivered again after the first
+    duplicates: {
+        type: Number,
+        default: 0
+    },
+    processedAt: {
+        type: Date,
+        default: null
+    },
+    // Admin who last replayed the event
+    replayedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    }
+}, {
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+});
+
+// Indexes for better query performance
+webhookEventSchema.index({ status: 1, created_at: -1 });
+webhookEventSchema.index({ event: 1, created_at: -1 });
+
+const WebhookEvent = mongoose.model('WebhookEvent', webhookEventSchema);
+
+export default WebhookEvent;
@@ -22,6 +22,11 @@ import {
     updateProduct,
     deleteProduct,
     getProductStats,
+    adjustProductStock,
+    getProductStockHistory,
+    addProductVariant,
+    updateProductVariant,
+    deleteProductVariant,
     
     // Logs
     getAdminLogs,
@@ -32,12 +37,61 @@ import {
     
     // Analytics
     getAnalytics,
+    getAbandonedCartStats,
     
     // System Operations
     getSystemHealth,
     clearCache,
-    getAdminSettings
+    getAdminSettings,
+    updateAdminSettings,
+    getSettingsHistory
 } from '../controllers/admin.controller.js';
+import {
+    createCoupon,
+    getAllCoupons,
+    getCouponById,
+    updateCoupon,
+    deleteCoupon
+} from '../controllers/coupon.controller.js';
+import {
+    getReviewsForModeration,
+    moderateReview,
+    adminDeleteReview
+} from '../controllers/review.controller.js';
+import {
+    getOrderCouriers,
+    assignOrderAwb,
+    bulkAssignAwb,
+    scheduleOrderPickup,
+    bulkSchedulePickup,
+    downloadOrderLabel,
+    downloadBulkLabels,
+    downloadOrderManifest,
+    downloadBulkManifest,
+    getShipmentExceptions,
+    pushOrderToShiprocketAgain
+} from '../controllers/shipment.controller.js';
+import {
+    getAllReturns,
+    approveReturn,
+    rejectReturn,
+    scheduleReturnPickup,
+    receiveReturn,
+    inspectReturn,
+    refundReturnRequest
+} from '../controllers/return.controller.js';
+import {
+    getWebhookEvents,
+    getWebhookEventById,
+    replayWebhookEventById
+} from '../controllers/webhook.controller.js';
+import {
+    getReconciliationReports,
+    getReconciliationReportById,
+    runReconciliationNow,
+    resolveReconciliationItem
+} from '../controllers/reconciliation.controller.js';
+import { getCodRemittanceReport, createAdminOrder, resendPaymentLink } from '../controllers/order.controller.js';
 import { isAuthenticated } from '../middlewares/auth.middleware.js';
 import { restrictTo } from '../middlewares/role.middleware.js';
 import { uploadMultiplePhotos } from '../middlewares/photoUpload.middleware.js';
@@ -61,7 +115,8 @@ router.route('/customers/:id')
 
 // ==================== ORDERS ====================
 router.route('/orders')
-    .get(getAllOrders);
+    .get(getAllOrders)
+    .post(createAdminOrder);
 
 router.route('/orders/stats')
     .get(getOrderStats);
@@ -72,6 +127,22 @@ router.route('/orders/:id')
 router.route('/orders/:id/status')
     .put(updateOrderStatus);
 
+router.post('/orders/:id/payment-link/resend', resendPaymentLink);
+
+// ==================== SHIPMENTS ====================
+router.get('/orders/:id/couriers', getOrderCouriers);
+router.post('/orders/:id/awb', assignOrderAwb);
+router.post('/orders/:id/pickup', scheduleOrderPickup);
+router.get('/orders/:id/label', downloadOrderLabel);
+router.get('/orders/:id/manifest', downloadOrderManifest);
+router.post('/orders/:id/push-to-shiprocket', pushOrderToShiprocketAgain);
+
+router.post('/shipments/awb', bulkAssignAwb);
+router.post('/shipments/pickup', bulkSchedulePickup);
+router.post('/shipments/label', downloadBulkLabels);
+router.post('/shipments/manifest', downloadBulkManifest);
+router.get('/shipments/exceptions', getShipmentExceptions);
+
 // ==================== PRODUCTS ====================
 router.route('/products')
     .get(getAllProducts)
@@ -85,6 +156,56 @@ router.route('/products/:id')
     .put(uploadMultiplePhotos, updateProduct)
     .delete(deleteProduct);
 
+router.route('/products/:id/variants')
+    .post(uploadMultiplePhotos, addProductVariant);
+
+router.route('/products/:id/variants/:variantId')
+    .put(uploadMultiplePhotos, updateProductVariant)
+    .delete(deleteProductVariant);
+
+router.route('/products/:id/stock')
+    .put(adjustProductStock);
+
+router.get('/products/:id/stock-history', getProductStockHistory);
+
+// ==================== COUPONS ====================
+router.route('/coupons')
+    .get(getAllCoupons)
+    .post(createCoupon);
+
+router.route('/coupons/:id')
+    .get(getCouponById)
+    .put(updateCoupon)
+    .delete(deleteCoupon);
+
+// ==================== REVIEWS ====================
+router.get('/reviews', getReviewsForModeration);
+router.put('/reviews/:id/moderate', moderateReview);
+router.delete('/reviews/:id', adminDeleteReview);
+
+// ==================== RETURNS ====================
+router.get('/returns', getAllReturns);
+router.put('/returns/:id/approve', approveReturn);
+router.put('/returns/:id/reject', rejectReturn);
+router.post('/returns/:id/pickup', scheduleReturnPickup);
+router.put('/returns/:id/receive', receiveReturn);
+router.put('/returns/:id/inspect', inspectReturn);
+router.post('/returns/:id/refund', refundReturnRequest);
+
+// ==================== WEBHOOKS ====================
+router.get('/webhooks/events', getWebhookEvents);
+router.get('/webhooks/events/:id', getWebhookEventById);
+router.post('/webhooks/events/:id/replay', replayWebhookEventById);
+
+// ==================== PAYMENT RECONCILIATION ====================
+router.get('/reconciliation/reports', getReconciliationReports);
+router.get('/reconciliation/reports/:id', getReconciliationReportById);
+router.post('/reconciliation/run', runReconciliationNow);
+router.put('/reconciliation/reports/:id/items/:itemId/resolve', resolveReconciliationItem);
+
+// ==================== COD ====================
+router.get('/cod/pending-remittance', getCodRemittanceReport);
+
 // ==================== LOGS ====================
 router.get('/logs', getAdminLogs);
 
@@ -97,9 +218,13 @@ router.route('/users/:id')
 
 // ==================== ANALYTICS ====================
 router.get('/analytics', getAnalytics);
+router.get('/analytics/abandoned-carts', getAbandonedCartStats);
 
 // ==================== SETTINGS ====================
-router.get('/settings', getAdminSettings);
+router.route('/settings')
+    .get(getAdminSettings)
+    .put(updateAdminSettings);
+router.get('/settings/history', getSettingsHistory);
 
 // ==================== SYSTEM OPERATIONS ====================
 router.get('/system/health', getSystemHealth);
@@ -0,0 +1,28 @@
+import express from 'express';
+import {
+    getCart,
+    addCartItem,
+    updateCartItem,
+    removeCartItem,
+    clearCart,
+    mergeCart
+} from '../controllers/cart.controller.js';
+import { isAuthenticated, isLoggedIn } from '../middlewares/auth.middleware.js';
+
+const router = express.Router();
+
+// Public routes - logged in users get their own cart, guests use the X-Cart-Token header
+router.route('/')
+    .get(isLoggedIn, getCart)
+    .delete(isLoggedIn, clearCart);
+
+router.post('/items', isLoggedIn, addCartItem);
+
+router.route('/items/:itemId')
+    .put(isLoggedIn, updateCartItem)
+    .delete(isLoggedIn, removeCartItem);
+
+// Protected route - move a guest cart into the user's cart
+router.post('/merge', isAuthenticated, mergeCart);
+
+export default router;
@@ -0,0 +1,10 @@
+import express from 'express';
+import { validateCouponCode } from '../controllers/coupon.controller.js';
+import { isLoggedIn } from '../middlewares/auth.middleware.js';
+
+const router = express.Router();
+
+// Public route - per-user limits are checked when a token is sent
+router.post('/validate', isLoggedIn, validateCouponCode);
+
+export default router;
@@ -1,8 +1,10 @@
 import express from 'express';
 import {
     createOrder,
+    getOrderQuote,
     getOrderStats,
     cancelOrder,
+    cancelOrderItems,
     processRefund,
     generateInvoice,
     trackOrder,
@@ -11,10 +13,12 @@ import {
     updateShippingDetails,
     getOrderCountByStatus,
     markCodOrderAsPaid,
+    checkCodAvailability,
+    confirmCodOrder,
     getAllOrders,
     shiprocketServiceability
 } from '../controllers/order.controller.js';
-import { isAuthenticated, protect, restrictTo } from '../middlewares/auth.middleware.js';
+import { isAuthenticated, isLoggedIn, protect, restrictTo } from '../middlewares/auth.middleware.js';
 
 const router = express.Router();
 
@@ -22,6 +26,12 @@ const router = express.Router();
 router.route('/')
     .post(isAuthenticated, createOrder);
 
+// Server-side price quote for the cart page
+router.post('/quote', isLoggedIn, getOrderQuote);
+
+// Whether cash on delivery can be offered for the cart and pincode
+router.post('/cod-availability', isAuthenticated, checkCodAvailability);
+
 // Order statistics route (admin only)
 router.route('/stats')
     .get(isAuthenticated, restrictTo('admin'), getOrderStats);
@@ -42,6 +52,9 @@ router.route('/count-by-status')
 router.route('/:id/cancel')
     .put(isAuthenticated, cancelOrder);
 
+router.route('/:id/cancel-items')
+    .put(isAuthenticated, cancelOrderItems);
+
 router.route('/:id/refund')
     .put(isAuthenticated, restrictTo('admin'), processRefund);
 
@@ -54,6 +67,9 @@ router.route('/:id/track')
 router.route('/:id/shipping')
     .put(isAuthenticated, restrictTo('admin'), updateShippingDetails);
 
+// Confirm a COD order with a phone verification
+router.post('/:id/confirm-cod', isAuthenticated, confirmCodOrder);
+
 // Mark COD order as paid (admin only)
 router.put('/:id/cod-paid', protect, restrictTo('admin'), markCodOrderAsPaid);
 
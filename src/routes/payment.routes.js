@@ -2,6 +2,7 @@ import express from 'express';
 import {
     createRazorpayOrder,
     verifyPayment,
+    retryPayment,
     getPaymentStatus,
     processRefund,
     getPaymentMethods,
@@ -47,6 +48,7 @@ router.use(protect);
 // Payment processing routes
 router.post('/create-order', createRazorpayOrder);
 router.post('/verify', verifyPayment);
+router.post('/retry', retryPayment);
 router.get('/status/:orderId', getPaymentStatus);
 
 // Admin only routes
@@ -0,0 +1,24 @@
+import express from 'express';
+import {
+    createReturn,
+    getReturnEligibility,
+    getMyReturns,
+    getReturn,
+    cancelReturn
+} from '../controllers/return.controller.js';
+import { isAuthenticated } from '../middlewares/auth.middleware.js';
+import { uploadMultiplePhotos } from '../middlewares/photoUpload.middleware.js';
+
+const router = express.Router();
+
+// All return routes are protected
+router.use(isAuthenticated);
+
+router.post('/', uploadMultiplePhotos, createReturn);
+router.get('/me', getMyReturns);
+router.get('/eligibility/:orderId', getReturnEligibility);
+
+router.get('/:id', getReturn);
+router.put('/:id/cancel', cancelReturn);
+
+export default router;
@@ -0,0 +1,27 @@
+import express from 'express';
+import {
+    createReview,
+    getProductReviews,
+    getMyReviews,
+    updateReview,
+    deleteReview
+} from '../controllers/review.controller.js';
+import { isAuthenticated } from '../middlewares/auth.middleware.js';
+import { uploadMultiplePhotos } from '../middlewares/photoUpload.middleware.js';
+
+const router = express.Router();
+
+// Public routes
+router.get('/product/:productId', getProductReviews);
+
+// Protected routes
+router.use(isAuthenticated);
+
+router.post('/', uploadMultiplePhotos, createReview);
+router.get('/me', getMyReviews);
+
+router.route('/:id')
+    .put(uploadMultiplePhotos, updateReview)
+    .delete(deleteReview);
+
+export default router;
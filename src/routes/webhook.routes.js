@@ -1,6 +1,7 @@
 import express from 'express';
 import {
     handleRazorpayWebhook,
+    handleShiprocketWebhook,
     testWebhook
 } from '../controllers/webhook.controller.js';
 
@@ -8,6 +9,7 @@ const router = express.Router();
 
 // Webhook routes (no authentication required, but signature verification is done)
 router.post('/razorpay', handleRazorpayWebhook);
+router.post('/shiprocket', handleShiprocketWebhook);
 router.post('/test', testWebhook);
 
 export default router; 
\ No newline at end of file
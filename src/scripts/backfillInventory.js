@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+import connectDB from '../config/database.js';
+import Product from '../models/product.model.js';
+
+/**
+ * One-off backfill for products created before stock was tracked.
+ * They have no trackInventory or stock saved, so they would read as tracked with 0 in stock
+ * and could no longer be ordered. They are saved as untracked instead; turn tracking back on
+ * per product once its stock has been entered.
+ *
+ * Usage: npm run backfill:inventory
+ */
+const backfillInventory = async () => {
+    await connectDB();
+
+    const result = await Product.updateMany(
+        { trackInventory: { $exists: false } },
+        { $set: { trackInventory: false } }
+    );
+    console.log(`[Backfill] Marked ${result.modifiedCount} product(s) as not tracking inventory`);
+
+    await mongoose.connection.close();
+};
+
+backfillInventory().catch(async (error) => {
+    console.error('[Backfill] Failed:', error);
+    await mongoose.connection.close();
+    process.exit(1);
+});
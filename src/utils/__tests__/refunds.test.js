@@ -0,0 +1,251 @@
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+
+const razorpay = { payments: { refund: jest.fn() } };
+
+jest.unstable_mockModule('../../config/razorpay.config.js', () => ({
+    razorpay,
+    formatAmountForRazorpay: (amount) => Math.round(amount * 100),
+    formatAmountFromRazorpay: (amount) => amount / 100
+}));
+jest.unstable_mockModule('../invoice.js', () => ({
+    getShippingDiscount: jest.fn(async () => 0)
+}));
+jest.unstable_mockModule('../inventory.js', () => ({
+    releaseLineStock: jest.fn(),
+    adjustStock: jest.fn()
+}));
+jest.unstable_mockModule('../coupon.js', () => ({
+    releaseCoupon: jest.fn()
+}));
+jest.unstable_mockModule('../responseHandler.js', () => ({
+    sendUserNotification: jest.fn()
+}));
+jest.unstable_mockModule('../fulfilment.js', () => ({
+    buildShiprocketPayload: jest.fn()
+}));
+jest.unstable_mockModule('../shiprocket.js', () => ({
+    updateShiprocketOrder: jest.fn(),
+    cancelShiprocketOrders: jest.fn(),
+    getShiprocketErrorMessage: (error) => error.message
+}));
+
+const { default: Order } = await import('../../models/order.model.js');
+const {
+    resolveRefundAmount,
+    refreshRefundStatus,
+    refundOrder,
+    applyRazorpayRefund
+} = await import('../refunds.js');
+
+const ADMIN_ID = '64b000000000000000000001';
+
+// A paid order of 2 x ₹100 with ₹10 GST and ₹50 shipping, paid through Razorpay
+const buildOrder = (overrides = {}) => {
+    const order = new Order({
+        user: '64b000000000000000000002',
+        orderNumber: 'YT-TEST-1',
+        shippingAddress: { address: '1 Tea Street', city: 'Kolkata', state: 'West Bengal', postalCode: '700001', country: 'India', phone: '9830012345' },
+        paymentMethod: 'razorpay',
+        paymentResult: { id: 'pay_1', razorpay_payment_id: 'pay_1' },
+        orderItems: [{ name: 'Darjeeling', quantity: 2, image: 'tea.jpg', price: 100, product: '64b000000000000000000003' }],
+        itemsPrice: 200,
+        taxPrice: 10,
+        shippingPrice: 50,
+        totalPrice: 260,
+        isPaid: true,
+        status: 'delivered',
+        ...overrides
+    });
+    order.save = jest.fn(async () => order);
+    return order;
+};
+
+const refundEntity = (overrides = {}) => ({
+    id: 'rfnd_1',
+    payment_id: 'pay_1',
+    amount: 5000,
+    status: 'processed',
+    notes: {},
+    ...overrides
+});
+
+beforeEach(() => {
+    jest.restoreAllMocks();
+    razorpay.payments.refund.mockReset();
+});
+
+describe('resolveRefundAmount', () => {
+    test('defaults to the whole balance', async () => {
+        const order = buildOrder({ amountRefunded: 60 });
+        await expect(resolveRefundAmount(order, undefined, [])).resolves.toBe(200);
+    });
+
+    test('rounds a requested amount to the paisa', async () => {
+        const order = buildOrder();
+        await expect(resolveRefundAmount(order, '99.999', [])).resolves.toBe(100);
+    });
+
+    test('works out the share of the items being refunded', async () => {
+        const order = buildOrder();
+        const lines = [{ item: order.orderItems[0], quantity: 1 }];
+        // Half the goods plus half the GST; shipping is not refunded
+        await expect(resolveRefundAmount(order, undefined, lines)).resolves.toBe(105);
+    });
+
+    test('caps an item share at the balance left', async () => {
+        const order = buildOrder({ amountRefunded: 200 });
+        const lines = [{ item: order.orderItems[0], quantity: 2 }];
+        await expect(resolveRefundAmount(order, undefined, lines)).resolves.toBe(60);
+    });
+
+    test('rejects more than the balance', async () => {
+        const order = buildOrder({ amountRefunded: 200 });
+        await expect(resolveRefundAmount(order, 61, [])).rejects.toMatchObject({
+            statusCode: 400,
+            message: 'Refund amount cannot be more than the ₹60 left to refund'
+        });
+    });
+
+    test('rejects an amount of 0', async () => {
+        const order = buildOrder();
+        await expect(resolveRefundAmount(order, 0, [])).rejects.toMatchObject({
+            statusCode: 400,
+            message: 'Refund amount must be more than 0'
+        });
+    });
+
+    test('rejects a fully refunded order', async () => {
+        const order = buildOrder({ amountRefunded: 260 });
+        await expect(resolveRefundAmount(order, undefined, [])).rejects.toMatchObject({
+            statusCode: 400,
+            message: 'Order has already been fully refunded'
+        });
+    });
+});
+
+describe('refreshRefundStatus', () => {
+    test('is processing while a refund is pending', () => {
+        const order = buildOrder({
+            refunds: [
+                { amount: 50, status: 'processed' },
+                { amount: 30, status: 'pending' }
+            ]
+        });
+        refreshRefundStatus(order);
+
+        expect(order.amountRefunded).toBe(80);
+        expect(order.refundStatus).toBe('processing');
+    });
+
+    test('leaves failed refunds out of the amount refunded', () => {
+        const order = buildOrder({
+            refunds: [
+                { amount: 50, status: 'processed' },
+                { amount: 30, status: 'failed' }
+            ]
+        });
+        refreshRefundStatus(order);
+
+        expect(order.amountRefunded).toBe(50);
+        expect(order.refundStatus).toBe('partial');
+    });
+
+    test('is completed once the whole order is refunded', () => {
+        const order = buildOrder({
+            refunds: [
+                { amount: 160, status: 'processed' },
+                { amount: 100, status: 'processed' }
+            ]
+        });
+        refreshRefundStatus(order);
+
+        expect(order.amountRefunded).toBe(260);
+        expect(order.refundStatus).toBe('completed');
+    });
+
+    test('is failed when every refund failed', () => {
+        const order = buildOrder({ refunds: [{ amount: 50, status: 'failed' }] });
+        refreshRefundStatus(order);
+
+        expect(order.amountRefunded).toBe(0);
+        expect(order.refundStatus).toBe('failed');
+    });
+
+    test('summarises the latest refund in refundDetails', () => {
+        const order = buildOrder({
+            refunds: [
+                { amount: 50, status: 'processed', razorpayRefundId: 'rfnd_1' },
+                { amount: 30, status: 'pending', razorpayRefundId: 'rfnd_2' }
+            ]
+        });
+        refreshRefundStatus(order);
+
+        expect(order.refundDetails).toMatchObject({ amount: 80, id: 'rfnd_2', status: 'pending' });
+    });
+});
+
+describe('applyRazorpayRefund', () => {
+    test('returns null when no order has the payment', async () => {
+        jest.spyOn(Order, 'findOne').mockResolvedValue(null);
+        await expect(applyRazorpayRefund(refundEntity())).resolves.toBeNull();
+    });
+
+    test('records a refund made from the Razorpay dashboard', async () => {
+        const order = buildOrder();
+        jest.spyOn(Order, 'findOne').mockResolvedValue(order);
+
+        const { refund, isNew } = await applyRazorpayRefund(refundEntity({ notes: { reason: 'Goodwill' } }));
+
+        expect(isNew).toBe(true);
+        expect(refund).toMatchObject({ amount: 50, reason: 'Goodwill', razorpayRefundId: 'rfnd_1', status: 'processed' });
+        expect(order.refunds).toHaveLength(1);
+        expect(order.amountRefunded).toBe(50);
+    });
+
+    test('settles a refund whose webhook arrives before the API response', async () => {
+        const order = buildOrder();
+        jest.spyOn(Order, 'findOne').mockResolvedValue(order);
+
+        let webhookResult;
+        razorpay.payments.refund.mockImplementation(async (paymentId, { amount, notes }) => {
+            // Razorpay reports the refund processed before the create call has returned
+            webhookResult = await applyRazorpayRefund(refundEntity({ amount, notes: { refundId: notes.refundId } }));
+            return { id: 'rfnd_1', status: 'pending' };
+        });
+
+        const refund = await refundOrder(order, { amount: 50, reason: 'Damaged', adminId: ADMIN_ID });
+
+        expect(webhookResult.isNew).toBe(false);
+        expect(order.refunds).toHaveLength(1);
+        expect(refund.razorpayRefundId).toBe('rfnd_1');
+        // The pending status in the API response does not undo the webhook
+        expect(refund.status).toBe('processed');
+        expect(order.amountRefunded).toBe(50);
+        expect(order.refundStatus).toBe('partial');
+    });
+
+    test('does not move a processed refund back to failed', async () => {
+        const order = buildOrder({
+            refunds: [{ amount: 50, status: 'processed', razorpayRefundId: 'rfnd_1' }]
+        });
+        jest.spyOn(Order, 'findOne').mockResolvedValue(order);
+
+        const { refund } = await applyRazorpayRefund(refundEntity({ status: 'failed' }));
+
+        expect(refund.status).toBe('processed');
+        expect(order.amountRefunded).toBe(50);
+    });
+
+    test('releases the amount of a refund that failed', async () => {
+        const order = buildOrder({
+            refunds: [{ amount: 50, status: 'pending', razorpayRefundId: 'rfnd_1' }]
+        });
+        jest.spyOn(Order, 'findOne').mockResolvedValue(order);
+
+        await applyRazorpayRefund(refundEntity({ status: 'failed' }));
+
+        expect(order.refunds[0].status).toBe('failed');
+        expect(order.amountRefunded).toBe(0);
+        expect(order.refundStatus).toBe('failed');
+    });
+});
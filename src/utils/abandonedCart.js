@@ -0,0 +1,220 @@
+import Cart from '../models/cart.model.js';
+import CartReminder from '../models/cartReminder.model.js';
+import Order from '../models/order.model.js';
+import { sendUserNotification } from './responseHandler.js';
+import { buildCartView } from './cart.js';
+import { getSettings } from './settings.js';
+
+const FRONTEND_BASE_URL = process.env.FRONTEND_BASE_URL || 'http://localhost:8081';
+
+// Carts idle for longer than this are not reminded, and orders placed later are not credited to a reminder
+const RECOVERY_WINDOW_DAYS = 7;
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+/**
+ * Send a cart_abandoned reminder for every user cart and unpaid online order
+ * that has been idle longer than the configured threshold. Each is reminded once per idle period.
+ */
+export const sendAbandonedCartReminders = async () => {
+    const settings = await getSettings();
+    if (!settings.abandonedCartReminders) return { carts: 0, orders: 0 };
+
+    const idleSince = new Date(Date.now() - settings.abandonedCartHours * 60 * 60 * 1000);
+    const windowStart = daysAgo(RECOVERY_WINDOW_DAYS);
+    let cartsReminded = 0;
+    let ordersReminded = 0;
+
+    // Guest carts are skipped as there is no one to contact
+    const carts = await Cart.find({
+        user: { $ne: null },
+        'items.0': { $exists: true },
+        updated_at: { $lte: idleSince, $gte: windowStart }
+    });
+
+    for (const cart of carts) {
+        try {
+            const alreadyReminded = await CartReminder.exists({ cart: cart._id, sentAt: { $gte: cart.updated_at } });
+            if (alreadyReminded) continue;
+
+            // The customer ordered some other way since they last touched the cart
+            const orderedSince = await Order.exists({ user: cart.user, created_at: { $gte: cart.updated_at } });
+            if (orderedSince) continue;
+
+            const view = await buildCartView(cart);
+            if (view.itemCount === 0) continue;
+
+            const reminder = await CartReminder.create({
+                user: cart.user,
+                source: 'cart',
+                cart: cart._id,
+                value: view.itemsPrice,
+                itemCount: view.itemCount
+            });
+
+            await sendUserNotification(cart.user, { type: 'cart_abandoned' }, {
+                itemCount: view.itemCount,
+                value: view.itemsPrice,
+                resumeUrl: `${FRONTEND_BASE_URL}/cart?reminder=${reminder._id}`
+            });
+            cartsReminded++;
+        } catch (error) {
+            console.error(`Failed to send abandoned cart reminder for cart ${cart._id}:`, error);
+        }
+    }
+
+    // Admin orders were sent a payment link instead
+    const orders = await Order.find({
+        isPaid: false,
+        status: 'pending',
+        paymentMethod: { $ne: 'cod' },
+        channel: { $ne: 'admin' },
+        created_at: { $lte: idleSince, $gte: windowStart }
+    });
+
+    for (const order of orders) {
+        try {
+            const alreadyReminded = await CartReminder.exists({ order: order._id });
+            if (alreadyReminded) continue;
+
+            const itemCount = order.orderItems.reduce((acc, item) => acc + item.quantity, 0);
+            const reminder = await CartReminder.create({
+                user: order.user,
+                source: 'unpaid_order',
+                order: order._id,
+                value: order.totalPrice,
+                itemCount
+            });
+
+            await sendUserNotification(order.user, { type: 'cart_abandoned', order: order._id }, {
+                orderNumber: order.orderNumber,
+                orderId: order._id,
+                itemCount,
+                value: order.totalPrice,
+                resumeUrl: `${FRONTEND_BASE_URL}/checkout?order=${order._id}&reminder=${reminder._id}`
+            });
+            ordersReminded++;
+        } catch (error) {
+            console.error(`Failed to send payment reminder for order ${order._id}:`, error);
+        }
+    }
+
+    return { carts: cartsReminded, orders: ordersReminded };
+};
+
+/**
+ * Credit reminders with the orders they brought back.
+ * An unpaid order reminder is recovered when that order is paid; a cart reminder is recovered
+ * by the customer's first paid (or COD) order placed within the recovery window after it was sent.
+ */
+export const trackReminderRecoveries = async () => {
+    const reminders = await CartReminder.find({
+        recovered: false,
+        sentAt: { $gte: daysAgo(RECOVERY_WINDOW_DAYS * 2) }
+    });
+    let recovered = 0;
+
+    for (const reminder of reminders) {
+        try {
+            let order = null;
+
+            if (reminder.source === 'unpaid_order') {
+                order = await Order.findOne({ _id: reminder.order, isPaid: true });
+            } else {
+                const windowEnd = new Date(reminder.sentAt.getTime() + RECOVERY_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+                const candidates = await Order.find({
+                    user: reminder.user,
+                    created_at: { $gte: reminder.sentAt, $lte: windowEnd },
+                    $or: [
+                        { isPaid: true },
+                        { paymentMethod: 'cod', status: { $ne: 'cancelled' } }
+                    ]
+                }).sort({ created_at: 1 });
+
+                for (const candidate of candidates) {
+                    const credited = await CartReminder.exists({ recoveredOrder: candidate._id });
+                    if (!credited) {
+                        order = candidate;
+                        break;
+                    }
+                }
+            }
+
+            if (!order) continue;
+
+            reminder.recovered = true;
+            reminder.recoveredAt = order.paidAt || order.created_at;
+            reminder.recoveredOrder = order._id;
+            reminder.recoveredRevenue = order.totalPrice;
+            await reminder.save();
+            recovered++;
+        } catch (error) {
+            console.error(`Failed to check recovery for reminder ${reminder._id}:`, error);
+        }
+    }
+
+    return recovered;
+};
+
+/**
+ * Scheduled job: credit recoveries first, then send new reminders
+ */
+export const processAbandonedCarts = async () => {
+    try {
+        const recovered = await trackReminderRecoveries();
+        const sent = await sendAbandonedCartReminders();
+        console.log(`[Abandoned carts] Reminded ${sent.carts} cart(s) and ${sent.orders} unpaid order(s); ${recovered} reminder(s) recovered`);
+    } catch (error) {
+        console.error('Abandoned cart job failed:', error);
+    }
+};
+
+/**
+ * Summarise reminders sent and the revenue they recovered
+ * @param {Date} from - Start of the period (optional)
+ * @param {Date} to - End of the period (optional)
+ * @returns {Object} - Totals plus a breakdown by source
+ */
+export const getRecoveryStats = async (from, to) => {
+    const match = {};
+    if (from || to) {
+        match.sentAt = {};
+        if (from) match.sentAt.$gte = from;
+        if (to) match.sentAt.$lte = to;
+    }
+
+    const bySource = await CartReminder.aggregate([
+        { $match: match },
+        {
+            $group: {
+                _id: '$source',
+                remindersSent: { $sum: 1 },
+                remindedValue: { $sum: '$value' },
+                recovered: { $sum: { $cond: ['$recovered', 1, 0] } },
+                recoveredRevenue: { $sum: '$recoveredRevenue' }
+            }
+        }
+    ]);
+
+    const totals = bySource.reduce((acc, row) => ({
+        remindersSent: acc.remindersSent + row.remindersSent,
+        remindedValue: acc.remindedValue + row.remindedValue,
+        recovered: acc.recovered + row.recovered,
+        recoveredRevenue: acc.recoveredRevenue + row.recoveredRevenue
+    }), { remindersSent: 0, remindedValue: 0, recovered: 0, recoveredRevenue: 0 });
+
+    const conversionRate = (sent, recovered) => (sent > 0 ? Math.round((recovered / sent) * 10000) / 100 : 0);
+
+    return {
+        ...totals,
+        conversionRate: conversionRate(totals.remindersSent, totals.recovered),
+        bySource: bySource.map(row => ({
+            source: row._id,
+            remindersSent: row.remindersSent,
+            remindedValue: row.remindedValue,
+            recovered: row.recovered,
+            recoveredRevenue: row.recoveredRevenue,
+            conversionRate: conversionRate(row.remindersSent, row.recovered)
+        }))
+    };
+};
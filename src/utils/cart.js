@@ -0,0 +1,227 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Cart from '../models/cart.model.js';
+import Product from '../models/product.model.js';
+import { ApiError } from './apiError.js';
+import { getAvailableStock } from './inventory.js';
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Read the guest cart token sent by the client
+ */
+export const getCartToken = (req) => req.headers['x-cart-token'] || req.body?.cartToken || null;
+
+/**
+ * Find the cart for the current request: the user's cart when logged in, otherwise the guest cart
+ * @returns {Object|null} - Cart document
+ */
+export const findCart = async (req) => {
+    if (req.user) {
+        return Cart.findOne({ user: req.user._id });
+    }
+    const token = getCartToken(req);
+    if (!token) return null;
+    return Cart.findOne({ guestToken: token, user: null });
+};
+
+/**
+ * Find the cart for the current request, creating one (with a new guest token for guests) if needed
+ * @returns {Object} - Cart document
+ */
+export const findOrCreateCart = async (req) => {
+    const cart = await findCart(req);
+    if (cart) return cart;
+
+    if (req.user) {
+        return Cart.create({ user: req.user._id, items: [] });
+    }
+    return Cart.create({ guestToken: crypto.randomBytes(24).toString('hex'), items: [] });
+};
+
+/**
+ * Look up a product (and variant) for the cart and check it can be bought in this quantity
+ * @param {String} productId - Product to add
+ * @param {String} variantId - Variant id or SKU, required when the product has active variants
+ * @param {Number} quantity - Total quantity wanted in the cart
+ * @returns {Object} - { product, variant, price, available }
+ */
+export const resolveCartProduct = async (productId, variantId, quantity) => {
+    if (!productId || !mongoose.Types.ObjectId.isValid(productId)) {
+        throw new ApiError(400, 'Please provide a valid product');
+    }
+    if (!Number.isInteger(quantity) || quantity < 1) {
+        throw new ApiError(400, 'Quantity must be a whole number of at least 1');
+    }
+
+    const product = await Product.findById(productId);
+    if (!product) {
+        throw new ApiError(404, 'Product not found');
+    }
+
+    let variant = null;
+    const hasVariants = (product.variants || []).some(v => v.isActive);
+    if (hasVariants) {
+        if (!variantId) {
+            throw new ApiError(400, `Please choose a variant of ${product.name}`);
+        }
+        variant = product.findVariant(variantId);
+        if (!variant || !variant.isActive) {
+            throw new ApiError(404, 'Variant not found');
+        }
+    }
+
+    const available = getAvailableStock(product, variant);
+    const label = variant ? `${product.name} (${variant.name})` : product.name;
+    if (available < quantity) {
+        throw new ApiError(409, available > 0
+            ? `Only ${available} unit(s) of ${label} left in stock`
+            : `${label} is out of stock`);
+    }
+
+    return {
+        product,
+        variant,
+        price: variant ? variant.price : product.price,
+        available
+    };
+};
+
+/**
+ * Shape a cart for API responses with live prices and stock.
+ * Items whose product or variant has gone, whose price changed, or that are short of stock are flagged.
+ * @param {Object} cart - Cart document (or null)
+ * @returns {Object} - { cartToken, items, itemCount, itemsPrice, hasIssues }
+ */
+export const buildCartView = async (cart) => {
+    if (!cart) {
+        return { cartToken: null, items: [], itemCount: 0, itemsPrice: 0, hasIssues: false };
+    }
+
+    const productIds = [...new Set(cart.items.map(item => item.product.toString()))];
+    const products = await Product.find({ _id: { $in: productIds } });
+    const productMap = new Map(products.map(product => [product._id.toString(), product]));
+
+    const items = cart.items.map(item => {
+        const product = productMap.get(item.product.toString());
+        const variant = product && item.variant ? product.findVariant(item.variant) : null;
+        const unavailable = !product || (item.variant && (!variant || !variant.isActive));
+
+        if (unavailable) {
+            return {
+                _id: item._id,
+                product: item.product,
+                variant: item.variant,
+                quantity: item.quantity,
+                available: false,
+                issue: 'This item is no longer available'
+            };
+        }
+
+        const price = variant ? variant.price : product.price;
+        const availableStock = getAvailableStock(product, variant);
+        let issue = null;
+        if (availableStock < item.quantity) {
+            issue = availableStock > 0 ? `Only ${availableStock} unit(s) left in stock` : 'Out of stock';
+        }
+
+        return {
+            _id: item._id,
+            product: product._id,
+            variant: variant ? variant._id : null,
+            name: product.name,
+            variantName: variant ? variant.name : null,
+            sku: variant ? variant.sku : null,
+            slug: product.slug,
+            image: variant?.images?.[0] || product.images?.[0] || null,
+            quantity: item.quantity,
+            price,
+            addedPrice: item.price,
+            priceChanged: Math.abs(price - item.price) > 0.001,
+            lineTotal: round2(price * item.quantity),
+            available: availableStock >= item.quantity,
+            availableStock: availableStock === Infinity ? null : availableStock,
+            issue
+        };
+    });
+
+    const buyable = items.filter(item => item.available);
+
+    return {
+        cartToken: cart.user ? null : cart.guestToken,
+        items,
+        itemCount: buyable.reduce((acc, item) => acc + item.quantity, 0),
+        itemsPrice: round2(buyable.reduce((acc, item) => acc + item.lineTotal, 0)),
+        hasIssues: items.some(item => !item.available || item.priceChanged)
+    };
+};
+
+/**
+ * Move a guest cart's items into a user's cart after they log in.
+ * Quantities of items already in the user's cart are added together. Never fails the login.
+ * @param {String} guestToken - Guest cart token sent by the client
+ * @param {String} userId - User who just logged in
+ */
+export const mergeGuestCart = async (guestToken, userId) => {
+    if (!guestToken) return;
+    try {
+        const guestCart = await Cart.findOne({ guestToken, user: null });
+        if (!guestCart) return;
+
+        const userCart = await Cart.findOne({ user: userId });
+        if (!userCart) {
+            // Adopt the guest cart as the user's cart
+            guestCart.user = userId;
+            guestCart.guestToken = null;
+            await guestCart.save();
+            return;
+        }
+
+        for (const guestItem of guestCart.items) {
+            const existing = userCart.findItem(guestItem.product, guestItem.variant);
+            if (existing) {
+                existing.quantity += guestItem.quantity;
+            } else {
+                userCart.items.push({
+                    product: guestItem.product,
+                    variant: guestItem.variant,
+                    quantity: guestItem.quantity,
+                    price: guestItem.price,
+                    addedAt: guestItem.addedAt
+                });
+            }
+        }
+
+        await userCart.save();
+        await Cart.deleteOne({ _id: guestCart._id });
+    } catch (error) {
+        console.error(`Failed to merge guest cart into cart of user ${userId}:`, error);
+    }
+};
+
+/**
+ * Get a user's cart as order items for checkout
+ * @returns {Array} - [{ productId, variantId, quantity }]
+ */
+export const getCartOrderItems = async (userId) => {
+    const cart = await Cart.findOne({ user: userId });
+    if (!cart || cart.items.length === 0) {
+        throw new ApiError(400, 'Your cart is empty');
+    }
+    return cart.items.map(item => ({
+        productId: item.product,
+        variantId: item.variant,
+        quantity: item.quantity
+    }));
+};
+
+/**
+ * Empty a user's cart once its items have been ordered
+ */
+export const clearUserCart = async (userId) => {
+    try {
+        await Cart.updateOne({ user: userId }, { $set: { items: [] } });
+    } catch (error) {
+        console.error(`Failed to clear cart of user ${userId}:`, error);
+    }
+};
@@ -0,0 +1,177 @@
+import Order from '../models/order.model.js';
+import admin from '../config/firebase.config.js';
+import { ApiError } from './apiError.js';
+import { getSettings } from './settings.js';
+import { cleanPhone } from './fulfilment.js';
+import { checkCourierServiceability, getShiprocketErrorMessage } from './shiprocket.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Shiprocket reports parcels coming back to us as "RTO INITIATED", "RTO DELIVERED" and so on
+const RTO_STATUS = /^RTO/i;
+
+// Days since delivery the remittance report groups pending cash by
+const AGE_BOUNDARIES = [0, 8, 16, 31];
+
+/**
+ * Number of a customer's COD orders that came back to us undelivered
+ * @param {String} userId - Customer
+ * @returns {Number}
+ */
+export const countRtoOrders = (userId) => Order.countDocuments({
+    user: userId,
+    paymentMethod: 'cod',
+    $or: [
+        { shipmentStatus: RTO_STATUS },
+        { 'trackingEvents.status': RTO_STATUS }
+    ]
+});
+
+/**
+ * Whether cash on delivery can be offered for an order. The courier check runs last, as it calls Shiprocket.
+ * @param {Object} options - { postalCode, weight, orderValue, userId } with weight in kg
+ * @returns {Object} - { available, reason } where reason says why it is not
+ */
+export const getCodAvailability = async ({ postalCode, weight = 1, orderValue, userId }) => {
+    const { codEnabled, codMaxOrderValue, codMaxRtoOrders, pickupPincode } = await getSettings();
+    if (!codEnabled) {
+        return { available: false, reason: 'Cash on delivery is not available right now' };
+    }
+
+    if (codMaxOrderValue > 0 && orderValue > codMaxOrderValue) {
+        return { available: false, reason: `Cash on delivery is only available for orders up to ₹${codMaxOrderValue}` };
+    }
+
+    if (codMaxRtoOrders > 0 && userId && await countRtoOrders(userId) >= codMaxRtoOrders) {
+        return { available: false, reason: 'Cash on delivery is not available for your account. Please pay online.' };
+    }
+
+    let result;
+    try {
+        result = await checkCourierServiceability({
+            pickup_postcode: pickupPincode,
+            delivery_postcode: postalCode,
+            cod: 1,
+            weight
+        });
+    } catch (err) {
+        throw new ApiError(502, `Shiprocket: ${getShiprocketErrorMessage(err)}`);
+    }
+
+    if ((result?.data?.available_courier_companies || []).length === 0) {
+        return { available: false, reason: `Cash on delivery is not available for pincode ${postalCode}` };
+    }
+
+    return { available: true, reason: null };
+};
+
+/**
+ * Confirm a COD order with a Firebase phone verification of its delivery number
+ * @param {Object} order - COD order waiting for confirmation
+ * @param {String} idToken - Firebase ID token from the client's phone verification
+ */
+export const verifyCodOrder = async (order, idToken) => {
+    if (order.paymentMethod !== 'cod' || order.codConfirmation?.status !== 'pending') {
+        throw new ApiError(400, 'Order is not waiting for COD confirmation');
+    }
+    if (order.status !== 'pending') {
+        throw new ApiError(400, `Order is ${order.status}; it can no longer be confirmed`);
+    }
+    if (!idToken) {
+        throw new ApiError(400, 'Firebase ID token is required');
+    }
+
+    let decodedToken;
+    try {
+        decodedToken = await admin.auth().verifyIdToken(idToken);
+    } catch (error) {
+        throw new ApiError(401, 'Invalid or expired ID token');
+    }
+
+    const phone = decodedToken.phone_number;
+    if (!phone || cleanPhone(phone) !== cleanPhone(order.shippingAddress.phone)) {
+        throw new ApiError(400, 'Please verify the phone number given for delivery');
+    }
+
+    order.codConfirmation.status = 'confirmed';
+    order.codConfirmation.phone = phone;
+    order.codConfirmation.confirmedAt = new Date();
+    await order.save();
+};
+
+/**
+ * COD orders delivered but not yet marked paid, i.e. cash the courier still has to remit
+ * @param {Object} options - { courier, page, limit }
+ * @returns {Object} - { summary, items, pagination }
+ */
+export const getPendingRemittance = async ({ courier, page = 1, limit = 20 } = {}) => {
+    // Unpaid COD orders with the courier; the summary also covers those still in transit
+    const unpaidCod = { paymentMethod: 'cod', isPaid: false };
+    if (courier) unpaidCod.courier = courier;
+    const filter = { ...unpaidCod, status: 'delivered' };
+
+    const now = new Date();
+    const [facets] = await Order.aggregate([
+        { $match: { ...unpaidCod, status: { $in: ['shipped', 'delivered'] } } },
+        {
+            $facet: {
+                byStatus: [
+                    { $group: { _id: '$status', orders: { $sum: 1 }, amount: { $sum: '$totalPrice' } } }
+                ],
+                byCourier: [
+                    { $match: { status: 'delivered' } },
+                    { $group: { _id: { $ifNull: ['$courier', 'Unknown'] }, orders: { $sum: 1 }, amount: { $sum: '$totalPrice' } } },
+                    { $sort: { amount: -1 } }
+                ],
+                byAge: [
+                    { $match: { status: 'delivered' } },
+                    {
+                        $bucket: {
+                            groupBy: { $divide: [{ $subtract: [now, { $ifNull: ['$deliveredAt', now] }] }, DAY_MS] },
+                            boundaries: AGE_BOUNDARIES,
+                            default: 'older',
+                            output: { orders: { $sum: 1 }, amount: { $sum: '$totalPrice' } }
+                        }
+                    }
+                ]
+            }
+        }
+    ]);
+
+    const statusTotals = (status) => {
+        const row = facets.byStatus.find(entry => entry._id === status);
+        return { orders: row?.orders || 0, amount: Math.round((row?.amount || 0) * 100) / 100 };
+    };
+    const ageLabels = { 0: '0-7 days', 8: '8-15 days', 16: '16-30 days', older: 'over 30 days' };
+
+    const skip = (page - 1) * limit;
+    const [items, total] = await Promise.all([
+        Order.find(filter)
+            .select('orderNumber user totalPrice deliveredAt courier trackingNumber shiprocketOrderId')
+            .populate('user', 'name email phone')
+            .sort({ deliveredAt: 1 })
+            .skip(skip)
+            .limit(limit)
+            .lean(),
+        Order.countDocuments(filter)
+    ]);
+
+    return {
+        summary: {
+            pendingRemittance: statusTotals('delivered'),
+            inTransit: statusTotals('shipped'),
+            byCourier: facets.byCourier.map(({ _id, orders, amount }) => ({ courier: _id, orders, amount })),
+            byAge: facets.byAge.map(({ _id, orders, amount }) => ({ age: ageLabels[_id], orders, amount }))
+        },
+        items: items.map(order => ({
+            ...order,
+            daysSinceDelivery: order.deliveredAt ? Math.floor((now - order.deliveredAt) / DAY_MS) : null
+        })),
+        pagination: {
+            total,
+            page,
+            limit,
+            totalPages: Math.ceil(total / limit)
+        }
+    };
+};
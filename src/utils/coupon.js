@@ -0,0 +1,92 @@
+import mongoose from 'mongoose';
+import Coupon from '../models/coupon.model.js';
+import { ApiError } from './apiError.js';
+
+/**
+ * Validate a coupon code against a cart and work out the discount
+ * @param {String} code - Coupon code entered by the customer
+ * @param {Object} options
+ * @param {String} options.userId - Customer applying the coupon (optional for previews)
+ * @param {Array} options.items - [{ product, category, price, quantity }]
+ * @param {Number} options.shippingPrice - Shipping charge for free_shipping coupons
+ * @returns {Object} - { coupon, discountAmount, subtotal }
+ */
+export const validateCoupon = async (code, { userId, items = [], shippingPrice = 0 } = {}) => {
+    if (!code) {
+        throw new ApiError(400, 'Please provide a coupon code');
+    }
+
+    const coupon = await Coupon.findOne({ code: code.toString().trim().toUpperCase() });
+
+    if (!coupon || !coupon.isCurrentlyValid()) {
+        throw new ApiError(400, 'Coupon is invalid or has expired');
+    }
+
+    if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+        throw new ApiError(400, 'Coupon usage limit has been reached');
+    }
+
+    if (userId && coupon.usageLimitPerUser && coupon.countUserRedemptions(userId) >= coupon.usageLimitPerUser) {
+        throw new ApiError(400, 'You have already used this coupon the maximum number of times');
+    }
+
+    const subtotal = items.reduce((acc, item) => acc + item.price * item.quantity, 0);
+
+    if (coupon.minCartValue && subtotal < coupon.minCartValue) {
+        throw new ApiError(400, `Coupon requires a minimum cart value of ₹${coupon.minCartValue}`);
+    }
+
+    if (!items.some(item => coupon.appliesToItem(item))) {
+        throw new ApiError(400, 'Coupon is not applicable to any item in your cart');
+    }
+
+    const discountAmount = coupon.calculateDiscount(items, shippingPrice);
+
+    return { coupon, discountAmount, subtotal };
+};
+
+/**
+ * Record a coupon redemption against an order.
+ * The overall and per-customer limits are enforced atomically so concurrent checkouts cannot exceed them.
+ * @returns {Boolean} - false if the coupon ran out in the meantime
+ */
+export const redeemCoupon = async (coupon, { userId, orderId, discountAmount }) => {
+    const filter = { _id: coupon._id };
+    if (coupon.usageLimit) {
+        filter.usedCount = { $lt: coupon.usageLimit };
+    }
+    if (coupon.usageLimitPerUser && userId) {
+        const user = new mongoose.Types.ObjectId(userId.toString());
+        filter.$expr = {
+            $lt: [
+                { $size: { $filter: { input: '$redemptions', cond: { $eq: ['$$this.user', user] } } } },
+                coupon.usageLimitPerUser
+            ]
+        };
+    }
+
+    const updated = await Coupon.findOneAndUpdate(filter, {
+        $inc: { usedCount: 1 },
+        $push: { redemptions: { user: userId, order: orderId, discountAmount } }
+    }, { new: true });
+
+    return !!updated;
+};
+
+/**
+ * Give a redemption back when its order is cancelled
+ */
+export const releaseCoupon = async (code, orderId) => {
+    if (!code) return;
+    try {
+        await Coupon.updateOne(
+            { code: code.toString().trim().toUpperCase(), 'redemptions.order': orderId },
+            {
+                $inc: { usedCount: -1 },
+                $pull: { redemptions: { order: orderId } }
+            }
+        );
+    } catch (error) {
+        console.error(`Failed to release coupon ${code} for order ${orderId}:`, error);
+    }
+};
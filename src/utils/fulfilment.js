@@ -0,0 +1,261 @@
+import Order from '../models/order.model.js';
+import FulfilmentJob from '../models/fulfilmentJob.model.js';
+import { ApiError } from './apiError.js';
+import { getSettings } from './settings.js';
+import { getOrderWeightKg } from './shipments.js';
+import { createShiprocketOrder, findShiprocketOrderByChannelId, getShiprocketErrorMessage } from './shiprocket.js';
+
+// Automatic retries before an order is left for an admin to push by hand
+const MAX_ATTEMPTS = 8;
+// Wait before the first retry, doubling after each failure up to the cap
+const RETRY_BASE_DELAY_MS = 5 * 60 * 1000;
+const RETRY_MAX_DELAY_MS = 6 * 60 * 60 * 1000;
+// Errors kept on each job
+const ERROR_HISTORY_LIMIT = 10;
+// Jobs handled per run of the retry job
+const BATCH_SIZE = 50;
+
+// Orders that should never reach the courier
+const UNSHIPPABLE_STATUSES = ['returned', 'cancelled', 'refunded'];
+
+// Shiprocket wants 10 digits without the country code
+export const cleanPhone = (phone) => (phone || '').replace(/\D/g, '').slice(-10);
+
+const getRetryDelay = (attempts) => Math.min(RETRY_BASE_DELAY_MS * 2 ** (attempts - 1), RETRY_MAX_DELAY_MS);
+
+/**
+ * Build the Shiprocket ad-hoc order payload for an order
+ * @param {Object} order - Order document
+ * @param {Object} contact - { name, email } of the customer
+ * @returns {Object} - Shiprocket payload
+ */
+export const buildShiprocketPayload = async (order, contact = {}) => {
+    const { pickupLocation } = await getSettings();
+
+    return {
+        order_id: order._id.toString(),
+        order_date: new Date(order.created_at || Date.now()).toISOString().slice(0, 19).replace('T', ' '),
+        pickup_location: pickupLocation,
+        billing_customer_name: contact.name || 'Customer',
+        billing_last_name: '',
+        billing_address: order.shippingAddress.address,
+        billing_city: order.shippingAddress.city,
+        billing_pincode: order.shippingAddress.postalCode,
+        billing_state: order.shippingAddress.state || '',
+        billing_country: order.shippingAddress.country,
+        billing_email: contact.email || '',
+        billing_phone: cleanPhone(order.shippingAddress.phone),
+        shipping_is_billing: true,
+        order_items: order.orderItems
+            .filter(item => item.quantity > (item.cancelledQuantity || 0))
+            .map(item => ({
+                name: item.name,
+                sku: item.sku || item.product.toString(),
+                units: item.quantity - (item.cancelledQuantity || 0),
+                selling_price: item.price
+            })),
+        payment_method: order.paymentMethod === 'cod' ? 'COD' : 'Prepaid',
+        sub_total: order.itemsPrice,
+        length: 10,
+        breadth: 10,
+        height: 10,
+        weight: getOrderWeightKg(order)
+    };
+};
+
+/**
+ * Create the order in Shiprocket and save its Shiprocket IDs
+ * @param {Object} order - Order document
+ * @param {Object} contact - { name, email } of the customer
+ * @param {Object} options - Passed to the Shiprocket client, e.g. { retries: 0 }
+ */
+const pushOrderToShiprocket = async (order, contact, options) => {
+    const payload = await buildShiprocketPayload(order, contact);
+    const response = await createShiprocketOrder(payload, options);
+
+    if (!response || !response.order_id || !response.shipment_id) {
+        throw new Error(response?.message || 'Shiprocket did not return an order and shipment ID');
+    }
+
+    order.shiprocketOrderId = response.order_id.toString();
+    order.shiprocketShipmentId = response.shipment_id.toString();
+    await order.save();
+};
+
+/**
+ * Push an order again after an earlier push failed. A push that timed out may still have created
+ * the order in Shiprocket, so an existing one is linked instead of creating a second.
+ * @param {Object} order - Order document
+ * @param {Object} contact - { name, email } of the customer
+ */
+const repushOrderToShiprocket = async (order, contact) => {
+    const existing = await findShiprocketOrderByChannelId(order._id.toString());
+    const shipmentId = existing?.shipments?.[0]?.id;
+    if (existing && existing.status !== 'CANCELED' && shipmentId) {
+        order.shiprocketOrderId = existing.id.toString();
+        order.shiprocketShipmentId = shipmentId.toString();
+        await order.save();
+        return;
+    }
+
+    // The queue does the retrying; a client retry could create a duplicate
+    await pushOrderToShiprocket(order, contact, { retries: 0 });
+};
+
+// Record a failed push, scheduling the next retry or giving up after MAX_ATTEMPTS
+const recordFailedAttempt = async (job, error) => {
+    const message = getShiprocketErrorMessage(error);
+    job.attempts += 1;
+    job.lastAttemptAt = new Date();
+    job.lastError = message;
+    job.errorHistory = [...job.errorHistory, { at: new Date(), error: message }].slice(-ERROR_HISTORY_LIMIT);
+
+    if (job.attempts >= MAX_ATTEMPTS) {
+        job.status = 'failed';
+    } else {
+        job.status = 'pending';
+        job.nextAttemptAt = new Date(Date.now() + getRetryDelay(job.attempts));
+    }
+    await job.save();
+};
+
+const markJob = async (job, status, adminId = null) => {
+    job.status = status;
+    job.completedAt = new Date();
+    job.resolvedBy = adminId;
+    await job.save();
+};
+
+const getContact = (order) => ({ name: order.user?.name, email: order.user?.email });
+
+/**
+ * Push a new order to Shiprocket once, queueing it for retries if that fails.
+ * The queue does the retrying, so checkout does not wait on Shiprocket retries.
+ * @param {Object} order - Order document
+ * @param {Object} contact - { name, email } of the customer
+ * @returns {Boolean} - Whether the order reached Shiprocket
+ */
+export const pushOrderOrQueue = async (order, contact) => {
+    try {
+        await pushOrderToShiprocket(order, contact, { retries: 0 });
+        return true;
+    } catch (error) {
+        console.error(`[Fulfilment] Shiprocket push failed for order ${order.orderNumber}, queued for retry:`, getShiprocketErrorMessage(error));
+        try {
+            const job = await FulfilmentJob.findOneAndUpdate(
+                { order: order._id },
+                { $setOnInsert: { order: order._id } },
+                { new: true, upsert: true }
+            );
+            await recordFailedAttempt(job, error);
+        } catch (queueError) {
+            console.error(`[Fulfilment] Could not queue order ${order.orderNumber}:`, queueError);
+        }
+        return false;
+    }
+};
+
+/**
+ * Retry queued Shiprocket pushes that are due
+ * @returns {Object} - { processed, succeeded, failed }
+ */
+export const processFulfilmentJobs = async () => {
+    const jobs = await FulfilmentJob.find({ status: 'pending', nextAttemptAt: { $lte: new Date() } })
+        .sort('nextAttemptAt')
+        .limit(BATCH_SIZE);
+
+    let succeeded = 0;
+    let failed = 0;
+
+    for (const job of jobs) {
+        try {
+            const order = await Order.findById(job.order).populate('user', 'name email');
+
+            // Nothing left to push
+            if (!order || UNSHIPPABLE_STATUSES.includes(order.status)) {
+                await markJob(job, 'skipped');
+                continue;
+            }
+            if (order.shiprocketOrderId) {
+                await markJob(job, 'succeeded');
+                continue;
+            }
+
+            try {
+                await repushOrderToShiprocket(order, getContact(order));
+                await markJob(job, 'succeeded');
+                succeeded++;
+            } catch (error) {
+                await recordFailedAttempt(job, error);
+                failed++;
+            }
+        } catch (error) {
+            console.error(`[Fulfilment] Error processing job ${job._id}:`, error);
+        }
+    }
+
+    if (jobs.length > 0) {
+        console.log(`[Fulfilment] Retried ${jobs.length} Shiprocket push(es): ${succeeded} succeeded, ${failed} failed`);
+    }
+
+    return { processed: jobs.length, succeeded, failed };
+};
+
+/**
+ * Push an order to Shiprocket now, on an admin's request
+ * @param {String} orderId - Order to push
+ * @param {String} adminId - Admin pushing it
+ * @returns {Object} - The updated order
+ */
+export const retryOrderFulfilment = async (orderId, adminId) => {
+    const order = await Order.findById(orderId).populate('user', 'name email');
+    if (!order) {
+        throw new ApiError(404, 'Order not found');
+    }
+    if (order.shiprocketOrderId) {
+        throw new ApiError(400, `Order is already in Shiprocket (${order.shiprocketOrderId})`);
+    }
+    if (UNSHIPPABLE_STATUSES.includes(order.status)) {
+        throw new ApiError(400, `Order is ${order.status} and cannot be shipped`);
+    }
+
+    const job = await FulfilmentJob.findOneAndUpdate(
+        { order: order._id },
+        { $setOnInsert: { order: order._id } },
+        { new: true, upsert: true }
+    );
+
+    try {
+        await repushOrderToShiprocket(order, getContact(order));
+    } catch (error) {
+        await recordFailedAttempt(job, error);
+        throw new ApiError(502, `Shiprocket: ${getShiprocketErrorMessage(error)}`);
+    }
+
+    await markJob(job, 'succeeded', adminId);
+    return order;
+};
+
+/**
+ * Orders that have not reached Shiprocket: queued for retry or given up on
+ * @param {Object} query - { status: 'pending'|'failed', page, limit }
+ * @returns {Object} - { jobs, pagination }
+ */
+export const getFulfilmentExceptions = async ({ status, page = 1, limit = 20 } = {}) => {
+    const filter = { status: ['pending', 'failed'].includes(status) ? status : { $in: ['pending', 'failed'] } };
+    const skip = (page - 1) * limit;
+
+    const [jobs, total] = await Promise.all([
+        FulfilmentJob.find(filter)
+            .sort('-updated_at')
+            .skip(skip)
+            .limit(limit)
+            .populate('order', 'orderNumber status paymentMethod totalPrice shippingAddress created_at'),
+        FulfilmentJob.countDocuments(filter)
+    ]);
+
+    return {
+        jobs,
+        pagination: { total, page, limit, totalPages: Math.ceil(total / limit) }
+    };
+};
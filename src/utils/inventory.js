@@ -0,0 +1,193 @@
+import Product from '../models/product.model.js';
+import Order from '../models/order.model.js';
+import { ApiError } from './apiError.js';
+
+/**
+ * Build the filter and field prefix for a line's stock, which lives on the variant when there is one
+ * @param {Object} line - { product, variant }
+ * @returns {Object} - { filter, prefix }
+ */
+const stockTarget = (line) => {
+    if (line.variant) {
+        return {
+            filter: { _id: line.product, 'variants._id': line.variant },
+            prefix: 'variants.$.'
+        };
+    }
+    return { filter: { _id: line.product }, prefix: '' };
+};
+
+/**
+ * Units of a product (or variant) that can still be sold
+ * @param {Object} product - Product document
+ * @param {Object} variant - Variant subdocument (optional)
+ * @returns {Number} - Available units, Infinity when inventory is not tracked
+ */
+export const getAvailableStock = (product, variant = null) => {
+    if (product.trackInventory === false) return Infinity;
+    return Math.max((variant ? variant.stock : product.stock) || 0, 0);
+};
+
+/**
+ * Put units of a line back into sellable stock
+ * @param {Object} line - { product, variant, quantity }
+ * @param {Boolean} fromReserved - true if the units are still held as reserved stock
+ */
+const restockLine = async (line, fromReserved) => {
+    const { filter, prefix } = stockTarget(line);
+    const inc = { [`${prefix}stock`]: line.quantity };
+    if (fromReserved) {
+        inc[`${prefix}reservedStock`] = -line.quantity;
+    }
+    await Product.updateOne(filter, { $inc: inc });
+};
+
+// Units of an order line still held for it; cancelled units have already gone back
+const getHeldQuantity = (item) => item.quantity - (item.cancelledQuantity || 0);
+
+/**
+ * Reserve stock for order lines before the order is created.
+ * Each line is decremented atomically; if any line is short, earlier reservations are rolled back.
+ * @param {Array} lines - [{ product, variant, name, quantity }]
+ * @returns {Array} - The same lines with stockReserved set
+ */
+export const reserveStock = async (lines) => {
+    const reserved = [];
+
+    try {
+        for (const line of lines) {
+            const product = await Product.findById(line.product).select('name stock trackInventory variants');
+            if (!product) {
+                throw new ApiError(404, `Product not found: ${line.product}`);
+            }
+
+            if (product.trackInventory === false) {
+                reserved.push({ ...line, stockReserved: false });
+                continue;
+            }
+
+            const variant = line.variant ? product.findVariant(line.variant) : null;
+            const label = variant ? `${product.name} (${variant.name})` : product.name;
+
+            const filter = line.variant
+                ? { _id: line.product, variants: { $elemMatch: { _id: line.variant, stock: { $gte: line.quantity } } } }
+                : { _id: line.product, stock: { $gte: line.quantity } };
+            const { prefix } = stockTarget(line);
+
+            const updated = await Product.findOneAndUpdate(
+                filter,
+                { $inc: { [`${prefix}stock`]: -line.quantity, [`${prefix}reservedStock`]: line.quantity } },
+                { new: true }
+            );
+
+            if (!updated) {
+                const available = Math.max((variant ? variant.stock : product.stock) || 0, 0);
+                throw new ApiError(409, available > 0
+                    ? `Only ${available} unit(s) of ${label} left in stock`
+                    : `${label} is out of stock`);
+            }
+
+            reserved.push({ ...line, stockReserved: true });
+        }
+    } catch (error) {
+        await Promise.all(reserved
+            .filter(line => line.stockReserved)
+            .map(line => restockLine(line, true)));
+        throw error;
+    }
+
+    return reserved;
+};
+
+/**
+ * Give back stock reserved for lines whose order was never created
+ */
+export const rollbackReservation = async (lines) => {
+    await Promise.all(lines
+        .filter(line => line.stockReserved)
+        .map(line => restockLine(line, true)));
+};
+
+/**
+ * Move an order's stock from reserved to sold once payment is captured.
+ * Safe to call more than once; only the first call for a reserved order has any effect.
+ */
+export const commitStock = async (order) => {
+    try {
+        const claimed = await Order.findOneAndUpdate(
+            { _id: order._id, inventoryStatus: 'reserved' },
+            { inventoryStatus: 'committed' }
+        );
+        if (!claimed) return;
+
+        await Promise.all(claimed.orderItems
+            .filter(item => item.stockReserved && getHeldQuantity(item) > 0)
+            .map(item => {
+                const { filter, prefix } = stockTarget(item);
+                return Product.updateOne(filter, { $inc: { [`${prefix}reservedStock`]: -getHeldQuantity(item) } });
+            }));
+
+        order.inventoryStatus = 'committed';
+    } catch (error) {
+        console.error(`Failed to commit stock for order ${order._id}:`, error);
+    }
+};
+
+/**
+ * Return an order's stock to sale when it is cancelled or its payment fails.
+ * Safe to call more than once; stock is only returned the first time.
+ */
+export const releaseStock = async (order) => {
+    try {
+        const claimed = await Order.findOneAndUpdate(
+            { _id: order._id, inventoryStatus: { $in: ['reserved', 'committed'] } },
+            { inventoryStatus: 'released' }
+        );
+        if (!claimed) return;
+
+        const fromReserved = claimed.inventoryStatus === 'reserved';
+        await Promise.all(claimed.orderItems
+            .filter(item => item.stockReserved && getHeldQuantity(item) > 0)
+            .map(item => restockLine({ ...item.toObject(), quantity: getHeldQuantity(item) }, fromReserved)));
+
+        order.inventoryStatus = 'released';
+    } catch (error) {
+        console.error(`Failed to release stock for order ${order._id}:`, error);
+    }
+};
+
+/**
+ * Return the stock for units cancelled from one line of an order that is still going ahead
+ * @param {Object} order - Order document
+ * @param {Object} item - The order line
+ * @param {Number} quantity - Units cancelled
+ */
+export const releaseLineStock = async (order, item, quantity) => {
+    if (!item.stockReserved || !['reserved', 'committed'].includes(order.inventoryStatus)) return;
+    await restockLine({ product: item.product, variant: item.variant, quantity }, order.inventoryStatus === 'reserved');
+};
+
+/**
+ * Manually adjust a product's (or one of its variants') stock
+ * @param {String} productId - Product to adjust
+ * @param {Number} adjustment - Units to add (positive) or remove (negative)
+ * @param {String} variantId - Variant to adjust (optional)
+ * @returns {Object} - The updated product, or null if it would go below zero
+ */
+export const adjustStock = async (productId, adjustment, variantId = null) => {
+    const { prefix } = stockTarget({ product: productId, variant: variantId });
+    let filter;
+    if (variantId) {
+        const match = { _id: variantId };
+        if (adjustment < 0) {
+            match.stock = { $gte: -adjustment };
+        }
+        filter = { _id: productId, variants: { $elemMatch: match } };
+    } else {
+        filter = { _id: productId };
+        if (adjustment < 0) {
+            filter.stock = { $gte: -adjustment };
+        }
+    }
+    return Product.findOneAndUpdate(filter, { $inc: { [`${prefix}stock`]: adjustment } }, { new: true });
+};
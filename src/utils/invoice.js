@@ -0,0 +1,221 @@
+import Invoice from '../models/invoice.model.js';
+import Counter from '../models/counter.model.js';
+import Coupon from '../models/coupon.model.js';
+import { ApiError } from './apiError.js';
+import { sellerConfig } from '../config/seller.config.js';
+import { renderInvoicePdf } from './invoicePdf.js';
+
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const normaliseState = (state) => (state || '').toLowerCase().replace(/[^a-z]/g, '');
+
+/**
+ * Indian financial year (April to March) for a date, e.g. "2026-27"
+ */
+export const getFinancialYear = (date = new Date()) => {
+    const ist = new Date(new Date(date).getTime() + IST_OFFSET_MS);
+    const startYear = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+    return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+/**
+ * Split an amount across weights in proportion, putting any rounding remainder on the last share
+ */
+const allocate = (amount, weights) => {
+    const totalWeight = weights.reduce((acc, weight) => acc + weight, 0);
+    if (!amount || totalWeight <= 0) return weights.map(() => 0);
+
+    let allocated = 0;
+    return weights.map((weight, index) => {
+        if (index === weights.length - 1) return round2(amount - allocated);
+        const share = round2((amount * weight) / totalWeight);
+        allocated += share;
+        return share;
+    });
+};
+
+/**
+ * Part of an order's discount that came off shipping.
+ * A free shipping coupon discounts shipping; any other coupon discounts the goods.
+ */
+export const getShippingDiscount = async (order) => {
+    if (!order.couponCode || !(order.discountAmount > 0)) return 0;
+
+    const coupon = await Coupon.findOne({ code: order.couponCode }).select('discountType');
+    return coupon && coupon.discountType === 'free_shipping'
+        ? Math.min(order.discountAmount, order.shippingPrice)
+        : 0;
+};
+
+/**
+ * Invoices are issued once an order is paid, or for COD once it has shipped
+ */
+export const canIssueInvoice = (order) => {
+    if (order.status === 'cancelled') return false;
+    if (order.isPaid) return true;
+    return order.paymentMethod === 'cod' && ['shipped', 'delivered'].includes(order.status);
+};
+
+/**
+ * Work out invoice lines and GST for an order.
+ * The order's item discount and GST are spread over its lines in proportion to their value,
+ * so the invoice always adds up to the amount the customer paid.
+ * @param {Object} order - Order document with user populated
+ * @returns {Object} - Invoice fields without number or PDF
+ */
+export const buildInvoiceData = async (order) => {
+    const intraState = normaliseState(order.shippingAddress.state) === normaliseState(sellerConfig.state);
+
+    const shippingDiscount = await getShippingDiscount(order);
+    const itemDiscount = round2((order.discountAmount || 0) - shippingDiscount);
+
+    const grossValues = order.orderItems.map(item => round2(item.price * item.quantity));
+    const discounts = allocate(itemDiscount, grossValues);
+    const taxableValues = grossValues.map((gross, index) => round2(gross - discounts[index]));
+    const taxes = allocate(order.taxPrice || 0, taxableValues);
+
+    const totalTaxable = round2(taxableValues.reduce((acc, value) => acc + value, 0));
+    const gstRate = order.taxRate !== undefined && order.taxRate !== null
+        ? order.taxRate
+        : (totalTaxable > 0 ? round2(((order.taxPrice || 0) / totalTaxable) * 100) : 0);
+
+    const lines = order.orderItems.map((item, index) => {
+        const tax = taxes[index];
+        const cgst = intraState ? round2(tax / 2) : 0;
+        return {
+            description: item.variantName ? `${item.name} (${item.variantName})` : item.name,
+            sku: item.sku,
+            hsnCode: item.hsnCode || '0902',
+            quantity: item.quantity,
+            unitPrice: item.price,
+            discount: discounts[index],
+            taxableValue: taxableValues[index],
+            gstRate,
+            cgst,
+            sgst: intraState ? round2(tax - cgst) : 0,
+            igst: intraState ? 0 : tax,
+            total: round2(taxableValues[index] + tax)
+        };
+    });
+
+    const sum = (field) => round2(lines.reduce((acc, line) => acc + line[field], 0));
+    const address = order.shippingAddress;
+
+    return {
+        order: order._id,
+        orderNumber: order.orderNumber,
+        orderDate: order.created_at,
+        seller: {
+            name: sellerConfig.legalName,
+            address: sellerConfig.address,
+            city: sellerConfig.city,
+            state: sellerConfig.state,
+            stateCode: sellerConfig.stateCode,
+            pincode: sellerConfig.pincode,
+            country: 'India',
+            gstin: sellerConfig.gstin,
+            email: sellerConfig.email,
+            phone: sellerConfig.phone,
+            website: sellerConfig.website
+        },
+        buyer: {
+            name: order.user?.name || 'Customer',
+            address: address.address,
+            city: address.city,
+            state: address.state,
+            pincode: address.postalCode,
+            country: address.country,
+            email: order.user?.email,
+            phone: address.phone || order.user?.phone
+        },
+        placeOfSupply: address.state,
+        supplyType: intraState ? 'intra_state' : 'inter_state',
+        paymentMethod: order.paymentMethod,
+        lines,
+        totals: {
+            taxableValue: sum('taxableValue'),
+            cgst: sum('cgst'),
+            sgst: sum('sgst'),
+            igst: sum('igst'),
+            shipping: order.shippingPrice || 0,
+            shippingDiscount,
+            grandTotal: order.totalPrice
+        }
+    };
+};
+
+// A reserved invoice whose numbering started this long ago was abandoned, e.g. by a restart
+const NUMBERING_STALE_MS = 60 * 1000;
+
+/**
+ * Give a reserved invoice the next number for its financial year. Only one request numbers
+ * a row, so a number is never taken for an invoice that does not get it.
+ * @param {Object} invoice - Reserved invoice without a number
+ * @returns {Object} - The numbered invoice
+ */
+const assignInvoiceNumber = async (invoice) => {
+    const claimed = await Invoice.findOneAndUpdate(
+        {
+            _id: invoice._id,
+            sequence: null,
+            $or: [{ numberingAt: null }, { numberingAt: { $lte: new Date(Date.now() - NUMBERING_STALE_MS) } }]
+        },
+        { $set: { numberingAt: new Date() } },
+        { new: true }
+    );
+    if (!claimed) {
+        throw new ApiError(409, 'The invoice is being issued, please try again in a moment');
+    }
+
+    const sequence = await Counter.next(`invoice-${claimed.financialYear}`);
+    const invoiceNumber = `${sellerConfig.invoicePrefix}/${claimed.financialYear}/${String(sequence).padStart(5, '0')}`;
+
+    return await Invoice.findOneAndUpdate(
+        { _id: claimed._id, numberingAt: claimed.numberingAt },
+        { $set: { sequence, invoiceNumber } },
+        { new: true }
+    ).select('+pdf');
+};
+
+/**
+ * Get an order's invoice, issuing it with the next number for the financial year on first request.
+ * The PDF is rendered once and stored, so every download returns the same document.
+ * @param {Object} order - Order document with user populated
+ * @returns {Object} - Invoice document including the pdf buffer
+ */
+export const getOrCreateInvoice = async (order) => {
+    let invoice = await Invoice.findOne({ order: order._id }).select('+pdf');
+
+    if (!invoice) {
+        if (!canIssueInvoice(order)) {
+            throw new ApiError(400, 'An invoice is available once the order has been paid');
+        }
+
+        const data = await buildInvoiceData(order);
+        const issuedAt = new Date();
+
+        // Reserve the row first; a concurrent request for the same order gets the same row
+        invoice = await Invoice.findOneAndUpdate(
+            { order: order._id },
+            { $setOnInsert: { ...data, financialYear: getFinancialYear(issuedAt), issuedAt } },
+            { new: true, upsert: true }
+        ).select('+pdf');
+    }
+
+    if (!invoice.invoiceNumber) {
+        invoice = await assignInvoiceNumber(invoice);
+        if (!invoice) {
+            throw new ApiError(409, 'The invoice is being issued, please try again in a moment');
+        }
+    }
+
+    // Rendering is repeatable, so a render that failed is simply done again on the next request
+    if (!invoice.pdf) {
+        invoice.pdf = await renderInvoicePdf(invoice);
+        await Invoice.updateOne({ _id: invoice._id }, { $set: { pdf: invoice.pdf } });
+    }
+
+    return invoice;
+};
@@ -0,0 +1,165 @@
+import PDFDocument from 'pdfkit';
+
+const PAGE_MARGIN = 40;
+
+// The built-in PDF fonts have no rupee glyph
+const formatAmount = (value) => `Rs. ${(value || 0).toFixed(2)}`;
+const formatNumber = (value) => (value || 0).toFixed(2);
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-IN', {
+    day: '2-digit', month: 'short', year: 'numeric', timeZone: 'Asia/Kolkata'
+}) : '-');
+
+const formatParty = (party) => [
+    party.address,
+    [party.city, party.state, party.pincode].filter(Boolean).join(', '),
+    party.country,
+    party.phone ? `Phone: ${party.phone}` : null,
+    party.email ? `Email: ${party.email}` : null
+].filter(Boolean).join('\n');
+
+/**
+ * Render an invoice as a PDF
+ * @param {Object} invoice - Invoice document (or plain object with the same fields)
+ * @returns {Promise<Buffer>} - PDF file contents
+ */
+export const renderInvoicePdf = (invoice) => new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+        size: 'A4',
+        margin: PAGE_MARGIN,
+        info: {
+            Title: `Tax Invoice ${invoice.invoiceNumber}`,
+            Author: invoice.seller.name,
+            CreationDate: new Date(invoice.issuedAt)
+        }
+    });
+
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const left = PAGE_MARGIN;
+    const width = doc.page.width - PAGE_MARGIN * 2;
+    const intraState = invoice.supplyType === 'intra_state';
+    const gstRate = invoice.lines.length > 0 ? invoice.lines[0].gstRate : 0;
+
+    // Header
+    doc.font('Helvetica-Bold').fontSize(18).text('TAX INVOICE', left, PAGE_MARGIN, { width, align: 'right' });
+    doc.fontSize(14).text(invoice.seller.name, left, PAGE_MARGIN);
+    doc.font('Helvetica').fontSize(9).text(formatParty(invoice.seller), { width: width / 2 });
+    if (invoice.seller.gstin) {
+        doc.font('Helvetica-Bold').text(`GSTIN: ${invoice.seller.gstin}`);
+    }
+
+    const metaTop = PAGE_MARGIN + 28;
+    const metaLeft = left + width / 2 + 20;
+    const metaWidth = width / 2 - 20;
+    doc.font('Helvetica').fontSize(9);
+    [
+        ['Invoice No.', invoice.invoiceNumber],
+        ['Invoice Date', formatDate(invoice.issuedAt)],
+        ['Order No.', invoice.orderNumber],
+        ['Order Date', formatDate(invoice.orderDate)],
+        ['Payment', invoice.paymentMethod === 'cod' ? 'Cash on Delivery' : 'Prepaid'],
+        ['Place of Supply', invoice.placeOfSupply || '-']
+    ].forEach(([label, value], index) => {
+        const y = metaTop + index * 13;
+        doc.font('Helvetica-Bold').text(label, metaLeft, y, { width: 80 });
+        doc.font('Helvetica').text(value || '-', metaLeft + 80, y, { width: metaWidth - 80 });
+    });
+
+    // Buyer
+    let y = Math.max(doc.y, metaTop + 6 * 13) + 15;
+    doc.moveTo(left, y).lineTo(left + width, y).stroke();
+    y += 8;
+    doc.font('Helvetica-Bold').fontSize(10).text('Bill To / Ship To', left, y);
+    doc.font('Helvetica').fontSize(9).text(invoice.buyer.name || 'Customer', left, doc.y + 2);
+    doc.text(formatParty(invoice.buyer), { width: width / 2 });
+    y = doc.y + 12;
+
+    // Line items
+    const columns = intraState
+        ? [
+            ['#', 20, 'left'], ['Description', 140, 'left'], ['HSN', 40, 'left'], ['Qty', 30, 'right'],
+            ['Rate', 50, 'right'], ['Discount', 40, 'right'], ['Taxable', 55, 'right'],
+            [`CGST ${gstRate / 2}%`, 45, 'right'], [`SGST ${gstRate / 2}%`, 45, 'right'], ['Total', 50, 'right']
+        ]
+        : [
+            ['#', 20, 'left'], ['Description', 165, 'left'], ['HSN', 40, 'left'], ['Qty', 30, 'right'],
+            ['Rate', 55, 'right'], ['Discount', 45, 'right'], ['Taxable', 55, 'right'],
+            [`IGST ${gstRate}%`, 50, 'right'], ['Total', 55, 'right']
+        ];
+
+    const drawRow = (values, rowY, bold = false) => {
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+        let x = left;
+        let rowHeight = 0;
+        values.forEach((value, index) => {
+            const [, colWidth, align] = columns[index];
+            doc.text(String(value), x + 2, rowY, { width: colWidth - 4, align });
+            rowHeight = Math.max(rowHeight, doc.y - rowY);
+            x += colWidth;
+        });
+        return rowY + rowHeight + 6;
+    };
+
+    doc.rect(left, y - 4, width, 18).fillAndStroke('#f2f2f2', '#cccccc');
+    doc.fillColor('black');
+    y = drawRow(columns.map(([label]) => label), y, true);
+
+    invoice.lines.forEach((line, index) => {
+        if (y > doc.page.height - 200) {
+            doc.addPage();
+            y = PAGE_MARGIN;
+        }
+        const description = line.sku ? `${line.description}\nSKU: ${line.sku}` : line.description;
+        const taxColumns = intraState
+            ? [formatNumber(line.cgst), formatNumber(line.sgst)]
+            : [formatNumber(line.igst)];
+        y = drawRow([
+            index + 1,
+            description,
+            line.hsnCode || '-',
+            line.quantity,
+            formatNumber(line.unitPrice),
+            formatNumber(line.discount),
+            formatNumber(line.taxableValue),
+            ...taxColumns,
+            formatNumber(line.total)
+        ], y);
+        doc.moveTo(left, y - 3).lineTo(left + width, y - 3).strokeColor('#e0e0e0').stroke().strokeColor('black');
+    });
+
+    // Totals
+    y += 10;
+    const totalsLeft = left + width - 220;
+    const totals = [
+        ['Taxable Value', invoice.totals.taxableValue],
+        ...(intraState
+            ? [['CGST', invoice.totals.cgst], ['SGST', invoice.totals.sgst]]
+            : [['IGST', invoice.totals.igst]]),
+        ['Shipping', invoice.totals.shipping],
+        ...(invoice.totals.shippingDiscount > 0 ? [['Shipping Discount', -invoice.totals.shippingDiscount]] : [])
+    ];
+    doc.fontSize(9);
+    totals.forEach(([label, value]) => {
+        doc.font('Helvetica').text(label, totalsLeft, y, { width: 120 });
+        doc.text(formatAmount(value), totalsLeft + 120, y, { width: 100, align: 'right' });
+        y += 14;
+    });
+    doc.moveTo(totalsLeft, y).lineTo(left + width, y).stroke();
+    y += 6;
+    doc.font('Helvetica-Bold').fontSize(11).text('Grand Total', totalsLeft, y, { width: 120 });
+    doc.text(formatAmount(invoice.totals.grandTotal), totalsLeft + 120, y, { width: 100, align: 'right' });
+
+    // Footer (drawn inside the bottom margin, so stop PDFKit from starting a new page)
+    doc.page.margins.bottom = 0;
+    doc.font('Helvetica').fontSize(8).fillColor('#666666').text(
+        'This is a computer generated invoice and does not require a signature.',
+        left,
+        doc.page.height - PAGE_MARGIN - 20,
+        { width, align: 'center' }
+    );
+
+    doc.end();
+});
@@ -49,7 +49,14 @@ export const notificationTemplates = {
             message: `Hi ${name},\n\nYour payment for order ${orderNumber} (${method || 'online'}) was successful!\n\nTrack your order: ${FRONTEND_BASE_URL}/track-order/${orderId}\n\nThank you for your purchase.\n\nBest regards,\nYellow Tea Team`
         }
     }),
-    payment_failed: ({ name, orderNumber, orderId }) => ({
+    payment_failed: ({ name, orderNumber, orderId, retryUrl, expiresAt }) => (retryUrl ? {
+        whatsapp: `Hi ${name}, we have not received payment for order ${orderNumber}. Complete it here before ${expiresAt} or the order will be cancelled: ${retryUrl}`,
+        inApp: `Payment for order ${orderNumber} is pending. Complete it before ${expiresAt} or the order will be cancelled.`,
+        email: {
+            subject: `Payment Pending - ${orderNumber}`,
+            message: `Hi ${name},\n\nWe have not received payment for order ${orderNumber}.\n\nComplete your payment before ${expiresAt}: ${retryUrl}\n\nAfter that the order will be cancelled.\n\nBest regards,\nYellow Tea Team`
+        }
+    } : {
         whatsapp: `Hi ${name}, your payment for order ${orderNumber} failed. Please try again or contact support.`,
         inApp: `Payment for order ${orderNumber} failed.`,
         email: {
@@ -57,12 +64,55 @@ export const notificationTemplates = {
             message: `Hi ${name},\n\nYour payment for order ${orderNumber} failed.\n\nTrack your order: ${FRONTEND_BASE_URL}/track-order/${orderId}\n\nPlease try again or contact our support team for assistance.\n\nBest regards,\nYellow Tea Team`
         }
     }),
-    refund_processed: ({ name, orderNumber, amount, orderId }) => ({
-        whatsapp: `Hi ${name}, your refund for order ${orderNumber} has been processed. Amount: ₹${amount}.`,
-        inApp: `Refund for order ${orderNumber} has been processed. Amount: ₹${amount}.`,
+    payment_link: ({ name, orderNumber, amount, paymentUrl, expiresAt }) => ({
+        whatsapp: `Hi ${name}, thank you for your order ${orderNumber} with Yellow Tea. Please pay ₹${amount} here before ${expiresAt}: ${paymentUrl}`,
+        inApp: `Your order ${orderNumber} is waiting for payment of ₹${amount}. Pay before ${expiresAt}.`,
+        email: {
+            subject: `Payment Link - ${orderNumber}`,
+            message: `Hi ${name},\n\nThank you for your order ${orderNumber}.\n\nAmount due: ₹${amount}\nPay securely here: ${paymentUrl}\n\nThe link is valid until ${expiresAt}. After that the order will be cancelled.\n\nBest regards,\nYellow Tea Team`
+        }
+    }),
+    cart_abandoned: ({ name, orderNumber, itemCount, value, resumeUrl }) => (orderNumber ? {
+        whatsapp: `Hi ${name}, your order ${orderNumber} is waiting for payment. Complete it here: ${resumeUrl}`,
+        inApp: `Your order ${orderNumber} is waiting for payment.`,
+        email: {
+            subject: `Complete your order - ${orderNumber}`,
+            message: `Hi ${name},\n\nYour order ${orderNumber} (₹${value}) is still waiting for payment.\n\nComplete your payment: ${resumeUrl}\n\nIf you have any questions, please contact our support team.\n\nBest regards,\nYellow Tea Team`
+        }
+    } : {
+        whatsapp: `Hi ${name}, you left ${itemCount} item(s) in your cart. Pick up where you left off: ${resumeUrl}`,
+        inApp: `You have ${itemCount} item(s) waiting in your cart.`,
+        email: {
+            subject: 'You left something in your cart',
+            message: `Hi ${name},\n\nYou left ${itemCount} item(s) worth ₹${value} in your cart.\n\nPick up where you left off: ${resumeUrl}\n\nBest regards,\nYellow Tea Team`
+        }
+    }),
+    return_approved: ({ name, orderNumber, rmaNumber }) => ({
+        whatsapp: `Hi ${name}, your return ${rmaNumber} for order ${orderNumber} has been approved. We'll arrange a pickup from your address shortly.`,
+        inApp: `Return ${rmaNumber} for order ${orderNumber} has been approved.`,
+        email: {
+            subject: `Return Approved - ${rmaNumber}`,
+            message: `Hi ${name},\n\nYour return ${rmaNumber} for order ${orderNumber} has been approved.\n\nOur courier partner will pick up the items from your delivery address. Please keep them packed and ready.\n\nBest regards,\nYellow Tea Team`
+        }
+    }),
+    return_rejected: ({ name, orderNumber, rmaNumber, reason }) => ({
+        whatsapp: `Hi ${name}, we couldn't accept your return ${rmaNumber} for order ${orderNumber}. Reason: ${reason}`,
+        inApp: `Return ${rmaNumber} for order ${orderNumber} was not accepted. Reason: ${reason}`,
+        email: {
+            subject: `Return Update - ${rmaNumber}`,
+            message: `Hi ${name},\n\nWe couldn't accept your return ${rmaNumber} for order ${orderNumber}.\n\nReason: ${reason}\n\nIf you have any questions, please contact our support team.\n\nBest regards,\nYellow Tea Team`
+        }
+    }),
+    refund_processed: ({ name, orderNumber, amount, orderId, partial }) => ({
+        whatsapp: partial
+            ? `Hi ${name}, a partial refund of ₹${amount} for order ${orderNumber} has been processed.`
+            : `Hi ${name}, your refund for order ${orderNumber} has been processed. Amount: ₹${amount}.`,
+        inApp: partial
+            ? `A partial refund of ₹${amount} for order ${orderNumber} has been processed.`
+            : `Refund for order ${orderNumber} has been processed. Amount: ₹${amount}.`,
         email: {
-            subject: `Refund Processed - ${orderNumber}`,
-            message: `Hi ${name},\n\nYour refund for order ${orderNumber} has been processed.\n\nRefund Amount: ₹${amount}\nTrack your order: ${FRONTEND_BASE_URL}/track-order/${orderId}\n\nThe refund will be credited to your original payment method within 5-7 business days.\n\nBest regards,\nYellow Tea Team`
+            subject: `${partial ? 'Partial Refund' : 'Refund'} Processed - ${orderNumber}`,
+            message: `Hi ${name},\n\n${partial ? `A partial refund for order ${orderNumber} has been processed.` : `Your refund for order ${orderNumber} has been processed.`}\n\nRefund Amount: ₹${amount}\nTrack your order: ${FRONTEND_BASE_URL}/track-order/${orderId}\n\nThe refund will be credited to your original payment method within 5-7 business days.\n\nBest regards,\nYellow Tea Team`
         }
     })
 }; 
\ No newline at end of file
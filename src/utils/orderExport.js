@@ -0,0 +1,156 @@
+import { once } from 'events';
+import ExcelJS from 'exceljs';
+import Order from '../models/order.model.js';
+import { ApiError } from './apiError.js';
+
+const formatDate = (date) => (date ? new Date(date).toISOString().split('T')[0] : '');
+
+const formatAddress = (address) => (address
+    ? [address.address, address.city, address.state, address.postalCode, address.country].filter(Boolean).join(', ')
+    : '');
+
+// Columns available in every export; `item` is only set in one-row-per-line-item mode
+export const ORDER_EXPORT_COLUMNS = {
+    orderId: { header: 'Order ID', value: (order) => order._id.toString() },
+    orderNumber: { header: 'Order Number', value: (order) => order.orderNumber },
+    orderDate: { header: 'Order Date', value: (order) => formatDate(order.created_at) },
+    customerName: { header: 'Customer Name', value: (order) => order.user?.name || 'N/A' },
+    customerEmail: { header: 'Customer Email', value: (order) => order.user?.email || 'N/A' },
+    customerPhone: { header: 'Customer Phone', value: (order) => order.shippingAddress?.phone || '' },
+    status: { header: 'Status', value: (order) => order.status },
+    paymentStatus: { header: 'Payment Status', value: (order) => (order.isPaid ? 'Paid' : 'Not Paid') },
+    paymentMethod: { header: 'Payment Method', value: (order) => order.paymentMethod || 'N/A' },
+    paidAt: { header: 'Paid At', value: (order) => formatDate(order.paidAt) },
+    couponCode: { header: 'Coupon', value: (order) => order.couponCode || '' },
+    itemsCount: { header: 'Items Count', value: (order) => order.orderItems.length },
+    itemsPrice: { header: 'Items Price', value: (order) => order.itemsPrice },
+    shippingPrice: { header: 'Shipping Price', value: (order) => order.shippingPrice },
+    tax: { header: 'Tax', value: (order) => order.taxPrice },
+    discount: { header: 'Discount', value: (order) => order.discountAmount || 0 },
+    total: { header: 'Total Price', value: (order) => order.totalPrice },
+    shippingAddress: { header: 'Shipping Address', value: (order) => formatAddress(order.shippingAddress) },
+    shippingState: { header: 'Shipping State', value: (order) => order.shippingAddress?.state || '' },
+    shippingPincode: { header: 'Shipping Pincode', value: (order) => order.shippingAddress?.postalCode || '' },
+    trackingNumber: { header: 'Tracking Number', value: (order) => order.trackingNumber || '' },
+    productName: { header: 'Product', value: (order, item) => item?.name || '', itemOnly: true },
+    variantName: { header: 'Variant', value: (order, item) => item?.variantName || '', itemOnly: true },
+    sku: { header: 'SKU', value: (order, item) => item?.sku || '', itemOnly: true },
+    hsnCode: { header: 'HSN', value: (order, item) => item?.hsnCode || '', itemOnly: true },
+    quantity: { header: 'Quantity', value: (order, item) => item?.quantity ?? '', itemOnly: true },
+    unitPrice: { header: 'Unit Price', value: (order, item) => item?.price ?? '', itemOnly: true },
+    lineTotal: { header: 'Line Total', value: (order, item) => (item ? item.price * item.quantity : ''), itemOnly: true }
+};
+
+const DEFAULT_ORDER_COLUMNS = [
+    'orderId', 'orderNumber', 'customerName', 'customerEmail', 'orderDate', 'status', 'paymentStatus',
+    'paymentMethod', 'itemsCount', 'itemsPrice', 'shippingPrice', 'tax', 'discount', 'total', 'shippingAddress'
+];
+
+const DEFAULT_ITEM_COLUMNS = [
+    'orderNumber', 'orderDate', 'customerName', 'status', 'paymentStatus', 'paymentMethod',
+    'productName', 'variantName', 'sku', 'hsnCode', 'quantity', 'unitPrice', 'lineTotal', 'total'
+];
+
+/**
+ * Pick the export columns from a comma separated list
+ * @param {String} columnsParam - e.g. "orderNumber,total" (optional)
+ * @param {String} mode - "orders" or "items"
+ * @returns {Array} - [{ key, header, value }]
+ */
+export const resolveExportColumns = (columnsParam, mode = 'orders') => {
+    const keys = columnsParam
+        ? columnsParam.split(',').map(key => key.trim()).filter(Boolean)
+        : (mode === 'items' ? DEFAULT_ITEM_COLUMNS : DEFAULT_ORDER_COLUMNS);
+
+    const unknown = keys.filter(key => !ORDER_EXPORT_COLUMNS[key]);
+    if (unknown.length > 0) {
+        throw new ApiError(400, `Unknown export column(s): ${unknown.join(', ')}. Available: ${Object.keys(ORDER_EXPORT_COLUMNS).join(', ')}`);
+    }
+
+    const itemOnly = keys.filter(key => ORDER_EXPORT_COLUMNS[key].itemOnly);
+    if (mode !== 'items' && itemOnly.length > 0) {
+        throw new ApiError(400, `Column(s) ${itemOnly.join(', ')} need mode=items`);
+    }
+
+    return keys.map(key => ({ key, ...ORDER_EXPORT_COLUMNS[key] }));
+};
+
+/**
+ * Build an order filter from query params, the same way getAllOrders does
+ * (e.g. status=shipped&paymentMethod=cod&created_at[gte]=2024-04-01).
+ * startDate/endDate are still accepted for the created_at range.
+ */
+export const buildOrderExportFilter = (query) => {
+    const queryObj = { ...query };
+    const excludedFields = ['page', 'sort', 'limit', 'fields', 'format', 'columns', 'mode', 'startDate', 'endDate'];
+    excludedFields.forEach(field => delete queryObj[field]);
+
+    let queryStr = JSON.stringify(queryObj);
+    queryStr = queryStr.replace(/\b(gt|gte|lt|lte)\b/g, match => `$${match}`);
+    const filter = JSON.parse(queryStr);
+
+    if (query.startDate || query.endDate) {
+        filter.created_at = { ...(typeof filter.created_at === 'object' ? filter.created_at : {}) };
+        if (query.startDate) filter.created_at.$gte = new Date(query.startDate);
+        if (query.endDate) filter.created_at.$lte = new Date(query.endDate);
+    }
+
+    return filter;
+};
+
+/**
+ * Open a cursor over the orders to export, oldest first
+ */
+export const getOrderExportCursor = (filter, sort) => Order.find(filter)
+    .sort(sort ? sort.split(',').join(' ') : 'created_at')
+    .populate('user', 'name email')
+    .lean()
+    .cursor({ batchSize: 500 });
+
+// One row per order, or one row per line item
+const toRows = (order, columns, mode) => {
+    const items = mode === 'items' && order.orderItems.length > 0 ? order.orderItems : [null];
+    return items.map(item => columns.map(column => column.value(order, item)));
+};
+
+const escapeCsv = (value) => {
+    if (value === null || value === undefined) return '';
+    const str = String(value);
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+/**
+ * Stream orders from a cursor to the response as CSV
+ */
+export const streamOrdersCsv = async (cursor, columns, mode, res) => {
+    // BOM so Excel opens the file as UTF-8
+    res.write('﻿' + columns.map(column => escapeCsv(column.header)).join(',') + '\r\n');
+
+    for await (const order of cursor) {
+        const chunk = toRows(order, columns, mode)
+            .map(row => row.map(escapeCsv).join(',') + '\r\n')
+            .join('');
+        if (!res.write(chunk)) {
+            await once(res, 'drain');
+        }
+    }
+
+    res.end();
+};
+
+/**
+ * Stream orders from a cursor to the response as an XLSX workbook
+ */
+export const streamOrdersXlsx = async (cursor, columns, mode, res) => {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+    const sheet = workbook.addWorksheet('Orders');
+    sheet.columns = columns.map(column => ({ header: column.header, key: column.key, width: Math.max(column.header.length + 2, 14) }));
+    sheet.getRow(1).font = { bold: true };
+
+    for await (const order of cursor) {
+        toRows(order, columns, mode).forEach(row => sheet.addRow(row).commit());
+    }
+
+    await sheet.commit();
+    await workbook.commit();
+};
@@ -0,0 +1,70 @@
+import Counter from '../models/counter.model.js';
+import { getSettings } from './settings.js';
+
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+// A duplicate can only happen if numbers were issued outside this counter (e.g. before it existed)
+const MAX_ATTEMPTS = 5;
+
+// Date parts in Indian time so the daily sequence restarts at local midnight
+const getDateParts = (date) => {
+    const ist = new Date(date.getTime() + IST_OFFSET_MS);
+    const YYYY = ist.getUTCFullYear().toString();
+    return {
+        YYYY,
+        YY: YYYY.slice(-2),
+        MM: (ist.getUTCMonth() + 1).toString().padStart(2, '0'),
+        DD: ist.getUTCDate().toString().padStart(2, '0')
+    };
+};
+
+const getPeriodKey = (reset, { YYYY, MM, DD }) => {
+    switch (reset) {
+        case 'never': return 'all';
+        case 'yearly': return YYYY;
+        case 'monthly': return `${YYYY}${MM}`;
+        default: return `${YYYY}${MM}${DD}`;
+    }
+};
+
+/**
+ * Take the next order number for a channel, e.g. YT-20240915-0001.
+ * The sequence comes from an atomic counter per prefix and period, so concurrent checkouts never share a number.
+ * @param {String} channel - 'web', 'admin' or 'marketplace'
+ * @param {Date} date - Order date
+ * @returns {String} - Order number
+ */
+export const generateOrderNumber = async (channel = 'web', date = new Date()) => {
+    const settings = await getSettings();
+    const prefix = settings.orderNumberPrefixes?.[channel] || settings.orderNumberPrefixes?.web || 'YT';
+    const parts = getDateParts(date);
+
+    const seq = await Counter.next(`order-${prefix}-${getPeriodKey(settings.orderNumberReset, parts)}`);
+
+    return settings.orderNumberFormat
+        .replace(/\{PREFIX\}/g, prefix)
+        .replace(/\{CHANNEL\}/g, channel.toUpperCase())
+        .replace(/\{(YYYY|YY|MM|DD)\}/g, (match, part) => parts[part])
+        .replace(/\{SEQ(?::(\d+))?\}/g, (match, width) => seq.toString().padStart(Number(width) || 0, '0'));
+};
+
+/**
+ * Create an order with a fresh order number, taking a new number if it is already in use
+ * @param {String} channel - 'web', 'admin' or 'marketplace'
+ * @param {Function} create - async (orderNumber) => created order
+ * @returns {Object} - The created order
+ */
+export const createWithOrderNumber = async (channel, create) => {
+    for (let attempt = 1; ; attempt++) {
+        const orderNumber = await generateOrderNumber(channel);
+        try {
+            return await create(orderNumber);
+        } catch (error) {
+            const duplicateNumber = error.code === 11000 && error.keyPattern && error.keyPattern.orderNumber;
+            if (!duplicateNumber || attempt >= MAX_ATTEMPTS) {
+                throw error;
+            }
+            console.warn(`[Order number] ${orderNumber} is already taken, retrying (attempt ${attempt})`);
+        }
+    }
+};
@@ -0,0 +1,179 @@
+import Order from '../models/order.model.js';
+import { ApiError } from './apiError.js';
+import { getSettings } from './settings.js';
+import { getCodAvailability } from './cod.js';
+import { getOrderWeightKg } from './shipments.js';
+import { buildShiprocketPayload } from './fulfilment.js';
+import { updateShiprocketOrder, getShiprocketErrorMessage } from './shiprocket.js';
+import { razorpay, RAZORPAY_CONFIG, formatAmountForRazorpay } from '../config/razorpay.config.js';
+
+/**
+ * Find the order a Razorpay order belongs to, including Razorpay orders of earlier attempts
+ * @param {String} razorpayOrderId - Razorpay order ID
+ * @returns {Object|null} - Order document
+ */
+export const findOrderByRazorpayOrderId = async (razorpayOrderId) => {
+    if (!razorpayOrderId) return null;
+    return await Order.findOne({ razorpayOrderId })
+        || await Order.findOne({ 'paymentAttempts.razorpayOrderId': razorpayOrderId });
+};
+
+/**
+ * A captured payment on any of the order's Razorpay orders or payment links, if Razorpay holds one
+ * @param {Object} order - Order document
+ * @returns {Object|null} - Razorpay payment entity
+ */
+export const findCapturedPayment = async (order) => {
+    const razorpayOrderIds = new Set(order.paymentAttempts
+        .filter(attempt => attempt.razorpayOrderId)
+        .map(attempt => attempt.razorpayOrderId));
+    if (order.razorpayOrderId) razorpayOrderIds.add(order.razorpayOrderId);
+
+    for (const razorpayOrderId of razorpayOrderIds) {
+        const payments = await razorpay.orders.fetchPayments(razorpayOrderId);
+        const captured = (payments.items || []).find(payment => payment.captured);
+        if (captured) return captured;
+    }
+
+    // A payment link's Razorpay order is only recorded once its webhook arrives
+    const paymentLinkIds = order.paymentAttempts
+        .filter(attempt => attempt.razorpayPaymentLinkId && !attempt.razorpayOrderId)
+        .map(attempt => attempt.razorpayPaymentLinkId);
+    for (const paymentLinkId of paymentLinkIds) {
+        const paymentLink = await razorpay.paymentLink.fetch(paymentLinkId);
+        const captured = (paymentLink.payments || []).find(payment => payment.status === 'captured');
+        if (captured) return razorpay.payments.fetch(captured.payment_id);
+    }
+    return null;
+};
+
+/**
+ * Update the attempt a Razorpay order belongs to. Orders placed before attempts were kept get one added.
+ * The caller saves the order.
+ * @param {Object} order - Order document
+ * @param {Object} outcome - { razorpayOrderId, razorpayPaymentId, status, errorCode, errorDescription }
+ */
+export const recordPaymentAttempt = (order, { razorpayOrderId, razorpayPaymentId, status, errorCode, errorDescription }) => {
+    let attempt = order.paymentAttempts.find(existing => existing.razorpayOrderId === razorpayOrderId);
+    if (!attempt) {
+        order.paymentAttempts.push({ method: 'razorpay', razorpayOrderId, amount: order.totalPrice });
+        attempt = order.paymentAttempts[order.paymentAttempts.length - 1];
+    }
+
+    attempt.status = status;
+    if (razorpayPaymentId) attempt.razorpayPaymentId = razorpayPaymentId;
+    if (errorCode) attempt.errorCode = errorCode;
+    if (errorDescription) attempt.errorDescription = errorDescription;
+};
+
+// Attempts still waiting on the customer are replaced by a new one
+const supersedeOpenAttempts = (order) => {
+    order.paymentAttempts.forEach(attempt => {
+        if (attempt.status === 'created') attempt.status = 'superseded';
+    });
+};
+
+const assertPayable = (order) => {
+    if (order.isPaid) {
+        throw new ApiError(400, 'Order is already paid');
+    }
+    if (order.status === 'cancelled') {
+        throw new ApiError(400, 'Cannot process payment for cancelled order');
+    }
+};
+
+/**
+ * Send Shiprocket the order's current payment method, so the courier collects cash only for COD
+ * @param {Object} order - Order document with user populated
+ */
+export const syncShiprocketPaymentMethod = async (order) => {
+    if (!order.shiprocketOrderId) return;
+    const payload = await buildShiprocketPayload(order, { name: order.user?.name, email: order.user?.email });
+    await updateShiprocketOrder(payload);
+};
+
+/**
+ * Create a fresh Razorpay order for an unpaid order and record it as a new attempt
+ * @param {Object} order - Pending unpaid order with user populated
+ * @returns {Object} - Razorpay order
+ */
+export const startRazorpayAttempt = async (order) => {
+    assertPayable(order);
+    // Orders already moving to fulfilment as COD are not paid online
+    if (order.status !== 'pending') {
+        throw new ApiError(400, `Order is ${order.status}; it can only be paid online while it is pending`);
+    }
+
+    const razorpayOrder = await razorpay.orders.create({
+        amount: formatAmountForRazorpay(order.totalPrice),
+        currency: RAZORPAY_CONFIG.currency,
+        receipt: order.orderNumber,
+        notes: {
+            orderId: order._id.toString(),
+            orderNumber: order.orderNumber,
+            customerName: order.user?.name,
+            customerEmail: order.user?.email
+        }
+    });
+
+    supersedeOpenAttempts(order);
+    order.paymentAttempts.push({
+        method: 'razorpay',
+        razorpayOrderId: razorpayOrder.id,
+        amount: order.totalPrice
+    });
+    order.razorpayOrderId = razorpayOrder.id;
+    await order.save();
+
+    return razorpayOrder;
+};
+
+/**
+ * Switch an unpaid online order to cash on delivery, if the COD rules allow it
+ * @param {Object} order - Pending order with user populated
+ */
+export const switchToCod = async (order) => {
+    assertPayable(order);
+    if (order.status !== 'pending') {
+        throw new ApiError(400, `Order is ${order.status}; the payment method can only be changed while it is pending`);
+    }
+    if (order.paymentMethod === 'cod') {
+        throw new ApiError(400, 'Order is already cash on delivery');
+    }
+
+    const { available, reason } = await getCodAvailability({
+        postalCode: order.shippingAddress.postalCode,
+        weight: getOrderWeightKg(order),
+        orderValue: order.totalPrice,
+        userId: order.user?._id || order.user
+    });
+    if (!available) {
+        throw new ApiError(400, reason);
+    }
+
+    // A payment that already went through is applied by the webhook or reconciliation
+    if (await findCapturedPayment(order)) {
+        throw new ApiError(409, 'A payment for this order has already been received');
+    }
+
+    const previousMethod = order.paymentMethod;
+    order.paymentMethod = 'cod';
+    try {
+        await syncShiprocketPaymentMethod(order);
+    } catch (error) {
+        order.paymentMethod = previousMethod;
+        throw new ApiError(502, `Shiprocket: ${getShiprocketErrorMessage(error)}`);
+    }
+
+    supersedeOpenAttempts(order);
+    order.paymentAttempts.push({
+        method: 'cod',
+        amount: order.totalPrice,
+        status: 'selected'
+    });
+    order.paymentExpiresAt = undefined;
+    if ((await getSettings()).codOtpRequired) {
+        order.codConfirmation = { status: 'pending', requestedAt: new Date() };
+    }
+    await order.save();
+};
@@ -0,0 +1,201 @@
+import Order from '../models/order.model.js';
+import { sendUserNotification } from './responseHandler.js';
+import { releaseStock } from './inventory.js';
+import { releaseCoupon } from './coupon.js';
+import { getSettings } from './settings.js';
+import { findCapturedPayment } from './paymentAttempts.js';
+import { cancelShiprocketOrders, getShiprocketErrorMessage } from './shiprocket.js';
+import { razorpay } from '../config/razorpay.config.js';
+
+const FRONTEND_BASE_URL = process.env.FRONTEND_BASE_URL || 'http://localhost:8081';
+
+export const PAYMENT_TIMEOUT_REASON = 'payment timeout';
+export const COD_NOT_CONFIRMED_REASON = 'cod not confirmed';
+
+const MINUTE_MS = 60 * 1000;
+// Orders that ran out of time this long ago are cancelled without a retry link
+const NOTIFY_WITHIN_MS = 24 * 60 * MINUTE_MS;
+
+// Unpaid orders that are waiting on an online payment
+const UNPAID_ONLINE = {
+    isPaid: false,
+    status: 'pending',
+    paymentMethod: { $ne: 'cod' }
+};
+
+// COD orders whose delivery phone was never verified
+const UNCONFIRMED_COD = {
+    isPaid: false,
+    status: 'pending',
+    paymentMethod: 'cod',
+    'codConfirmation.status': 'pending'
+};
+
+const formatExpiry = (date) => date.toLocaleString('en-IN', {
+    timeZone: 'Asia/Kolkata',
+    dateStyle: 'medium',
+    timeStyle: 'short'
+});
+
+/**
+ * Whether an order was cancelled because it was never paid
+ */
+export const isPaymentExpired = (order) => (
+    order.status === 'cancelled' && order.cancellationReason === PAYMENT_TIMEOUT_REASON
+);
+
+/**
+ * Refund a payment that reached Razorpay after its order expired. Razorpay orders
+ * cannot be cancelled, so the checkout stays payable and the money has to go back.
+ * @param {Object} payment - Captured Razorpay payment entity
+ * @param {Object} order - The expired order
+ * @returns {Object|null} - Razorpay refund, or null if the payment was already refunded
+ */
+export const refundLatePayment = async (payment, order) => {
+    // verifyPayment and the webhook can both see the same payment
+    const current = await razorpay.payments.fetch(payment.id);
+    if (current.amount_refunded >= current.amount) return null;
+
+    const refund = await razorpay.payments.refund(payment.id, {
+        amount: payment.amount,
+        notes: {
+            orderId: order._id.toString(),
+            orderNumber: order.orderNumber,
+            reason: 'Paid after the order expired'
+        }
+    });
+    console.log(`[Payment expiry] Refunded late payment ${payment.id} for expired order ${order.orderNumber} (${refund.id})`);
+    return refund;
+};
+
+/**
+ * Give unpaid orders past the payment timeout their grace period and a retry link
+ * @returns {Number} - Orders notified
+ */
+const startGracePeriods = async ({ paymentTimeoutMinutes, paymentGraceMinutes }) => {
+    const orders = await Order.find({
+        ...UNPAID_ONLINE,
+        paymentExpiresAt: null,
+        created_at: { $lte: new Date(Date.now() - paymentTimeoutMinutes * MINUTE_MS) }
+    });
+
+    const notifyAfter = new Date(Date.now() - paymentTimeoutMinutes * MINUTE_MS - NOTIFY_WITHIN_MS);
+
+    let notified = 0;
+    for (const order of orders) {
+        try {
+            // Without a grace period, or long past it, the order is cancelled on this run and there is nothing to retry
+            const notify = paymentGraceMinutes > 0 && order.created_at >= notifyAfter;
+            const expiresAt = notify ? new Date(Date.now() + paymentGraceMinutes * MINUTE_MS) : new Date();
+            const claimed = await Order.findOneAndUpdate(
+                { _id: order._id, ...UNPAID_ONLINE, paymentExpiresAt: null },
+                { paymentExpiresAt: expiresAt }
+            );
+            if (!claimed || !notify) continue;
+
+            await sendUserNotification(order.user, { type: 'payment_failed', order: order._id }, {
+                orderNumber: order.orderNumber,
+                orderId: order._id,
+                retryUrl: `${FRONTEND_BASE_URL}/checkout?order=${order._id}`,
+                expiresAt: formatExpiry(expiresAt)
+            });
+            notified++;
+        } catch (error) {
+            console.error(`[Payment expiry] Could not start grace period for order ${order._id}:`, error);
+        }
+    }
+    return notified;
+};
+
+/**
+ * Cancel an order that still matches the filter, put its stock back on sale, free its
+ * coupon redemption and take it off Shiprocket
+ * @returns {Boolean} - Whether this run cancelled it
+ */
+const cancelIfStillMatching = async (order, filter, cancellationReason) => {
+    const cancelled = await Order.findOneAndUpdate(
+        { _id: order._id, ...filter },
+        { status: 'cancelled', cancelledAt: new Date(), cancellationReason },
+        { new: true }
+    );
+    if (!cancelled) return false;
+
+    await releaseStock(cancelled);
+    await releaseCoupon(cancelled.couponCode, cancelled._id);
+
+    if (cancelled.shiprocketOrderId) {
+        try {
+            await cancelShiprocketOrders([cancelled.shiprocketOrderId]);
+        } catch (error) {
+            console.error(`[Payment expiry] Could not cancel Shiprocket order for ${cancelled.orderNumber}:`, getShiprocketErrorMessage(error));
+        }
+    }
+    return true;
+};
+
+/**
+ * Cancel unpaid orders whose grace period has ended
+ * @returns {Number} - Orders cancelled
+ */
+const cancelExpiredOrders = async () => {
+    const orders = await Order.find({
+        ...UNPAID_ONLINE,
+        paymentExpiresAt: { $lte: new Date() }
+    });
+
+    let cancelled = 0;
+    for (const order of orders) {
+        try {
+            // A capture whose webhook has not arrived yet is left to the webhook and reconciliation
+            if (await findCapturedPayment(order)) {
+                console.warn(`[Payment expiry] Order ${order.orderNumber} has a captured payment on Razorpay; not expiring it`);
+                continue;
+            }
+
+            if (await cancelIfStillMatching(order, UNPAID_ONLINE, PAYMENT_TIMEOUT_REASON)) cancelled++;
+        } catch (error) {
+            console.error(`[Payment expiry] Could not expire order ${order._id}:`, error);
+        }
+    }
+    return cancelled;
+};
+
+/**
+ * Cancel COD orders not confirmed within the payment timeout
+ * @returns {Number} - Orders cancelled
+ */
+const cancelUnconfirmedCodOrders = async ({ paymentTimeoutMinutes }) => {
+    const orders = await Order.find({
+        ...UNCONFIRMED_COD,
+        'codConfirmation.requestedAt': { $lte: new Date(Date.now() - paymentTimeoutMinutes * MINUTE_MS) }
+    });
+
+    let cancelled = 0;
+    for (const order of orders) {
+        try {
+            if (await cancelIfStillMatching(order, UNCONFIRMED_COD, COD_NOT_CONFIRMED_REASON)) cancelled++;
+        } catch (error) {
+            console.error(`[Payment expiry] Could not cancel unconfirmed COD order ${order._id}:`, error);
+        }
+    }
+    return cancelled;
+};
+
+/**
+ * Send retry links for unpaid online orders past the payment timeout, cancel
+ * those still unpaid when their grace period ends, and cancel COD orders never confirmed
+ * @returns {Object} - { notified, cancelled, codCancelled }
+ */
+export const expireUnpaidOrders = async () => {
+    const settings = await getSettings();
+
+    const notified = await startGracePeriods(settings);
+    const cancelled = await cancelExpiredOrders();
+    const codCancelled = await cancelUnconfirmedCodOrders(settings);
+
+    if (notified > 0 || cancelled > 0 || codCancelled > 0) {
+        console.log(`[Payment expiry] Sent ${notified} retry link(s); cancelled ${cancelled} unpaid and ${codCancelled} unconfirmed COD order(s)`);
+    }
+
+    return { notified, cancelled, codCancelled };
+};
@@ -0,0 +1,126 @@
+import Order from '../models/order.model.js';
+import User from '../models/user.model.js';
+import { ApiError } from './apiError.js';
+import { getSettings } from './settings.js';
+import { cleanPhone } from './fulfilment.js';
+import { sendWhatsApp } from './whatsapp.js';
+import { sendEmailNotification } from './emailNotifications.js';
+import { notificationTemplates } from './notificationTemplates.js';
+import { razorpay, RAZORPAY_CONFIG, formatAmountForRazorpay } from '../config/razorpay.config.js';
+
+const FRONTEND_BASE_URL = process.env.FRONTEND_BASE_URL || 'http://localhost:8081';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const formatExpiry = (date) => date.toLocaleString('en-IN', {
+    timeZone: 'Asia/Kolkata',
+    dateStyle: 'medium',
+    timeStyle: 'short'
+});
+
+/**
+ * The order's most recent payment link attempt
+ * @param {Object} order - Order document
+ * @returns {Object|undefined} - Payment attempt
+ */
+export const getPaymentLinkAttempt = (order) => [...order.paymentAttempts]
+    .reverse()
+    .find(attempt => attempt.method === 'payment_link');
+
+/**
+ * Find the order a Razorpay payment link was created for
+ * @param {String} paymentLinkId - Razorpay payment link ID
+ * @returns {Object|null} - Order document
+ */
+export const findOrderByPaymentLinkId = async (paymentLinkId) => {
+    if (!paymentLinkId) return null;
+    return Order.findOne({ 'paymentAttempts.razorpayPaymentLinkId': paymentLinkId });
+};
+
+/**
+ * Create a Razorpay payment link for an unpaid order and record it as a payment attempt.
+ * The order expires with the link.
+ * @param {Object} order - Unpaid order document
+ * @param {Object} customer - { name, email, phone }
+ * @returns {Object} - Razorpay payment link
+ */
+export const createPaymentLink = async (order, customer) => {
+    if (order.isPaid) {
+        throw new ApiError(400, 'Order is already paid');
+    }
+
+    const { paymentLinkExpiryHours } = await getSettings();
+    const expiresAt = new Date(Date.now() + paymentLinkExpiryHours * HOUR_MS);
+    const phone = cleanPhone(customer.phone);
+
+    const paymentLink = await razorpay.paymentLink.create({
+        amount: formatAmountForRazorpay(order.totalPrice),
+        currency: RAZORPAY_CONFIG.currency,
+        accept_partial: false,
+        reference_id: order.orderNumber,
+        description: `Yellow Tea order ${order.orderNumber}`,
+        customer: {
+            name: customer.name,
+            email: customer.email,
+            contact: phone ? `+91${phone}` : undefined
+        },
+        // We send the link ourselves over WhatsApp and email
+        notify: { sms: false, email: false },
+        reminder_enable: false,
+        expire_by: Math.floor(expiresAt.getTime() / 1000),
+        callback_url: `${FRONTEND_BASE_URL}/track-order/${order._id}`,
+        callback_method: 'get',
+        notes: {
+            orderId: order._id.toString(),
+            orderNumber: order.orderNumber
+        }
+    });
+
+    order.paymentAttempts.push({
+        method: 'payment_link',
+        razorpayPaymentLinkId: paymentLink.id,
+        paymentLinkUrl: paymentLink.short_url,
+        amount: order.totalPrice
+    });
+    order.paymentExpiresAt = expiresAt;
+    await order.save();
+
+    return paymentLink;
+};
+
+/**
+ * Send the customer the order's payment link on WhatsApp and by email, whatever the
+ * notification channel settings, and save it as an in-app notification
+ * @param {Object} order - Order with a payment link attempt
+ * @param {Object} customer - User document
+ * @returns {Object} - { whatsapp, email }: the channels the link was sent on
+ */
+export const sendPaymentLink = async (order, customer) => {
+    const attempt = getPaymentLinkAttempt(order);
+    if (!attempt || attempt.status !== 'created') {
+        throw new ApiError(400, 'Order has no open payment link');
+    }
+
+    const templates = notificationTemplates.payment_link({
+        name: customer.name || '',
+        orderNumber: order.orderNumber,
+        amount: order.totalPrice,
+        paymentUrl: attempt.paymentLinkUrl,
+        expiresAt: formatExpiry(order.paymentExpiresAt)
+    });
+
+    await User.findByIdAndUpdate(customer._id, {
+        $push: { notifications: { type: 'payment_link', order: order._id, message: templates.inApp } }
+    });
+
+    const sent = { whatsapp: false, email: false };
+    const phone = cleanPhone(customer.phone || order.shippingAddress.phone);
+    if (phone) {
+        await sendWhatsApp(`+91${phone}`, templates.whatsapp);
+        sent.whatsapp = true;
+    }
+    if (customer.email) {
+        sent.email = await sendEmailNotification(customer.email, templates.email.subject, templates.email.message);
+    }
+    return sent;
+};
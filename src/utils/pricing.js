@@ -0,0 +1,163 @@
+import mongoose from 'mongoose';
+import Product from '../models/product.model.js';
+import { ApiError } from './apiError.js';
+import { validateCoupon } from './coupon.js';
+import { getSettings } from './settings.js';
+
+// Client totals may differ from ours by rounding only
+const PRICE_TOLERANCE = 1;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Build priced order lines from the catalogue, ignoring any price sent by the client
+ * @param {Array} items - [{ productId | product, variantId | variant | sku, quantity }]
+ * @returns {Array} - [{ name, quantity, image, price, product, variant, variantName, sku, weight, category }]
+ */
+export const buildOrderLines = async (items) => {
+    if (!items || !Array.isArray(items) || items.length === 0) {
+        throw new ApiError(400, 'No order items');
+    }
+
+    return Promise.all(items.map(async (item) => {
+        const productId = item.productId || item.product;
+        if (!productId || !mongoose.Types.ObjectId.isValid(productId)) {
+            throw new ApiError(400, 'Each order item must reference a valid product');
+        }
+
+        const quantity = Number(item.quantity);
+        if (!Number.isInteger(quantity) || quantity < 1) {
+            throw new ApiError(400, 'Quantity must be a whole number of at least 1');
+        }
+
+        const product = await Product.findById(productId);
+        if (!product) {
+            throw new ApiError(404, `Product not found: ${productId}`);
+        }
+
+        const activeVariants = (product.variants || []).filter(v => v.isActive);
+        const variantKey = item.variantId || item.variant || item.sku;
+
+        if (activeVariants.length === 0) {
+            return {
+                name: product.name,
+                quantity,
+                image: product.images?.[0] || 'default-product-image.jpg',
+                price: product.price,
+                product: product._id,
+                hsnCode: product.hsnCode,
+                category: product.category
+            };
+        }
+
+        if (!variantKey) {
+            throw new ApiError(400, `Please choose a variant of ${product.name}`);
+        }
+
+        const variant = product.findVariant(variantKey);
+        if (!variant || !variant.isActive) {
+            throw new ApiError(404, `Variant not found for ${product.name}: ${variantKey}`);
+        }
+
+        return {
+            name: product.name,
+            quantity,
+            image: variant.images?.[0] || product.images?.[0] || 'default-product-image.jpg',
+            price: variant.price,
+            product: product._id,
+            variant: variant._id,
+            variantName: variant.name,
+            sku: variant.sku,
+            weight: variant.weight,
+            hsnCode: product.hsnCode,
+            category: product.category
+        };
+    }));
+};
+
+/**
+ * Price an order on the server: catalogue prices, delivery and GST from store settings, then coupons
+ * @param {Object} options
+ * @param {Array} options.items - [{ productId, variantId, quantity }]
+ * @param {String} options.couponCode - Optional coupon code
+ * @param {String} options.userId - Customer, for per-user coupon limits
+ * @returns {Object} - { items, itemsPrice, shippingPrice, taxPrice, taxRate, discountAmount, totalPrice, coupon }
+ */
+export const calculateOrderPricing = async ({ items, couponCode, userId }) => {
+    const settings = await getSettings();
+    const lines = await buildOrderLines(items);
+
+    const itemsPrice = round2(lines.reduce((acc, item) => acc + item.price * item.quantity, 0));
+
+    let shippingPrice = 0;
+    if (settings.chargeDelivery && itemsPrice < settings.freeShippingThreshold) {
+        shippingPrice = settings.deliveryCharge;
+    }
+
+    let discountAmount = 0;
+    let coupon = null;
+    if (couponCode) {
+        const result = await validateCoupon(couponCode, { userId, items: lines, shippingPrice });
+        coupon = result.coupon;
+        discountAmount = result.discountAmount;
+    }
+
+    // GST is charged on the discounted value of the goods; free shipping does not reduce it
+    const itemDiscount = coupon && coupon.discountType !== 'free_shipping' ? discountAmount : 0;
+    const taxableValue = Math.max(itemsPrice - itemDiscount, 0);
+    const taxRate = settings.chargeGST ? settings.gstRate : 0;
+    const taxPrice = round2((taxRate / 100) * taxableValue);
+
+    const totalPrice = round2(Math.max(itemsPrice + shippingPrice + taxPrice - discountAmount, 0));
+
+    return {
+        items: lines,
+        itemsPrice,
+        shippingPrice,
+        taxPrice,
+        taxRate,
+        discountAmount,
+        totalPrice,
+        coupon
+    };
+};
+
+/**
+ * Compare totals sent by the client with the server's pricing
+ * @param {Object} pricing - Result of calculateOrderPricing
+ * @param {Object} clientTotals - { subtotal, deliveryCharges, tax, total } as sent by the client
+ * @returns {Array} - [{ field, client, server }] for every value that differs
+ */
+export const findPricingMismatches = (pricing, clientTotals = {}) => {
+    const fields = [
+        ['subtotal', 'itemsPrice'],
+        ['deliveryCharges', 'shippingPrice'],
+        ['tax', 'taxPrice'],
+        ['total', 'totalPrice']
+    ];
+
+    return fields
+        .filter(([clientField]) => clientTotals[clientField] !== undefined && clientTotals[clientField] !== null)
+        .map(([clientField, serverField]) => ({
+            field: clientField,
+            client: Number(clientTotals[clientField]),
+            server: pricing[serverField]
+        }))
+        .filter(({ client, server }) => isNaN(client) || Math.abs(client - server) > PRICE_TOLERANCE);
+};
+
+/**
+ * Shape pricing for API responses
+ */
+export const formatQuote = (pricing) => ({
+    items: pricing.items.map(({ category, ...item }) => ({
+        ...item,
+        lineTotal: round2(item.price * item.quantity)
+    })),
+    itemsPrice: pricing.itemsPrice,
+    shippingPrice: pricing.shippingPrice,
+    taxPrice: pricing.taxPrice,
+    discountAmount: pricing.discountAmount,
+    totalPrice: pricing.totalPrice,
+    couponCode: pricing.coupon ? pricing.coupon.code : null
+});
@@ -0,0 +1,340 @@
+import crypto from 'crypto';
+import User from '../models/user.model.js';
+import WebhookEvent from '../models/webhookEvent.model.js';
+import { ApiError } from './apiError.js';
+import { sendUserNotification } from './responseHandler.js';
+import { commitStock } from './inventory.js';
+import { applyRazorpayRefund, notifyRefund } from './refunds.js';
+import { isPaymentExpired, refundLatePayment } from './paymentExpiry.js';
+import { findOrderByRazorpayOrderId, recordPaymentAttempt, syncShiprocketPaymentMethod } from './paymentAttempts.js';
+import { findOrderByPaymentLinkId } from './paymentLinks.js';
+import { getShiprocketErrorMessage } from './shiprocket.js';
+import { formatAmountFromRazorpay } from '../config/razorpay.config.js';
+
+// Events still received or processing after this long were dropped (e.g. by a restart) and are picked up again
+const STALE_AFTER_MS = 5 * 60 * 1000;
+// Events handled per run of the sweep job
+const BATCH_SIZE = 50;
+
+const paymentResultFrom = (payment) => ({
+    id: payment.id,
+    status: payment.status,
+    update_time: Date.now(),
+    email_address: payment.email,
+    razorpay_order_id: payment.order_id,
+    razorpay_payment_id: payment.id
+});
+
+/**
+ * Mark an order paid from a captured Razorpay payment and commit its stock
+ * @param {Object} order - Unpaid order document
+ * @param {Object} payment - Razorpay payment entity
+ */
+export const markOrderPaid = async (order, payment) => {
+    const switchedFromCod = order.paymentMethod === 'cod';
+
+    order.isPaid = true;
+    order.paidAt = payment.created_at ? new Date(payment.created_at * 1000) : Date.now();
+    order.paymentMethod = 'razorpay';
+    order.paymentResult = paymentResultFrom(payment);
+    order.status = 'processing';
+    recordPaymentAttempt(order, { razorpayOrderId: payment.order_id, razorpayPaymentId: payment.id, status: 'paid' });
+
+    await order.save();
+    await commitStock(order);
+
+    await sendUserNotification(order.user, {
+        type: 'payment_successful',
+        order: order._id
+    }, { orderNumber: order.orderNumber, method: 'razorpay', orderId: order._id });
+
+    // The customer switched to COD and then paid online after all; the courier must not collect cash
+    if (switchedFromCod) {
+        try {
+            await order.populate('user', 'name email');
+            await syncShiprocketPaymentMethod(order);
+        } catch (error) {
+            console.error(`Could not mark order ${order.orderNumber} prepaid in Shiprocket:`, getShiprocketErrorMessage(error));
+        }
+    }
+};
+
+/**
+ * Apply a captured payment to the order it was made for
+ * @returns {Object|undefined} - { skipped: reason } when there was nothing to do
+ */
+const applyCapturedPayment = async (order, payment) => {
+    if (order.isPaid) {
+        // Orders marked paid by order.paid before its payment was recorded get the payment filled in
+        if (order.paymentResult?.razorpay_payment_id) {
+            return { skipped: `Order ${order.orderNumber} is already paid` };
+        }
+        order.paymentResult = paymentResultFrom(payment);
+        recordPaymentAttempt(order, { razorpayOrderId: payment.order_id, razorpayPaymentId: payment.id, status: 'paid' });
+        await order.save();
+        return;
+    }
+    if (isPaymentExpired(order)) {
+        const refund = await refundLatePayment(payment, order);
+        return { skipped: `Order ${order.orderNumber} expired before payment; ${refund ? `refunded as ${refund.id}` : 'payment already refunded'}` };
+    }
+    // Reconciliation flags it for an admin, as the order's stock is back on sale
+    if (order.status === 'cancelled') {
+        return { skipped: `Order ${order.orderNumber} is cancelled` };
+    }
+
+    await markOrderPaid(order, payment);
+};
+
+/**
+ * Handle payment captured event
+ */
+const handlePaymentCaptured = async (payment) => {
+    const order = await findOrderByRazorpayOrderId(payment.order_id);
+    if (!order) {
+        return { skipped: `Order not found for Razorpay order ID: ${payment.order_id}` };
+    }
+
+    const result = await applyCapturedPayment(order, payment);
+    if (result) return result;
+
+    console.log(`Payment captured for order: ${order.orderNumber}`);
+};
+
+/**
+ * Handle payment link paid event. The link's Razorpay order is recorded on its attempt,
+ * so later events and reconciliation find the order by it.
+ */
+const handlePaymentLinkPaid = async (paymentLink, payment) => {
+    const order = await findOrderByPaymentLinkId(paymentLink.id);
+    if (!order) {
+        return { skipped: `Order not found for Razorpay payment link ID: ${paymentLink.id}` };
+    }
+
+    const attempt = order.paymentAttempts.find(existing => existing.razorpayPaymentLinkId === paymentLink.id);
+    attempt.razorpayOrderId = payment.order_id;
+
+    if (order.isPaid) {
+        await order.save();
+        return { skipped: `Order ${order.orderNumber} is already paid` };
+    }
+    if (isPaymentExpired(order)) {
+        await order.save();
+        const refund = await refundLatePayment(payment, order);
+        return { skipped: `Order ${order.orderNumber} expired before payment; ${refund ? `refunded as ${refund.id}` : 'payment already refunded'}` };
+    }
+    // Reconciliation flags it for an admin, as the order's stock is back on sale
+    if (order.status === 'cancelled') {
+        await order.save();
+        return { skipped: `Order ${order.orderNumber} is cancelled` };
+    }
+
+    await markOrderPaid(order, payment);
+
+    console.log(`Payment link paid for order: ${order.orderNumber}`);
+};
+
+/**
+ * Handle payment failed event
+ */
+const handlePaymentFailed = async (payment) => {
+    const order = await findOrderByRazorpayOrderId(payment.order_id);
+    if (!order) {
+        return { skipped: `Order not found for Razorpay order ID: ${payment.order_id}` };
+    }
+    // A failed attempt can arrive after a later attempt succeeded
+    if (order.isPaid || order.status === 'cancelled') {
+        return { skipped: `Order ${order.orderNumber} is already ${order.isPaid ? 'paid' : 'cancelled'}` };
+    }
+
+    // The order stays pending so the customer can pay again or switch to COD; unpaid orders expire on their own
+    recordPaymentAttempt(order, {
+        razorpayOrderId: payment.order_id,
+        razorpayPaymentId: payment.id,
+        status: 'failed',
+        errorCode: payment.error_code,
+        errorDescription: payment.error_description
+    });
+    order.paymentResult = {
+        id: payment.id,
+        status: payment.status,
+        update_time: Date.now(),
+        email_address: payment.email,
+        razorpay_order_id: payment.order_id,
+        razorpay_payment_id: payment.id,
+        error_code: payment.error_code,
+        error_description: payment.error_description
+    };
+
+    await order.save();
+
+    await User.findByIdAndUpdate(order.user, {
+        $push: {
+            notifications: {
+                type: 'payment_failed',
+                message: `Payment for order ${order.orderNumber} failed. You can try again or pay another way.`,
+                order: order._id
+            }
+        }
+    });
+
+    console.log(`Payment failed for order: ${order.orderNumber}`);
+};
+
+/**
+ * Handle refund processed and failed events
+ */
+const handleRefundUpdate = async (refund) => {
+    const result = await applyRazorpayRefund(refund);
+    if (!result) {
+        return { skipped: `Order not found for Razorpay payment ID: ${refund.payment_id}` };
+    }
+
+    // Refunds made through the admin were announced when they were made
+    const { order, isNew } = result;
+    if (isNew && refund.status === 'processed') {
+        await notifyRefund(order, formatAmountFromRazorpay(refund.amount));
+    }
+
+    console.log(`Refund ${refund.id} ${refund.status} for order: ${order.orderNumber}`);
+};
+
+/**
+ * Handle order paid event, which carries the payment that paid the order
+ */
+const handleOrderPaid = async (orderEntity, payment) => {
+    const order = await findOrderByRazorpayOrderId(orderEntity.id);
+    if (!order) {
+        return { skipped: `Order not found for Razorpay order ID: ${orderEntity.id}` };
+    }
+
+    const result = await applyCapturedPayment(order, payment);
+    if (result) return result;
+
+    console.log(`Order paid: ${order.orderNumber}`);
+};
+
+/**
+ * Apply an event to our orders
+ * @returns {Object|undefined} - { skipped: reason } when there was nothing to do
+ */
+const dispatchEvent = async ({ event, payload }) => {
+    switch (event) {
+        case 'payment.captured':
+            return handlePaymentCaptured(payload.payment.entity);
+        case 'payment.failed':
+            return handlePaymentFailed(payload.payment.entity);
+        case 'refund.processed':
+        case 'refund.failed':
+            return handleRefundUpdate(payload.refund.entity);
+        case 'order.paid':
+            return handleOrderPaid(payload.order.entity, payload.payment.entity);
+        case 'payment_link.paid':
+            return handlePaymentLinkPaid(payload.payment_link.entity, payload.payment.entity);
+        default:
+            return { skipped: `Unhandled webhook event: ${event}` };
+    }
+};
+
+/**
+ * Store a verified webhook delivery. Razorpay retries a delivery with the same event ID,
+ * so a second copy is only counted.
+ * @param {Object} body - Parsed webhook body
+ * @param {String} eventId - x-razorpay-event-id header
+ * @returns {Object} - { event, duplicate }
+ */
+export const recordWebhookEvent = async (body, eventId) => {
+    const id = eventId || crypto.createHash('sha256').update(JSON.stringify(body)).digest('hex');
+
+    try {
+        const event = await WebhookEvent.create({
+            eventId: id,
+            event: body.event || 'unknown',
+            payload: body.payload || {}
+        });
+        return { event, duplicate: false };
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+        const event = await WebhookEvent.findOneAndUpdate({ eventId: id }, { $inc: { duplicates: 1 } }, { new: true });
+        return { event, duplicate: true };
+    }
+};
+
+/**
+ * Process a stored event once. The event is claimed first, so two workers never apply it together.
+ * @param {String} id - WebhookEvent ID
+ * @param {Array} fromStatuses - Statuses the event may be claimed from
+ * @returns {Object} - The event after processing, or null if it was not claimable
+ */
+export const processWebhookEvent = async (id, fromStatuses = ['received']) => {
+    const event = await WebhookEvent.findOneAndUpdate(
+        { _id: id, status: { $in: fromStatuses } },
+        { status: 'processing', $inc: { attempts: 1 } },
+        { new: true }
+    );
+    if (!event) return null;
+
+    try {
+        const result = await dispatchEvent(event);
+        event.status = result?.skipped ? 'skipped' : 'processed';
+        event.lastError = result?.skipped || null;
+        event.processedAt = new Date();
+    } catch (error) {
+        console.error(`[Webhooks] ${event.event} ${event.eventId} failed:`, error);
+        event.status = 'failed';
+        event.lastError = error.message || String(error);
+    }
+    await event.save();
+
+    return event;
+};
+
+/**
+ * Run an event again on an admin's request
+ * @param {String} id - WebhookEvent ID
+ * @param {String} adminId - Admin replaying it
+ * @returns {Object} - The event after processing
+ */
+export const replayWebhookEvent = async (id, adminId) => {
+    const existing = await WebhookEvent.findById(id);
+    if (!existing) {
+        throw new ApiError(404, 'Webhook event not found');
+    }
+    if (!['failed', 'skipped'].includes(existing.status)) {
+        throw new ApiError(400, `Event is ${existing.status}; only failed or skipped events can be replayed`);
+    }
+
+    const event = await processWebhookEvent(id, ['failed', 'skipped']);
+    if (!event) {
+        throw new ApiError(409, 'Event is already being processed');
+    }
+    event.replayedBy = adminId;
+    await event.save();
+
+    return event;
+};
+
+/**
+ * Process events that were stored but never finished, e.g. because the server restarted
+ * @returns {Object} - { processed }
+ */
+export const processPendingWebhookEvents = async () => {
+    const staleBefore = new Date(Date.now() - STALE_AFTER_MS);
+    const events = await WebhookEvent.find({
+        status: { $in: ['received', 'processing'] },
+        updated_at: { $lte: staleBefore }
+    })
+        .sort('created_at')
+        .limit(BATCH_SIZE)
+        .select('_id status');
+
+    for (const event of events) {
+        await processWebhookEvent(event._id, [event.status]);
+    }
+
+    if (events.length > 0) {
+        console.log(`[Webhooks] Picked up ${events.length} unfinished webhook event(s)`);
+    }
+
+    return { processed: events.length };
+};
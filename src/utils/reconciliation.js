@@ -0,0 +1,287 @@
+import Order from '../models/order.model.js';
+import ReconciliationReport from '../models/reconciliationReport.model.js';
+import { ApiError } from './apiError.js';
+import { markOrderPaid } from './razorpayWebhook.js';
+import { razorpay, formatAmountForRazorpay, formatAmountFromRazorpay } from '../config/razorpay.config.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+// Window covered by the scheduled run; it runs hourly, so consecutive windows overlap
+const SCHEDULED_WINDOW_MS = 24 * HOUR_MS;
+// Payments newer than this are left to verifyPayment and the webhook
+const SETTLE_DELAY_MS = 15 * 60 * 1000;
+// Longest window an admin can reconcile in one run
+const MAX_WINDOW_MS = 31 * DAY_MS;
+// A run still marked running after this long is assumed to have died with the process
+const RUN_TIMEOUT_MS = HOUR_MS;
+// Largest page Razorpay returns for list endpoints
+const PAGE_SIZE = 100;
+// Razorpay's settlement days are Indian Standard Time
+const IST_OFFSET_MS = 5.5 * HOUR_MS;
+
+const toSeconds = (date) => Math.floor(date.getTime() / 1000);
+const fromSeconds = (seconds) => (seconds ? new Date(seconds * 1000) : null);
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Every payment created in the window
+ */
+const fetchPayments = async (from, to) => {
+    const payments = [];
+    for (let skip = 0; ; skip += PAGE_SIZE) {
+        const page = await razorpay.payments.all({ from: toSeconds(from), to: toSeconds(to), count: PAGE_SIZE, skip });
+        payments.push(...(page.items || []));
+        if (!page.items || page.items.length < PAGE_SIZE) break;
+    }
+    return payments;
+};
+
+/**
+ * Settlement recon rows for every IST day the window touches
+ */
+const fetchSettlementRows = async (from, to) => {
+    const rows = [];
+    const day = new Date(from.getTime() + IST_OFFSET_MS);
+    day.setUTCHours(0, 0, 0, 0);
+    const lastDay = new Date(to.getTime() + IST_OFFSET_MS);
+
+    for (; day <= lastDay; day.setTime(day.getTime() + DAY_MS)) {
+        for (let skip = 0; ; skip += PAGE_SIZE) {
+            const page = await razorpay.settlements.reports({
+                year: day.getUTCFullYear(),
+                month: day.getUTCMonth() + 1,
+                day: day.getUTCDate(),
+                count: PAGE_SIZE,
+                skip
+            });
+            rows.push(...(page.items || []));
+            if (!page.items || page.items.length < PAGE_SIZE) break;
+        }
+    }
+    return rows;
+};
+
+/**
+ * Total recon rows by settlement
+ */
+const summariseSettlements = (rows) => {
+    const settlements = new Map();
+    rows.forEach(row => {
+        if (!row.settlement_id) return;
+        if (!settlements.has(row.settlement_id)) {
+            settlements.set(row.settlement_id, {
+                settlementId: row.settlement_id,
+                utr: row.settlement_utr,
+                settledAt: fromSeconds(row.settled_at),
+                amount: 0,
+                fees: 0,
+                tax: 0,
+                payments: 0,
+                refunds: 0
+            });
+        }
+        const settlement = settlements.get(row.settlement_id);
+        settlement.amount = round2(settlement.amount + formatAmountFromRazorpay((row.credit || 0) - (row.debit || 0)));
+        settlement.fees = round2(settlement.fees + formatAmountFromRazorpay(row.fee || 0));
+        settlement.tax = round2(settlement.tax + formatAmountFromRazorpay(row.tax || 0));
+        if (row.type === 'payment') settlement.payments += 1;
+        if (row.type === 'refund') settlement.refunds += 1;
+    });
+    return [...settlements.values()];
+};
+
+/**
+ * Our orders for a set of payments, keyed by Razorpay order ID. Razorpay orders of earlier payment
+ * attempts count too; any other Razorpay order is matched by its receipt (our order number).
+ */
+const findOrders = async (payments) => {
+    const razorpayOrderIds = [...new Set(payments.map(payment => payment.order_id).filter(Boolean))];
+    const orders = await Order.find({
+        $or: [
+            { razorpayOrderId: { $in: razorpayOrderIds } },
+            { 'paymentAttempts.razorpayOrderId': { $in: razorpayOrderIds } }
+        ]
+    });
+
+    const byRazorpayOrderId = new Map();
+    orders.forEach(order => {
+        byRazorpayOrderId.set(order.razorpayOrderId, order);
+        order.paymentAttempts.forEach(attempt => {
+            if (attempt.razorpayOrderId) byRazorpayOrderId.set(attempt.razorpayOrderId, order);
+        });
+    });
+    for (const razorpayOrderId of razorpayOrderIds) {
+        if (byRazorpayOrderId.has(razorpayOrderId)) continue;
+        try {
+            const razorpayOrder = await razorpay.orders.fetch(razorpayOrderId);
+            const order = razorpayOrder.receipt && await Order.findOne({ orderNumber: razorpayOrder.receipt });
+            if (order) byRazorpayOrderId.set(razorpayOrderId, order);
+        } catch (error) {
+            console.error(`[Reconciliation] Could not fetch Razorpay order ${razorpayOrderId}:`, error.error?.description || error.message);
+        }
+    }
+    return byRazorpayOrderId;
+};
+
+/**
+ * Compare one captured payment with its order, fixing a missed capture when it is safe to
+ * @returns {Object|null} - Report item, or null when the two agree
+ */
+const reconcilePayment = async (payment, order) => {
+    const amount = formatAmountFromRazorpay(payment.amount);
+    const item = {
+        razorpayPaymentId: payment.id,
+        razorpayOrderId: payment.order_id || null,
+        order: order?._id || null,
+        orderNumber: order?.orderNumber || null,
+        amount,
+        expectedAmount: order ? order.totalPrice : null,
+        method: payment.method,
+        email: payment.email,
+        contact: payment.contact,
+        capturedAt: fromSeconds(payment.created_at)
+    };
+    const fullyRefunded = payment.amount_refunded >= payment.amount;
+
+    if (!order) {
+        if (fullyRefunded) return null;
+        return { ...item, type: 'orphan_payment', message: `Captured ₹${amount} does not belong to any order` };
+    }
+
+    const amountMatches = formatAmountForRazorpay(order.totalPrice) === payment.amount;
+
+    if (order.isPaid) {
+        const paidWith = order.paymentResult?.razorpay_payment_id;
+        if (paidWith && paidWith !== payment.id) {
+            if (fullyRefunded) return null;
+            return { ...item, type: 'duplicate_payment', message: `Order ${order.orderNumber} was already paid by ${paidWith}` };
+        }
+        if (!amountMatches) {
+            return { ...item, type: 'amount_mismatch', message: `Captured ₹${amount} but order ${order.orderNumber} is for ₹${order.totalPrice}` };
+        }
+        return null;
+    }
+
+    // The order's stock has gone back on sale, so bringing it back needs a person
+    if (order.status === 'cancelled') {
+        if (fullyRefunded) return null;
+        return { ...item, type: 'paid_cancelled_order', message: `Captured ₹${amount} for cancelled order ${order.orderNumber}` };
+    }
+    if (!amountMatches) {
+        return { ...item, type: 'amount_mismatch', message: `Captured ₹${amount} but order ${order.orderNumber} is for ₹${order.totalPrice}; not marked paid` };
+    }
+
+    try {
+        await markOrderPaid(order, payment);
+        return { ...item, type: 'missed_capture_fixed', message: `Order ${order.orderNumber} marked paid` };
+    } catch (error) {
+        console.error(`[Reconciliation] Could not mark order ${order.orderNumber} paid:`, error);
+        return { ...item, type: 'fix_failed', message: `Order ${order.orderNumber} could not be marked paid: ${error.message}` };
+    }
+};
+
+/**
+ * Match Razorpay payments and settlements in a window against our orders and store the report
+ * @param {Object} options - { from, to, trigger, adminId }
+ * @returns {Object} - The report
+ */
+export const runReconciliation = async ({ from, to, trigger = 'scheduled', adminId = null } = {}) => {
+    const latest = new Date(Date.now() - SETTLE_DELAY_MS);
+    const windowTo = to ? new Date(Math.min(new Date(to).getTime(), latest.getTime())) : latest;
+    const windowFrom = from ? new Date(from) : new Date(windowTo.getTime() - SCHEDULED_WINDOW_MS);
+
+    if (isNaN(windowFrom) || isNaN(windowTo)) {
+        throw new ApiError(400, 'from and to must be valid dates');
+    }
+    if (windowFrom >= windowTo) {
+        throw new ApiError(400, 'from must be before to, and at least 15 minutes ago');
+    }
+    if (windowTo - windowFrom > MAX_WINDOW_MS) {
+        throw new ApiError(400, 'A reconciliation window can be at most 31 days');
+    }
+
+    const running = await ReconciliationReport.exists({
+        status: 'running',
+        created_at: { $gte: new Date(Date.now() - RUN_TIMEOUT_MS) }
+    });
+    if (running) {
+        throw new ApiError(409, 'A reconciliation run is already in progress');
+    }
+
+    const report = await ReconciliationReport.create({
+        windowFrom,
+        windowTo,
+        trigger,
+        triggeredBy: adminId
+    });
+
+    try {
+        const [payments, settlementRows] = await Promise.all([
+            fetchPayments(windowFrom, windowTo),
+            fetchSettlementRows(windowFrom, windowTo)
+        ]);
+
+        const captured = payments.filter(payment => payment.captured);
+        const orders = await findOrders(captured);
+        const settledPayments = new Map(
+            settlementRows.filter(row => row.type === 'payment').map(row => [row.entity_id, row.settlement_id])
+        );
+
+        const summary = report.summary;
+        summary.payments = payments.length;
+        summary.captured = captured.length;
+
+        for (const payment of captured) {
+            const order = orders.get(payment.order_id) || null;
+            const settlementId = settledPayments.get(payment.id) || null;
+
+            if (order) summary.matched += 1;
+            summary.capturedAmount = round2(summary.capturedAmount + formatAmountFromRazorpay(payment.amount));
+            if (settlementId) summary.settled += 1;
+            else summary.unsettled += 1;
+
+            const item = await reconcilePayment(payment, order);
+            if (!item) continue;
+
+            report.items.push({ ...item, settlementId });
+            if (item.type === 'missed_capture_fixed') summary.missedCapturesFixed += 1;
+            if (item.type === 'amount_mismatch') summary.amountMismatches += 1;
+            if (item.type === 'orphan_payment') summary.orphanPayments += 1;
+            if (item.type === 'duplicate_payment') summary.duplicatePayments += 1;
+        }
+
+        report.settlements = summariseSettlements(settlementRows);
+        report.settlements.forEach(settlement => {
+            summary.settledAmount = round2(summary.settledAmount + settlement.amount);
+            summary.fees = round2(summary.fees + settlement.fees);
+            summary.tax = round2(summary.tax + settlement.tax);
+        });
+
+        report.status = 'completed';
+    } catch (error) {
+        console.error('[Reconciliation] Run failed:', error);
+        report.status = 'failed';
+        report.error = error.error?.description || error.message || String(error);
+    }
+
+    report.completedAt = new Date();
+    await report.save();
+
+    const flagged = report.items.filter(item => item.type !== 'missed_capture_fixed').length;
+    if (report.summary.missedCapturesFixed > 0 || flagged > 0) {
+        console.log(`[Reconciliation] Fixed ${report.summary.missedCapturesFixed} missed capture(s), flagged ${flagged} payment(s)`);
+    }
+
+    return report;
+};
+
+/**
+ * Scheduled run over the last day
+ */
+export const runScheduledReconciliation = async () => {
+    try {
+        await runReconciliation();
+    } catch (error) {
+        console.error('[Reconciliation] Scheduled run skipped:', error.message);
+    }
+};
@@ -0,0 +1,437 @@
+import Order from '../models/order.model.js';
+import { ApiError } from './apiError.js';
+import { getShippingDiscount } from './invoice.js';
+import { releaseLineStock, adjustStock } from './inventory.js';
+import { releaseCoupon } from './coupon.js';
+import { sendUserNotification } from './responseHandler.js';
+import { buildShiprocketPayload } from './fulfilment.js';
+import { razorpay, formatAmountForRazorpay, formatAmountFromRazorpay } from '../config/razorpay.config.js';
+import {
+    updateShiprocketOrder,
+    cancelShiprocketOrders,
+    getShiprocketErrorMessage
+} from './shiprocket.js';
+
+// Orders that have not shipped yet, so they or their items can still be cancelled
+export const CANCELLABLE_STATUSES = ['pending', 'processing'];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Units of an order line that have been neither cancelled nor refunded
+ */
+export const getRemainingQuantity = (item) =>
+    item.quantity - (item.cancelledQuantity || 0) - (item.returnedQuantity || 0);
+
+/**
+ * What the customer paid for some of an order's items: their value less their share of the
+ * goods discount, plus their share of GST. Shipping is not included.
+ * @param {Object} order - Order document
+ * @param {Array} items - [{ price, quantity }]
+ * @returns {Number} - Amount in rupees
+ */
+export const calculateRefundableAmount = async (order, items) => {
+    const value = items.reduce((acc, item) => acc + item.price * item.quantity, 0);
+    if (!order.itemsPrice || value <= 0) return 0;
+
+    const goodsDiscount = (order.discountAmount || 0) - await getShippingDiscount(order);
+    const paidForGoods = order.itemsPrice - goodsDiscount + (order.taxPrice || 0);
+
+    return round2(Math.min((value / order.itemsPrice) * paidForGoods, order.totalPrice));
+};
+
+/**
+ * Amount of a paid order that has not been refunded yet
+ */
+export const getRefundableBalance = (order) =>
+    order.isPaid ? Math.max(round2(order.totalPrice - (order.amountRefunded || 0)), 0) : 0;
+
+/**
+ * Match requested lines to the order's items
+ * @param {Object} order - Order document
+ * @param {Array} items - [{ orderItemId, quantity }]; quantity defaults to all remaining units
+ * @returns {Array} - [{ item, quantity }]
+ */
+const resolveOrderItems = (order, items) => {
+    if (!Array.isArray(items) || items.length === 0) {
+        throw new ApiError(400, 'Please provide the items as [{ orderItemId, quantity }]');
+    }
+
+    return items.map(({ orderItemId, quantity }) => {
+        const item = order.orderItems.find(line => line._id.toString() === String(orderItemId));
+        if (!item) {
+            throw new ApiError(400, `Item ${orderItemId} is not part of this order`);
+        }
+        const remaining = getRemainingQuantity(item);
+        const qty = quantity === undefined ? remaining : Number(quantity);
+        if (!Number.isInteger(qty) || qty < 1) {
+            throw new ApiError(400, `Quantity for ${item.name} must be a whole number of at least 1`);
+        }
+        if (qty > remaining) {
+            throw new ApiError(400, `Only ${remaining} unit(s) of ${item.name} are left on the order`);
+        }
+        return { item, quantity: qty };
+    });
+};
+
+/**
+ * Recalculate amountRefunded and refundStatus from the order's refunds
+ */
+export const refreshRefundStatus = (order) => {
+    const active = order.refunds.filter(refund => refund.status !== 'failed');
+    order.amountRefunded = round2(active.reduce((acc, refund) => acc + refund.amount, 0));
+
+    if (active.some(refund => refund.status === 'pending')) {
+        order.refundStatus = 'processing';
+    } else if (order.amountRefunded > 0) {
+        order.refundStatus = order.amountRefunded >= order.totalPrice ? 'completed' : 'partial';
+    } else if (order.refunds.length > 0) {
+        order.refundStatus = 'failed';
+    }
+
+    // Kept for clients that read the single refund summary
+    const latest = order.refunds[order.refunds.length - 1];
+    if (latest) {
+        order.refundDetails = {
+            amount: order.amountRefunded,
+            id: latest.razorpayRefundId || latest.transactionId,
+            status: latest.status,
+            processedAt: latest.processedAt,
+            processedBy: latest.processedBy,
+            reason: latest.reason,
+            method: latest.method,
+            transactionId: latest.transactionId,
+            razorpayRefundId: latest.razorpayRefundId
+        };
+    }
+};
+
+/**
+ * Tell the customer about a refund, saying when it only covers part of the order
+ */
+export const notifyRefund = async (order, amount) => {
+    await sendUserNotification(order.user, {
+        type: 'refund_processed',
+        order: order._id
+    }, {
+        orderNumber: order.orderNumber,
+        amount,
+        partial: amount < order.totalPrice
+    });
+};
+
+// How a refund is paid back when the order was not paid through Razorpay
+const PAYOUT_METHODS = ['bank_transfer', 'upi'];
+
+/**
+ * Work out and check the amount of a refund
+ * @param {Object} order - Paid order
+ * @param {Number} amount - Requested amount, if any
+ * @param {Array} lines - Resolved items the refund is for
+ * @returns {Number} - Amount in rupees
+ */
+export const resolveRefundAmount = async (order, amount, lines) => {
+    const balance = getRefundableBalance(order);
+
+    let refundAmount;
+    if (amount !== undefined && amount !== null && amount !== '') {
+        refundAmount = round2(Number(amount));
+    } else if (lines.length > 0) {
+        refundAmount = Math.min(
+            await calculateRefundableAmount(order, lines.map(({ item, quantity }) => ({ price: item.price, quantity }))),
+            balance
+        );
+    } else {
+        refundAmount = balance;
+    }
+
+    if (!(refundAmount > 0)) {
+        throw new ApiError(400, balance > 0 ? 'Refund amount must be more than 0' : 'Order has already been fully refunded');
+    }
+    if (refundAmount > balance) {
+        throw new ApiError(400, `Refund amount cannot be more than the ₹${balance} left to refund`);
+    }
+    return refundAmount;
+};
+
+/**
+ * Move a refund on to processed or failed; a finished refund never goes back to pending
+ */
+const setRefundState = (refund, status) => {
+    if (refund.status !== 'pending' || status === 'pending') return;
+    refund.status = status;
+    if (status === 'processed' && !refund.processedAt) {
+        refund.processedAt = new Date();
+    }
+};
+
+/**
+ * Save a refund just added to the order. The write only goes through if the amount refunded is
+ * still what it was when the order was read, so two refunds made together cannot both spend
+ * the same balance.
+ * @param {Object} order - Order with the new refund pushed
+ * @param {Number} refundedBefore - amountRefunded before the refund was added
+ */
+const saveNewRefund = async (order, refundedBefore) => {
+    refreshRefundStatus(order);
+    order.$where = { amountRefunded: refundedBefore || { $in: [0, null] } };
+    try {
+        await order.save();
+    } catch (error) {
+        if (['DocumentNotFoundError', 'VersionError'].includes(error.name)) {
+            throw new ApiError(409, 'Another refund was made on this order at the same time; reload the order and try again');
+        }
+        throw error;
+    } finally {
+        order.$where = undefined;
+    }
+};
+
+/**
+ * Refund through Razorpay. The refund is saved as pending before Razorpay is called, so the
+ * amount is held against the balance and the refund.* webhooks always find it.
+ */
+const refundThroughRazorpay = async (order, amount, { reason, lines, adminId }) => {
+    const refundedBefore = order.amountRefunded;
+    order.refunds.push({
+        amount,
+        reason,
+        items: lines.map(({ item, quantity }) => ({ orderItem: item._id, quantity })),
+        method: 'razorpay',
+        status: 'pending',
+        processedBy: adminId
+    });
+    const entry = order.refunds[order.refunds.length - 1];
+    await saveNewRefund(order, refundedBefore);
+
+    let refund;
+    try {
+        refund = await razorpay.payments.refund(order.paymentResult.razorpay_payment_id, {
+            amount: formatAmountForRazorpay(amount),
+            speed: 'normal',
+            notes: {
+                reason,
+                orderId: order._id.toString(),
+                orderNumber: order.orderNumber,
+                refundId: entry._id.toString()
+            }
+        });
+    } catch (error) {
+        setRefundState(entry, 'failed');
+        refreshRefundStatus(order);
+        await order.save();
+        throw new ApiError(502, `Razorpay: ${error.error?.description || error.message || 'refund failed'}`);
+    }
+
+    // Only ever moves the state forward, so a webhook that got here first is not undone
+    entry.razorpayRefundId = refund.id;
+    setRefundState(entry, refund.status === 'processed' ? 'processed' : 'pending');
+    refreshRefundStatus(order);
+    await order.save();
+
+    return entry;
+};
+
+/**
+ * Record a refund the admin has paid to the customer's bank account or UPI ID
+ * @param {Object} payout - { method, transactionId, upiId, accountNumber, ifsc, accountHolder }
+ */
+const recordPayout = async (order, amount, { reason, lines, payout, adminId }) => {
+    const { method, transactionId, upiId, accountNumber, ifsc, accountHolder } = payout;
+
+    if (!PAYOUT_METHODS.includes(method)) {
+        throw new ApiError(400, 'This order was not paid online; give the payout method: bank_transfer or upi');
+    }
+    if (!transactionId) {
+        throw new ApiError(400, 'Please provide the transactionId (UTR or reference) of the payout');
+    }
+    if (method === 'upi' && !upiId) {
+        throw new ApiError(400, 'Please provide the UPI ID the refund was paid to');
+    }
+    if (method === 'bank_transfer' && (!accountNumber || !ifsc)) {
+        throw new ApiError(400, 'Please provide the accountNumber and ifsc the refund was paid to');
+    }
+
+    const refundedBefore = order.amountRefunded;
+    order.refunds.push({
+        amount,
+        reason,
+        items: lines.map(({ item, quantity }) => ({ orderItem: item._id, quantity })),
+        method,
+        transactionId,
+        // Only the last digits of the account are kept
+        payout: method === 'upi'
+            ? { upiId, accountHolder }
+            : { accountLast4: String(accountNumber).slice(-4), ifsc: String(ifsc).toUpperCase(), accountHolder },
+        status: 'processed',
+        processedAt: new Date(),
+        processedBy: adminId
+    });
+    await saveNewRefund(order, refundedBefore);
+
+    return order.refunds[order.refunds.length - 1];
+};
+
+/**
+ * Refund part or all of a paid order. Online payments are refunded through Razorpay; for COD
+ * orders the admin pays the customer and the payout is recorded. Can be called repeatedly
+ * until everything paid has been refunded.
+ * @param {Object} order - Paid order
+ * @param {Object} options - { amount, reason, items, restock, payout, adminId }
+ *   items: [{ orderItemId, quantity }] of delivered units being refunded; they are restocked unless restock is false.
+ *   amount defaults to the items' share of the order, or the whole balance without items.
+ *   payout: bank or UPI details, required when the order was not paid through Razorpay.
+ * @returns {Object} - The refund entry added to the order
+ */
+export const refundOrder = async (order, { amount, reason, items, restock = true, payout = {}, adminId }) => {
+    if (!order.isPaid) {
+        throw new ApiError(400, 'Order was not paid, no refund needed');
+    }
+
+    const lines = items ? resolveOrderItems(order, items) : [];
+    const refundAmount = await resolveRefundAmount(order, amount, lines);
+    const options = { reason: reason || 'Customer request', lines, adminId };
+
+    const refund = order.paymentResult?.razorpay_payment_id
+        ? await refundThroughRazorpay(order, refundAmount, options)
+        : await recordPayout(order, refundAmount, { ...options, payout });
+
+    if (lines.length > 0) {
+        for (const { item, quantity } of lines) {
+            item.returnedQuantity = (item.returnedQuantity || 0) + quantity;
+            if (restock) {
+                await adjustStock(item.product, quantity, item.variant || null);
+            }
+        }
+        await order.save();
+    }
+
+    return refund;
+};
+
+/**
+ * Take items off an order before it ships. Their stock goes back on sale, and if the
+ * order was paid online their share is refunded. Cancelling every remaining unit
+ * cancels the order.
+ * @param {Object} order - Order document
+ * @param {Array} items - [{ orderItemId, quantity }]
+ * @param {Object} options - { reason, by }
+ * @returns {Object} - { order, refund, cancelledOrder }
+ */
+export const cancelItems = async (order, items, { reason, by }) => {
+    if (!CANCELLABLE_STATUSES.includes(order.status)) {
+        throw new ApiError(400, `Order is ${order.status}; items can only be cancelled before it ships`);
+    }
+    if (order.trackingNumber) {
+        throw new ApiError(400, 'Order already has an AWB; cancel the shipment before changing its items');
+    }
+
+    const lines = resolveOrderItems(order, items);
+    const cancelledValue = lines.reduce((acc, { item, quantity }) => acc + item.price * quantity, 0);
+    const share = await calculateRefundableAmount(order, lines.map(({ item, quantity }) => ({ price: item.price, quantity })));
+
+    lines.forEach(({ item, quantity }) => {
+        item.cancelledQuantity = (item.cancelledQuantity || 0) + quantity;
+    });
+    const cancelledOrder = order.orderItems.every(item => getRemainingQuantity(item) <= 0);
+
+    // Keep Shiprocket's copy of the order in step before anything is committed here
+    if (order.shiprocketOrderId) {
+        try {
+            if (cancelledOrder) {
+                await cancelShiprocketOrders([order.shiprocketOrderId]);
+            } else {
+                await order.populate('user', 'name email');
+                const payload = await buildShiprocketPayload(order, { name: order.user?.name, email: order.user?.email });
+                await updateShiprocketOrder(payload);
+            }
+        } catch (error) {
+            throw new ApiError(502, `Shiprocket: ${getShiprocketErrorMessage(error)}`);
+        }
+    }
+
+    for (const { item, quantity } of lines) {
+        await releaseLineStock(order, item, quantity);
+    }
+
+    // Unpaid orders (COD) collect less on delivery instead of being refunded
+    if (!order.isPaid) {
+        const goodsShare = order.itemsPrice > 0 ? cancelledValue / order.itemsPrice : 0;
+        const taxShare = round2((order.taxPrice || 0) * goodsShare);
+        order.itemsPrice = round2(order.itemsPrice - cancelledValue);
+        order.taxPrice = round2((order.taxPrice || 0) - taxShare);
+        order.totalPrice = cancelledOrder ? order.totalPrice : round2(order.totalPrice - share);
+        order.discountAmount = round2(Math.max((order.discountAmount || 0) - (cancelledValue + taxShare - share), 0));
+    }
+
+    if (cancelledOrder) {
+        order.status = 'cancelled';
+        order.cancellationReason = reason || 'All items cancelled';
+        order.cancelledAt = Date.now();
+        if (['reserved', 'committed'].includes(order.inventoryStatus)) {
+            order.inventoryStatus = 'released';
+        }
+    }
+    await order.save();
+
+    if (cancelledOrder) {
+        await releaseCoupon(order.couponCode, order._id);
+    }
+
+    // Payouts for COD orders need the customer's bank details, so those are left for an admin
+    let refund = null;
+    let refundError = null;
+    if (order.isPaid && !order.paymentResult?.razorpay_payment_id) {
+        order.refundStatus = 'pending';
+        await order.save();
+    } else if (order.isPaid) {
+        try {
+            refund = await refundOrder(order, {
+                amount: cancelledOrder ? getRefundableBalance(order) : Math.min(share, getRefundableBalance(order)),
+                reason: reason || 'Items cancelled',
+                adminId: by
+            });
+        } catch (error) {
+            // The items stay cancelled; the refund is left for an admin to make
+            refundError = error.message;
+            console.error(`[Refunds] Refund for cancelled items of order ${order.orderNumber} failed:`, refundError);
+            order.refundStatus = 'pending';
+            await order.save();
+        }
+    }
+
+    return { order, refund, refundError, cancelledOrder };
+};
+
+/**
+ * Apply a Razorpay refund event to its order: move a refund made here on to processed or failed,
+ * or record one that was made from the Razorpay dashboard
+ * @param {Object} entity - Razorpay refund entity
+ * @returns {Object} - { order, refund, isNew } or null if no order has the payment
+ */
+export const applyRazorpayRefund = async (entity) => {
+    const order = await Order.findOne({ 'paymentResult.razorpay_payment_id': entity.payment_id });
+    if (!order) return null;
+
+    // Refunds made here carry their ledger ID, in case the webhook beats the API response
+    let refund = order.refunds.find(item =>
+        item.razorpayRefundId === entity.id || item._id.toString() === entity.notes?.refundId);
+    const isNew = !refund;
+    if (isNew) {
+        order.refunds.push({
+            amount: formatAmountFromRazorpay(entity.amount),
+            reason: entity.notes?.reason || 'Refunded from Razorpay',
+            method: 'razorpay',
+            status: 'pending'
+        });
+        refund = order.refunds[order.refunds.length - 1];
+    }
+
+    refund.razorpayRefundId = entity.id;
+    setRefundState(refund, ['processed', 'failed'].includes(entity.status) ? entity.status : 'pending');
+
+    refreshRefundStatus(order);
+    await order.save();
+
+    return { order, refund, isNew };
+};
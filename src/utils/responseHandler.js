@@ -45,14 +45,7 @@ import { sendWhatsApp } from './whatsapp.js';
 import { sendEmailNotification } from './emailNotifications.js';
 import User from '../models/user.model.js';
 import { notificationTemplates } from './notificationTemplates.js';
-
-// Configuration - you can control which notifications to send
-const NOTIFICATION_CONFIG = {
-    enableWhatsApp: true,
-    enableEmail: true,
-    emailFallback: true, // Always send email if WhatsApp fails
-    inAppFallback: true  // Always save in-app notification
-};
+import { getSettings } from './settings.js';
 
 const whatsappNotificationTypes = [
     'order_placed',
@@ -62,11 +55,24 @@ const whatsappNotificationTypes = [
     'order_cancelled',
     'payment_successful',
     'payment_failed',
-    'refund_processed'
+    'payment_link',
+    'refund_processed',
+    'return_approved',
+    'return_rejected',
+    'cart_abandoned'
 ];
 
 export const sendUserNotification = async (userId, notification, data = {}) => {
     try {
+        // Which channels to use is controlled from the admin settings
+        const { notifications: channels } = await getSettings();
+        const NOTIFICATION_CONFIG = {
+            enableWhatsApp: channels.whatsapp,
+            enableEmail: channels.email,
+            emailFallback: channels.emailFallback, // Only send email if WhatsApp fails
+            inAppFallback: true  // Always save in-app notification
+        };
+
         // Fetch user for name/phone/email if needed
         const user = await User.findById(userId).select('phone name email');
         
@@ -0,0 +1,260 @@
+import ReturnRequest from '../models/returnRequest.model.js';
+import Counter from '../models/counter.model.js';
+import { ApiError } from './apiError.js';
+import { getSettings } from './settings.js';
+import { adjustStock } from './inventory.js';
+import { cleanPhone } from './fulfilment.js';
+import { calculateRefundableAmount, getRemainingQuantity, refundOrder } from './refunds.js';
+import { sellerConfig } from '../config/seller.config.js';
+import {
+    createShiprocketReturn,
+    assignShiprocketAwb,
+    getShiprocketErrorMessage
+} from './shiprocket.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Returns that still hold on to their items; rejected and cancelled returns free them up again.
+// Refunded returns are counted in the order lines' returnedQuantity instead.
+const OPEN_RETURN_STATUSES = ['requested', 'approved', 'pickup_scheduled', 'received', 'inspected'];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Next RMA number for the year, e.g. RMA-2026-00001
+ */
+export const generateRmaNumber = async (date = new Date()) => {
+    const year = date.getFullYear();
+    const sequence = await Counter.next(`rma-${year}`);
+    return `RMA-${year}-${String(sequence).padStart(5, '0')}`;
+};
+
+/**
+ * Last moment a delivered order can be returned, or null if it has not been delivered
+ */
+export const getReturnDeadline = async (order) => {
+    if (!order.deliveredAt) return null;
+    const { returnWindowDays } = await getSettings();
+    return new Date(new Date(order.deliveredAt).getTime() + returnWindowDays * DAY_MS);
+};
+
+/**
+ * Quantity of each order line still available to return
+ * @param {Object} order - Order document
+ * @returns {Object} - { [orderItemId]: quantity }
+ */
+export const getReturnableQuantities = async (order) => {
+    const returns = await ReturnRequest.find({ order: order._id, status: { $in: OPEN_RETURN_STATUSES } }).select('items');
+
+    const returnable = {};
+    order.orderItems.forEach(item => {
+        returnable[item._id.toString()] = getRemainingQuantity(item);
+    });
+    returns.forEach(returnRequest => returnRequest.items.forEach(item => {
+        const key = item.orderItem.toString();
+        if (key in returnable) returnable[key] -= item.quantity;
+    }));
+
+    return returnable;
+};
+
+/**
+ * Open a return for items of a delivered order
+ * @param {Object} order - Order document
+ * @param {Array} items - [{ orderItemId, quantity }]
+ * @param {Object} details - { reason, comments, photos }
+ * @returns {Object} - The return request
+ */
+export const createReturnRequest = async (order, items, { reason, comments, photos = [] }) => {
+    if (order.status !== 'delivered') {
+        throw new ApiError(400, 'Only delivered orders can be returned');
+    }
+
+    const deadline = await getReturnDeadline(order);
+    if (!deadline || deadline <= new Date()) {
+        throw new ApiError(400, 'The return window for this order has closed');
+    }
+
+    if (!Array.isArray(items) || items.length === 0) {
+        throw new ApiError(400, 'Please choose the items to return');
+    }
+
+    const returnable = await getReturnableQuantities(order);
+    const seen = new Set();
+    const returnItems = items.map(({ orderItemId, quantity }) => {
+        const orderItem = order.orderItems.find(item => item._id.toString() === String(orderItemId));
+        if (!orderItem) {
+            throw new ApiError(400, `Item ${orderItemId} is not part of this order`);
+        }
+        if (seen.has(orderItem._id.toString())) {
+            throw new ApiError(400, `${orderItem.name} is listed more than once`);
+        }
+        seen.add(orderItem._id.toString());
+        // Without a quantity the whole line is returned
+        const qty = quantity === undefined || quantity === null || quantity === '' ? orderItem.quantity : Number(quantity);
+        if (!Number.isInteger(qty) || qty < 1) {
+            throw new ApiError(400, `Quantity for ${orderItem.name} must be a whole number of at least 1`);
+        }
+        if (qty > returnable[orderItem._id.toString()]) {
+            throw new ApiError(400, `Only ${returnable[orderItem._id.toString()]} of ${orderItem.name} can be returned`);
+        }
+        return {
+            orderItem: orderItem._id,
+            product: orderItem.product,
+            variant: orderItem.variant,
+            name: orderItem.variantName ? `${orderItem.name} (${orderItem.variantName})` : orderItem.name,
+            sku: orderItem.sku,
+            quantity: qty,
+            price: orderItem.price
+        };
+    });
+
+    const returnRequest = new ReturnRequest({
+        rmaNumber: await generateRmaNumber(),
+        order: order._id,
+        user: order.user,
+        items: returnItems,
+        reason,
+        comments,
+        photos,
+        refundableAmount: await calculateRefundableAmount(order, returnItems)
+    });
+    returnRequest.transition('requested', order.user, comments);
+    await returnRequest.save();
+
+    return returnRequest;
+};
+
+/**
+ * Book a Shiprocket reverse pickup from the customer's address to our warehouse
+ * @param {Object} returnRequest - Approved return
+ * @param {Object} order - Its order, with user populated
+ */
+export const createReversePickup = async (returnRequest, order) => {
+    if (returnRequest.status !== 'approved') {
+        throw new ApiError(400, `Return is ${returnRequest.status}; only approved returns can be picked up`);
+    }
+
+    const { pickupLocation } = await getSettings();
+    const address = order.shippingAddress;
+    const payload = {
+        order_id: returnRequest.rmaNumber,
+        order_date: new Date().toISOString().slice(0, 10),
+        pickup_customer_name: order.user?.name || 'Customer',
+        pickup_address: address.address,
+        pickup_city: address.city,
+        pickup_state: address.state,
+        pickup_country: address.country,
+        pickup_pincode: address.postalCode,
+        pickup_email: order.user?.email || '',
+        pickup_phone: cleanPhone(address.phone),
+        shipping_customer_name: pickupLocation || sellerConfig.name,
+        shipping_address: sellerConfig.address,
+        shipping_city: sellerConfig.city,
+        shipping_state: sellerConfig.state,
+        shipping_country: 'India',
+        shipping_pincode: sellerConfig.pincode,
+        shipping_email: sellerConfig.email,
+        shipping_phone: cleanPhone(sellerConfig.phone),
+        order_items: returnRequest.items.map(item => ({
+            name: item.name,
+            sku: item.sku || item.product.toString(),
+            units: item.quantity,
+            selling_price: item.price
+        })),
+        payment_method: 'PREPAID',
+        sub_total: round2(returnRequest.items.reduce((acc, item) => acc + item.price * item.quantity, 0)),
+        length: 10,
+        breadth: 10,
+        height: 10,
+        weight: 0.5
+    };
+
+    let created;
+    try {
+        created = await createShiprocketReturn(payload);
+    } catch (err) {
+        throw new ApiError(502, `Shiprocket: ${getShiprocketErrorMessage(err)}`);
+    }
+    if (!created?.order_id || !created?.shipment_id) {
+        throw new ApiError(502, `Shiprocket: ${created?.message || 'reverse pickup could not be created'}`);
+    }
+
+    returnRequest.pickup = {
+        shiprocketOrderId: String(created.order_id),
+        shiprocketShipmentId: String(created.shipment_id)
+    };
+
+    // Courier assignment can fail on its own; the pickup is still booked and can be given an AWB in Shiprocket
+    try {
+        const awb = await assignShiprocketAwb(created.shipment_id, null, { isReturn: true });
+        const assigned = awb?.response?.data;
+        if (assigned?.awb_code) {
+            returnRequest.pickup.awb = String(assigned.awb_code);
+            returnRequest.pickup.courier = assigned.courier_name;
+        }
+    } catch (err) {
+        console.error(`[Returns] AWB assignment failed for ${returnRequest.rmaNumber}:`, getShiprocketErrorMessage(err));
+    }
+    returnRequest.pickup.scheduledAt = new Date();
+};
+
+/**
+ * Put accepted returned items back on sale
+ */
+export const restockReturnItems = async (returnRequest) => {
+    for (const item of returnRequest.items) {
+        await adjustStock(item.product, item.quantity, item.variant || null);
+    }
+};
+
+/**
+ * Refund an inspected return. Online payments go back through Razorpay;
+ * COD orders are paid back by bank transfer or UPI and the payout is recorded.
+ * @param {Object} returnRequest - Inspected return
+ * @param {Object} order - Its order
+ * @param {Object} options - { amount, payout, adminId }
+ */
+export const refundReturn = async (returnRequest, order, { amount, payout, adminId }) => {
+    if (returnRequest.status !== 'inspected' || returnRequest.inspection?.result !== 'accepted') {
+        throw new ApiError(400, 'Only returns that passed inspection can be refunded');
+    }
+
+    const refundAmount = amount !== undefined && amount !== null && amount !== '' ? round2(Number(amount)) : returnRequest.refundableAmount;
+    if (!(refundAmount > 0) || refundAmount > returnRequest.refundableAmount) {
+        throw new ApiError(400, `Refund amount must be more than 0 and at most ₹${returnRequest.refundableAmount}`);
+    }
+
+    // Goes on the order's refund ledger like any other refund, so the order is never refunded twice over.
+    // The units are marked returned on the order; inspection has already restocked them.
+    const refund = await refundOrder(order, {
+        amount: refundAmount,
+        reason: `Return ${returnRequest.rmaNumber}`,
+        items: returnRequest.items.map(item => ({ orderItemId: item.orderItem, quantity: item.quantity })),
+        restock: false,
+        payout,
+        adminId
+    });
+
+    returnRequest.refund = {
+        amount: refund.amount,
+        method: refund.method,
+        razorpayRefundId: refund.razorpayRefundId,
+        transactionId: refund.transactionId,
+        status: refund.status,
+        processedAt: refund.processedAt || new Date(),
+        processedBy: adminId
+    };
+
+    returnRequest.transition('refunded', adminId, `Refunded ₹${returnRequest.refund.amount}`);
+    await returnRequest.save();
+
+    // The order counts as returned once every unit has come back
+    const returnable = await getReturnableQuantities(order);
+    if (Object.values(returnable).every(quantity => quantity <= 0)) {
+        order.status = 'returned';
+        await order.save();
+    }
+
+    return returnRequest;
+};
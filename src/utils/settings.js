@@ -0,0 +1,108 @@
+import Settings from '../models/settings.model.js';
+import { ApiError } from './apiError.js';
+
+// Settings are re-read at most this often, so changes reach every server instance within a minute
+const CACHE_TTL_MS = 60 * 1000;
+
+// Fields admins can change through the settings endpoint
+export const EDITABLE_SETTINGS = [
+    'chargeDelivery',
+    'deliveryCharge',
+    'freeShippingThreshold',
+    'chargeGST',
+    'gstRate',
+    'pickupPincode',
+    'pickupLocation',
+    'orderNumberFormat',
+    'orderNumberReset',
+    'orderNumberPrefixes',
+    'codEnabled',
+    'codMaxOrderValue',
+    'codMaxRtoOrders',
+    'codOtpRequired',
+    'returnWindowDays',
+    'paymentTimeoutMinutes',
+    'paymentGraceMinutes',
+    'paymentLinkExpiryHours',
+    'abandonedCartReminders',
+    'abandonedCartHours',
+    'notifications'
+];
+
+// Groups of settings that can be updated one field at a time
+const NESTED_SETTINGS = ['notifications', 'orderNumberPrefixes'];
+
+let cachedSettings = null;
+let cachedAt = 0;
+
+// Plain settings object without Mongo bookkeeping fields
+const toPlainSettings = (doc) => {
+    const { _id, __v, key, updatedBy, ...settings } = doc.toObject();
+    return { ...settings, updatedBy: updatedBy ? updatedBy.toString() : null };
+};
+
+/**
+ * Forget the cached settings so the next read goes to the database
+ */
+export const clearSettingsCache = () => {
+    cachedSettings = null;
+    cachedAt = 0;
+};
+
+/**
+ * Get the current store settings, falling back to the schema defaults until an admin saves them
+ * @returns {Object} - Store settings
+ */
+export const getSettings = async () => {
+    if (cachedSettings && Date.now() - cachedAt < CACHE_TTL_MS) {
+        return structuredClone(cachedSettings);
+    }
+
+    const doc = await Settings.findOne({ key: 'store' });
+    cachedSettings = toPlainSettings(doc || new Settings());
+    cachedAt = Date.now();
+
+    return structuredClone(cachedSettings);
+};
+
+/**
+ * Update store settings
+ * @param {Object} updates - New values for any of EDITABLE_SETTINGS
+ * @param {String} adminId - Admin making the change
+ * @returns {Object} - { settings, changes: [{ field, from, to }] }
+ */
+export const updateSettings = async (updates, adminId) => {
+    const unknownFields = Object.keys(updates).filter(field => !EDITABLE_SETTINGS.includes(field));
+    if (unknownFields.length > 0) {
+        throw new ApiError(400, `Unknown setting(s): ${unknownFields.join(', ')}`);
+    }
+
+    const doc = await Settings.findOne({ key: 'store' }) || new Settings();
+    const before = toPlainSettings(doc);
+
+    // Set nested groups field by field so a partial update keeps the other values
+    Object.entries(updates).forEach(([field, value]) => {
+        if (NESTED_SETTINGS.includes(field) && value && typeof value === 'object') {
+            Object.entries(value).forEach(([key, nestedValue]) => doc.set(`${field}.${key}`, nestedValue));
+        } else {
+            doc.set(field, value);
+        }
+    });
+    doc.updatedBy = adminId;
+    try {
+        await doc.save();
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            throw new ApiError(400, error.message);
+        }
+        throw error;
+    }
+    clearSettingsCache();
+
+    const after = toPlainSettings(doc);
+    const changes = EDITABLE_SETTINGS
+        .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+        .map(field => ({ field, from: before[field], to: after[field] }));
+
+    return { settings: after, changes };
+};
@@ -0,0 +1,335 @@
+import mongoose from 'mongoose';
+import Order from '../models/order.model.js';
+import { releaseStock } from './inventory.js';
+import { releaseCoupon } from './coupon.js';
+import { sendUserNotification } from './responseHandler.js';
+import { getShiprocketTracking } from './shiprocket.js';
+
+// Courier statuses reported by Shiprocket and the order status each one moves the order to.
+// RTO (return to origin) and anything not listed is recorded on the order without changing its status.
+const SHIPMENT_STATUS_MAP = {
+    'NEW': 'processing',
+    'AWB ASSIGNED': 'processing',
+    'PICKUP SCHEDULED': 'processing',
+    'PICKUP GENERATED': 'processing',
+    'PICKUP QUEUED': 'processing',
+    'OUT FOR PICKUP': 'processing',
+    'PICKED UP': 'shipped',
+    'SHIPPED': 'shipped',
+    'IN TRANSIT': 'shipped',
+    'IN TRANSIT-AT DESTINATION HUB': 'shipped',
+    'REACHED AT DESTINATION HUB': 'shipped',
+    'OUT FOR DELIVERY': 'shipped',
+    'UNDELIVERED': 'shipped',
+    'DELAYED': 'shipped',
+    'MISROUTED': 'shipped',
+    'DELIVERED': 'delivered',
+    'CANCELED': 'cancelled',
+    'CANCELLED': 'cancelled'
+};
+
+// Orders only move forward through these, so a late or repeated event cannot undo a newer one
+const STATUS_RANK = {
+    pending: 0,
+    processing: 1,
+    shipped: 2,
+    delivered: 3
+};
+
+// Order statuses that tell the customer something has happened to their parcel
+const NOTIFY_STATUSES = ['shipped', 'delivered'];
+
+// Orders the webhook has updated within this window are left to the webhook by the polling job
+const WEBHOOK_FRESH_HOURS = 6;
+
+// Stored tracking younger than this is served as is when a customer opens the tracking page
+const TRACKING_CACHE_TTL_MS = 15 * 60 * 1000;
+
+// Shipments looked up from the tracking page recently, so failed lookups are not retried on every refresh
+const recentLookups = new Map();
+
+/**
+ * Map a Shiprocket courier status to an order status
+ * @param {String} shipmentStatus - e.g. "OUT FOR DELIVERY"
+ * @returns {String|null} - Order status, or null if the status does not move the order
+ */
+export const mapShipmentStatus = (shipmentStatus) => SHIPMENT_STATUS_MAP[(shipmentStatus || '').trim().toUpperCase()] || null;
+
+/**
+ * Parse a Shiprocket date. They are in Indian time without a zone, either "2024-09-15 11:43:52" or "15 09 2024 11:43:52"
+ * @returns {Date|null}
+ */
+export const parseShiprocketDate = (value) => {
+    if (!value) return null;
+    const str = String(value).trim();
+    const dayFirst = str.match(/^(\d{2})[ -](\d{2})[ -](\d{4})(?:\s+(\d{2}:\d{2}(?::\d{2})?))?$/);
+    const iso = dayFirst
+        ? `${dayFirst[3]}-${dayFirst[2]}-${dayFirst[1]}T${dayFirst[4] || '00:00:00'}`
+        : str.replace(' ', 'T');
+    const date = new Date(/[zZ]|[+-]\d{2}:\d{2}$/.test(iso) ? iso : `${iso}+05:30`);
+    return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Normalise a Shiprocket tracking webhook body
+ * @param {Object} body - Webhook payload
+ * @returns {Object} - { status, courier, awb, etd, events, srOrderId, channelOrderId }
+ */
+export const parseWebhookPayload = (body) => ({
+    status: body.current_status || body.shipment_status,
+    courier: body.courier_name,
+    awb: body.awb ? String(body.awb) : null,
+    etd: parseShiprocketDate(body.etd),
+    srOrderId: body.sr_order_id ? String(body.sr_order_id) : null,
+    channelOrderId: body.order_id ? String(body.order_id) : null,
+    events: (body.scans || []).map(scan => ({
+        status: scan['sr-status-label'] || scan.status,
+        activity: scan.activity,
+        location: scan.location,
+        date: parseShiprocketDate(scan.date)
+    }))
+});
+
+/**
+ * Normalise the response of Shiprocket's track-by-shipment API
+ * @param {Object} tracking - API response
+ * @param {String} shipmentId - Shiprocket shipment ID
+ * @returns {Object|null} - { status, courier, awb, etd, events }, or null if there is nothing to track yet
+ */
+export const parseTrackingResponse = (tracking, shipmentId) => {
+    const data = tracking?.tracking_data || tracking?.[shipmentId]?.tracking_data;
+    if (!data) {
+        return tracking?.current_status ? { status: tracking.current_status, events: [] } : null;
+    }
+
+    const track = (data.shipment_track || [])[0] || {};
+    const status = track.current_status || data.shipment_status;
+    if (!status) return null;
+
+    return {
+        status,
+        courier: track.courier_name,
+        awb: track.awb_code ? String(track.awb_code) : null,
+        etd: parseShiprocketDate(data.etd || track.edd),
+        events: (data.shipment_track_activities || []).map(activity => ({
+            status: activity['sr-status-label'] || activity.status,
+            activity: activity.activity,
+            location: activity.location,
+            date: parseShiprocketDate(activity.date)
+        }))
+    };
+};
+
+/**
+ * Find the order a Shiprocket webhook is about, by Shiprocket order ID, AWB or our order ID
+ */
+export const findOrderForShipment = ({ srOrderId, awb, channelOrderId }) => {
+    const conditions = [];
+    if (srOrderId) conditions.push({ shiprocketOrderId: srOrderId });
+    if (awb) conditions.push({ trackingNumber: awb });
+    if (channelOrderId && mongoose.isValidObjectId(channelOrderId)) conditions.push({ _id: channelOrderId });
+
+    return conditions.length > 0 ? Order.findOne({ $or: conditions }) : null;
+};
+
+// Add scans the order has not seen yet; Shiprocket resends the full scan history each time
+const mergeTrackingEvents = (order, events, source) => {
+    const eventKey = (event) => `${event.date ? new Date(event.date).getTime() : ''}|${event.status || ''}|${event.activity || ''}`;
+    const seen = new Set(order.trackingEvents.map(eventKey));
+
+    const added = events.filter(event => {
+        const key = eventKey(event);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+    if (added.length === 0) return 0;
+
+    const merged = [...order.trackingEvents.map(event => event.toObject()), ...added.map(event => ({ ...event, source }))];
+    merged.sort((a, b) => (a.date ? new Date(a.date).getTime() : 0) - (b.date ? new Date(b.date).getTime() : 0));
+    order.trackingEvents = merged;
+    return added.length;
+};
+
+/**
+ * Record a courier status update on an order: store its scans, move the order status forward,
+ * and tell the customer when the parcel ships or is delivered.
+ * @param {Object} order - Order document
+ * @param {Object} update - From parseWebhookPayload or parseTrackingResponse
+ * @param {String} source - 'webhook' or 'poll'
+ * @returns {Object} - { status, previousStatus, statusChanged, eventsAdded }
+ */
+export const applyShipmentUpdate = async (order, update, source) => {
+    const previousStatus = order.status;
+    const eventsAdded = mergeTrackingEvents(order, update.events || [], source);
+    const newStatus = mapShipmentStatus(update.status);
+
+    // A late event for an earlier stage still adds its scans but does not replace the current status
+    const outdated = newStatus && newStatus !== 'cancelled' && order.status in STATUS_RANK
+        && STATUS_RANK[newStatus] < STATUS_RANK[order.status];
+
+    if (update.status && !outdated) order.shipmentStatus = update.status.toUpperCase();
+    if (update.courier) order.courier = update.courier;
+    if (update.awb) order.trackingNumber = update.awb;
+    if (update.etd) order.estimatedDelivery = update.etd;
+    order.trackingUpdatedAt = new Date();
+    order.trackingSource = source;
+
+    let statusChanged = false;
+
+    if (newStatus === 'cancelled') {
+        statusChanged = ['pending', 'processing'].includes(order.status);
+    } else if (newStatus && order.status in STATUS_RANK) {
+        statusChanged = STATUS_RANK[newStatus] > STATUS_RANK[order.status];
+    }
+
+    if (statusChanged) {
+        order.status = newStatus;
+        if (newStatus === 'shipped') {
+            order.shippedAt = order.shippedAt || Date.now();
+        } else if (newStatus === 'delivered') {
+            order.isDelivered = true;
+            order.deliveredAt = Date.now();
+            order.shippedAt = order.shippedAt || Date.now();
+        } else if (newStatus === 'cancelled') {
+            order.cancelledAt = Date.now();
+        }
+    }
+
+    await order.save();
+
+    if (statusChanged && newStatus === 'cancelled') {
+        await releaseCoupon(order.couponCode, order._id);
+        await releaseStock(order);
+    }
+
+    if (statusChanged && NOTIFY_STATUSES.includes(newStatus)) {
+        await sendUserNotification(order.user, {
+            type: `order_${newStatus}`,
+            order: order._id
+        }, {
+            orderNumber: order.orderNumber,
+            courier: order.courier || 'our courier partner',
+            trackingNumber: order.trackingNumber || '-',
+            orderId: order._id
+        });
+    }
+
+    return { status: order.status, previousStatus, statusChanged, eventsAdded };
+};
+
+// Fallback for shipments the Shiprocket webhook has not reported on recently
+export const updateShiprocketOrderStatuses = async () => {
+    const webhookFreshSince = new Date(Date.now() - WEBHOOK_FRESH_HOURS * 60 * 60 * 1000);
+    const orders = await Order.find({
+        shiprocketShipmentId: { $ne: null },
+        status: { $nin: ['delivered', 'returned', 'cancelled', 'refunded'] },
+        $or: [
+            { trackingSource: { $ne: 'webhook' } },
+            { trackingUpdatedAt: { $lt: webhookFreshSince } }
+        ]
+    });
+    for (const order of orders) {
+        try {
+            const tracking = await getShiprocketTracking(order.shiprocketShipmentId);
+            const update = parseTrackingResponse(tracking, order.shiprocketShipmentId);
+            if (update) {
+                await applyShipmentUpdate(order, update, 'poll');
+            }
+        } catch (err) {
+            console.error(`Failed to update tracking for order ${order._id}:`, err?.response?.data || err.message);
+        }
+    }
+};
+
+// Fetch fresh tracking from Shiprocket when what the order has stored is older than the cache window
+const refreshOrderTracking = async (order) => {
+    const finished = ['delivered', 'returned', 'cancelled', 'refunded'].includes(order.status);
+    if (!order.shiprocketShipmentId || finished) return;
+
+    const now = Date.now();
+    const storedAt = order.trackingUpdatedAt ? order.trackingUpdatedAt.getTime() : 0;
+    const lookedUpAt = recentLookups.get(order.shiprocketShipmentId) || 0;
+    if (now - Math.max(storedAt, lookedUpAt) < TRACKING_CACHE_TTL_MS) return;
+
+    recentLookups.set(order.shiprocketShipmentId, now);
+    for (const [shipmentId, at] of recentLookups) {
+        if (now - at >= TRACKING_CACHE_TTL_MS) recentLookups.delete(shipmentId);
+    }
+
+    try {
+        const tracking = await getShiprocketTracking(order.shiprocketShipmentId);
+        const update = parseTrackingResponse(tracking, order.shiprocketShipmentId);
+        if (update) {
+            await applyShipmentUpdate(order, update, 'poll');
+        }
+    } catch (err) {
+        // Show what is stored rather than failing the tracking page
+        console.error(`Failed to fetch tracking for order ${order._id}:`, err?.response?.data || err.message);
+    }
+};
+
+/**
+ * Tracking details for an order: courier, AWB, expected delivery and a timeline built from
+ * the order's own dates and the courier scans. Scans come from the webhook or a stored lookup;
+ * Shiprocket is only asked again once the stored tracking is older than 15 minutes.
+ * @param {Object} order - Order document
+ * @returns {Object} - Tracking details
+ */
+export const getOrderTracking = async (order) => {
+    await refreshOrderTracking(order);
+
+    const timeline = [{
+        status: 'Order Placed',
+        date: order.created_at,
+        description: 'Your order has been placed successfully'
+    }];
+
+    if (order.isPaid && order.paidAt) {
+        timeline.push({
+            status: 'Payment Confirmed',
+            date: order.paidAt,
+            description: 'Payment has been received and confirmed'
+        });
+    }
+
+    order.trackingEvents.forEach(event => {
+        timeline.push({
+            status: event.status,
+            date: event.date,
+            description: event.activity,
+            location: event.location
+        });
+    });
+
+    // Orders shipped by hand (without courier scans) still show when they shipped and arrived
+    if (order.trackingEvents.length === 0) {
+        if (order.shippedAt) {
+            timeline.push({ status: 'Shipped', date: order.shippedAt, description: 'Your order has been shipped' });
+        }
+        if (order.deliveredAt) {
+            timeline.push({ status: 'Delivered', date: order.deliveredAt, description: 'Your order has been delivered successfully' });
+        }
+    }
+
+    if (order.status === 'cancelled') {
+        timeline.push({
+            status: 'Cancelled',
+            date: order.cancelledAt || order.updated_at,
+            description: `Order cancelled${order.cancellationReason ? ': ' + order.cancellationReason : ''}`
+        });
+    }
+
+    timeline.sort((a, b) => (a.date ? new Date(a.date).getTime() : 0) - (b.date ? new Date(b.date).getTime() : 0));
+
+    return {
+        orderNumber: order.orderNumber,
+        status: order.status,
+        shipmentStatus: order.shipmentStatus || null,
+        courier: order.courier || null,
+        trackingNumber: order.trackingNumber || null,
+        estimatedDelivery: order.estimatedDelivery || null,
+        lastUpdated: order.trackingUpdatedAt || null,
+        timeline
+    };
+};
@@ -0,0 +1,293 @@
+import { ApiError } from './apiError.js';
+import { getSettings } from './settings.js';
+import { parseShiprocketDate } from './shipmentTracking.js';
+import {
+    checkCourierServiceability,
+    assignShiprocketAwb,
+    generateShiprocketPickup,
+    generateShiprocketLabel,
+    generateShiprocketManifest,
+    printShiprocketManifest,
+    downloadShiprocketDocument,
+    getShiprocketErrorMessage
+} from './shiprocket.js';
+
+// Most orders a bulk shipment action accepts at once
+export const MAX_BULK_SHIPMENTS = 100;
+
+/**
+ * Parcel weight in kg; variant weights are in grams and each unit without a weight counts as 1 kg
+ */
+export const getOrderWeightKg = (order) => {
+    const totalWeightGrams = order.orderItems.reduce((acc, item) => acc + (item.weight || 1000) * (item.quantity - (item.cancelledQuantity || 0)), 0);
+    return totalWeightGrams > 0 ? totalWeightGrams / 1000 : 1;
+};
+
+/**
+ * Couriers that can deliver an order, cheapest first
+ * @param {Object} order - Order document
+ * @returns {Array} - [{ courierId, name, rate, etd, estimatedDeliveryDays }]
+ */
+export const getCourierOptions = async (order) => {
+    const { pickupPincode } = await getSettings();
+
+    let result;
+    try {
+        result = await checkCourierServiceability({
+            pickup_postcode: pickupPincode,
+            delivery_postcode: order.shippingAddress.postalCode,
+            cod: order.paymentMethod === 'cod' ? 1 : 0,
+            weight: getOrderWeightKg(order)
+        });
+    } catch (err) {
+        throw new ApiError(502, `Shiprocket: ${getShiprocketErrorMessage(err)}`);
+    }
+
+    return (result?.data?.available_courier_companies || [])
+        .map(courier => ({
+            courierId: courier.courier_company_id,
+            name: courier.courier_name,
+            rate: courier.rate,
+            etd: courier.etd,
+            estimatedDeliveryDays: courier.estimated_delivery_days
+        }))
+        .sort((a, b) => a.rate - b.rate);
+};
+
+// Why an order cannot go through a shipment step yet, or null if it can
+const getShipmentBlocker = (order, step) => {
+    // Labels and manifests can still be reprinted once the courier has picked the parcel up
+    const allowedStatuses = ['label', 'manifest'].includes(step) ? ['processing', 'shipped'] : ['processing'];
+    if (!allowedStatuses.includes(order.status)) {
+        return `Order is ${order.status}; only processing orders can be shipped`;
+    }
+    if (!order.shiprocketShipmentId) {
+        return 'Order has not been pushed to Shiprocket';
+    }
+    if (step === 'awb' && order.awbAssignedAt) {
+        return `AWB ${order.trackingNumber} is already assigned`;
+    }
+    if (step !== 'awb' && !order.awbAssignedAt) {
+        return 'Assign an AWB first';
+    }
+    if (step === 'manifest' && !order.pickupScheduledAt) {
+        return 'Schedule a pickup first';
+    }
+    return null;
+};
+
+const toResult = (order, fields) => ({ orderId: order._id, orderNumber: order.orderNumber, ...fields });
+
+/**
+ * Assign AWBs, each with the chosen courier or else the cheapest courier that serves the order's pincode.
+ * Orders are handled one by one, so one failure does not stop the rest.
+ * @param {Array} orders - Order documents
+ * @param {Number} courierId - Shiprocket courier company ID (optional)
+ * @returns {Array} - [{ orderId, orderNumber, success, awb, courier, rate, error }]
+ */
+export const assignAwbs = async (orders, courierId) => {
+    const results = [];
+
+    for (const order of orders) {
+        const blocker = getShipmentBlocker(order, 'awb');
+        if (blocker) {
+            results.push(toResult(order, { success: false, error: blocker }));
+            continue;
+        }
+
+        try {
+            const couriers = await getCourierOptions(order);
+            const courier = courierId
+                ? couriers.find(option => Number(option.courierId) === Number(courierId))
+                : couriers[0];
+            if (!courier) {
+                results.push(toResult(order, {
+                    success: false,
+                    error: courierId
+                        ? `Courier ${courierId} does not serve pincode ${order.shippingAddress.postalCode}`
+                        : `No courier serves pincode ${order.shippingAddress.postalCode}`
+                }));
+                continue;
+            }
+
+            const response = await assignShiprocketAwb(order.shiprocketShipmentId, courier.courierId);
+            const assigned = response?.response?.data;
+            if (response?.awb_assign_status !== 1 || !assigned?.awb_code) {
+                results.push(toResult(order, {
+                    success: false,
+                    error: assigned?.awb_assign_error || response?.message || 'Shiprocket did not assign an AWB'
+                }));
+                continue;
+            }
+
+            order.trackingNumber = String(assigned.awb_code);
+            order.courier = assigned.courier_name || courier.name;
+            order.courierId = assigned.courier_company_id || courier.courierId;
+            order.awbAssignedAt = Date.now();
+            await order.save();
+
+            results.push(toResult(order, {
+                success: true,
+                awb: order.trackingNumber,
+                courier: order.courier,
+                rate: courier.rate
+            }));
+        } catch (err) {
+            results.push(toResult(order, {
+                success: false,
+                error: err instanceof ApiError ? err.message : getShiprocketErrorMessage(err)
+            }));
+        }
+    }
+
+    return results;
+};
+
+/**
+ * Request courier pickup for orders that have an AWB
+ * @param {Array} orders - Order documents
+ * @returns {Array} - [{ orderId, orderNumber, success, pickupScheduledDate, error }]
+ */
+export const schedulePickups = async (orders) => {
+    const results = [];
+    const ready = [];
+
+    orders.forEach(order => {
+        const blocker = getShipmentBlocker(order, 'pickup');
+        if (blocker) {
+            results.push(toResult(order, { success: false, error: blocker }));
+        } else {
+            ready.push(order);
+        }
+    });
+    // Results in the order the orders were given
+    const inInputOrder = () => orders.map(order => results.find(result => result.orderId === order._id));
+    if (ready.length === 0) return inInputOrder();
+
+    let response;
+    let error = null;
+    try {
+        response = await generateShiprocketPickup(ready.map(order => order.shiprocketShipmentId));
+        if (response?.pickup_status !== 1) {
+            error = String(response?.response?.data || response?.message || 'Shiprocket did not schedule the pickup');
+        }
+    } catch (err) {
+        error = getShiprocketErrorMessage(err);
+    }
+
+    if (error) {
+        ready.forEach(order => results.push(toResult(order, { success: false, error })));
+        return inInputOrder();
+    }
+
+    const pickup = response.response || {};
+    for (const order of ready) {
+        order.pickupScheduledAt = parseShiprocketDate(pickup.pickup_scheduled_date) || Date.now();
+        order.pickupTokenNumber = pickup.pickup_token_number ? String(pickup.pickup_token_number) : undefined;
+        await order.save();
+        results.push(toResult(order, {
+            success: true,
+            pickupScheduledDate: order.pickupScheduledAt,
+            pickupTokenNumber: order.pickupTokenNumber
+        }));
+    }
+
+    return inInputOrder();
+};
+
+// Orders that can go on a label or manifest, throwing if none of them can
+const getDocumentOrders = (orders, step) => {
+    const skipped = [];
+    const ready = [];
+
+    orders.forEach(order => {
+        const blocker = getShipmentBlocker(order, step);
+        if (blocker) {
+            skipped.push(toResult(order, { error: blocker }));
+        } else {
+            ready.push(order);
+        }
+    });
+
+    if (ready.length === 0) {
+        throw new ApiError(400, skipped.length === 1 ? skipped[0].error : `None of the orders are ready: ${skipped.map(result => `${result.orderNumber} (${result.error})`).join('; ')}`);
+    }
+
+    return { ready, skipped };
+};
+
+/**
+ * Generate one shipping label PDF for orders that have an AWB
+ * @param {Array} orders - Order documents
+ * @returns {Object} - { url, pdf, orders, skipped }
+ */
+export const getShippingLabel = async (orders) => {
+    const { ready, skipped } = getDocumentOrders(orders, 'label');
+
+    let response;
+    try {
+        response = await generateShiprocketLabel(ready.map(order => order.shiprocketShipmentId));
+    } catch (err) {
+        throw new ApiError(502, `Shiprocket: ${getShiprocketErrorMessage(err)}`);
+    }
+    if (!response?.label_url) {
+        throw new ApiError(502, `Shiprocket: ${response?.response || response?.message || 'label could not be generated'}`);
+    }
+
+    // Only a single order's label is worth remembering; bulk labels are generated afresh
+    if (ready.length === 1) {
+        ready[0].labelUrl = response.label_url;
+        await ready[0].save();
+    }
+
+    return {
+        url: response.label_url,
+        pdf: await downloadShiprocketDocument(response.label_url),
+        orders: ready.map(order => toResult(order, {})),
+        skipped
+    };
+};
+
+/**
+ * Generate the pickup manifest PDF for orders with a scheduled pickup
+ * @param {Array} orders - Order documents
+ * @returns {Object} - { url, pdf, orders, skipped }
+ */
+export const getManifest = async (orders) => {
+    const { ready, skipped } = getDocumentOrders(orders, 'manifest');
+
+    let url;
+    try {
+        const response = await generateShiprocketManifest(ready.map(order => order.shiprocketShipmentId));
+        url = response?.manifest_url;
+    } catch (err) {
+        // Shiprocket refuses to generate a manifest twice; print the existing one instead
+        if (err?.response?.status !== 400 && err?.response?.status !== 422) {
+            throw new ApiError(502, `Shiprocket: ${getShiprocketErrorMessage(err)}`);
+        }
+    }
+
+    if (!url) {
+        try {
+            const response = await printShiprocketManifest(ready.map(order => order.shiprocketOrderId));
+            url = response?.manifest_url;
+        } catch (err) {
+            throw new ApiError(502, `Shiprocket: ${getShiprocketErrorMessage(err)}`);
+        }
+    }
+    if (!url) {
+        throw new ApiError(502, 'Shiprocket: manifest could not be generated');
+    }
+
+    for (const order of ready) {
+        order.manifestUrl = url;
+        await order.save();
+    }
+
+    return {
+        url,
+        pdf: await downloadShiprocketDocument(url),
+        orders: ready.map(order => toResult(order, {})),
+        skipped
+    };
+};
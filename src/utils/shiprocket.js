@@ -1,97 +1,236 @@
 import axios from 'axios';
 import { shiprocketConfig } from '../config/shiprocket.config.js';
-import Order from '../models/order.model.js';
+
+// Shiprocket tokens last 10 days; without a readable expiry assume a little less
+const DEFAULT_TOKEN_LIFETIME_MS = 9 * 24 * 60 * 60 * 1000;
+// Log in again this long before the token runs out
+const TOKEN_REFRESH_MARGIN_MS = 60 * 60 * 1000;
+const RETRY_BASE_DELAY_MS = 500;
+
+const http = axios.create({
+  baseURL: shiprocketConfig.baseUrl,
+  timeout: shiprocketConfig.timeoutMs,
+});
 
 let shiprocketToken = null;
+let tokenExpiresAt = 0;
+let loginPromise = null;
+
+// Circuit breaker: after repeated failures, calls fail fast until the cooldown has passed
+const circuit = {
+  failures: 0,
+  openedAt: null,
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Expiry from the JWT's exp claim, if it has one
+function getTokenExpiry(token) {
+  try {
+    const payload = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString());
+    if (payload.exp) return payload.exp * 1000;
+  } catch (err) {
+    // Not a JWT we can read; fall back to the default lifetime
+  }
+  return Date.now() + DEFAULT_TOKEN_LIFETIME_MS;
+}
+
+// Connection errors raised before the request reached Shiprocket
+const NOT_SENT_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH'];
+
+// Timeouts, dropped connections, rate limits and 5xx responses are worth another try on reads and
+// idempotent calls. Anything else may already have been applied (a second order, AWB or pickup),
+// so it is only retried when Shiprocket rate limited it or never received it.
+function isRetryable(err, { method, idempotent }) {
+  if (method === 'get' || idempotent) {
+    if (!err.response) return true;
+    return err.response.status === 429 || err.response.status >= 500;
+  }
+  if (err.response) return err.response.status === 429;
+  return NOT_SENT_CODES.includes(err.code);
+}
+
+function recordSuccess() {
+  circuit.failures = 0;
+  circuit.openedAt = null;
+}
+
+function recordFailure() {
+  circuit.failures += 1;
+  if (circuit.failures >= shiprocketConfig.circuitThreshold && !circuit.openedAt) {
+    circuit.openedAt = Date.now();
+    console.error(`[Shiprocket] ${circuit.failures} failures in a row, pausing calls for ${shiprocketConfig.circuitCooldownMs / 1000}s`);
+  }
+}
+
+// While open, only one trial call is let through each cooldown period
+function checkCircuit() {
+  if (!circuit.openedAt) return;
+  if (Date.now() - circuit.openedAt < shiprocketConfig.circuitCooldownMs) {
+    const err = new Error('Shiprocket is temporarily unavailable, please try again shortly');
+    err.code = 'SHIPROCKET_UNAVAILABLE';
+    throw err;
+  }
+  circuit.openedAt = Date.now();
+}
+
+export function getShiprocketCircuitState() {
+  const open = Boolean(circuit.openedAt) && Date.now() - circuit.openedAt < shiprocketConfig.circuitCooldownMs;
+  return {
+    state: open ? 'open' : (circuit.openedAt ? 'half-open' : 'closed'),
+    consecutiveFailures: circuit.failures,
+    tokenExpiresAt: tokenExpiresAt ? new Date(tokenExpiresAt) : null,
+  };
+}
 
 export async function loginToShiprocket() {
-  const response = await axios.post(`${shiprocketConfig.baseUrl}/auth/login`, {
-    email: shiprocketConfig.apiKey,
-    password: shiprocketConfig.apiSecret,
-  });
-  shiprocketToken = response.data.token;
-  return shiprocketToken;
+  // Concurrent callers share one login
+  if (!loginPromise) {
+    loginPromise = http.post('/auth/login', {
+      email: shiprocketConfig.apiKey,
+      password: shiprocketConfig.apiSecret,
+    }).then(response => {
+      shiprocketToken = response.data.token;
+      tokenExpiresAt = getTokenExpiry(shiprocketToken);
+      return shiprocketToken;
+    }).finally(() => {
+      loginPromise = null;
+    });
+  }
+  return loginPromise;
 }
 
 async function ensureToken() {
-  if (!shiprocketToken) {
+  if (!shiprocketToken || Date.now() >= tokenExpiresAt - TOKEN_REFRESH_MARGIN_MS) {
     await loginToShiprocket();
   }
   return shiprocketToken;
 }
 
-export async function createShiprocketOrder(orderData) {
-  await ensureToken();
-  const response = await axios.post(
-    `${shiprocketConfig.baseUrl}/orders/create/adhoc`,
-    orderData,
-    {
-      headers: { Authorization: `Bearer ${shiprocketToken}` },
-    }
-  );
-  return response.data;
-}
-
-export async function getShiprocketTracking(shipmentId) {
-  await ensureToken();
-  const response = await axios.get(
-    `${shiprocketConfig.baseUrl}/courier/track?shipment_id=${shipmentId}`,
-    {
-      headers: { Authorization: `Bearer ${shiprocketToken}` },
-    }
-  );
-  return response.data;
-}
+/**
+ * Call the Shiprocket API with a valid token. A 401 logs in again and repeats the call once;
+ * retryable failures are retried with exponential backoff.
+ * @param {Object} config - axios request config
+ * @param {Object} options - { retries } to override the configured number of retries,
+ *   { idempotent } for writes that are safe to repeat
+ */
+async function shiprocketRequest(config, { retries = shiprocketConfig.maxRetries, idempotent = false } = {}) {
+  checkCircuit();
 
-export async function updateShiprocketOrderStatuses() {
-  const orders = await Order.find({ shiprocketShipmentId: { $ne: null }, status: { $nin: ['delivered', 'cancelled', 'refunded'] } });
-  for (const order of orders) {
+  let reauthenticated = false;
+  for (let attempt = 0; ; attempt++) {
     try {
-      const tracking = await getShiprocketTracking(order.shiprocketShipmentId);
-      if (tracking && tracking.current_status) {
-        let newStatus = order.status;
-        switch (tracking.current_status.toLowerCase()) {
-          case 'delivered':
-            newStatus = 'delivered';
-            break;
-          case 'shipped':
-            newStatus = 'shipped';
-            break;
-          case 'cancelled':
-            newStatus = 'cancelled';
-            break;
-          case 'returned':
-            newStatus = 'refunded';
-            break;
-          case 'in transit':
-          case 'out for delivery':
-            newStatus = 'processing';
-            break;
-        }
-        if (newStatus !== order.status) {
-          order.status = newStatus;
-          await order.save();
-        }
-      }
+      const token = await ensureToken();
+      const response = await http.request({
+        ...config,
+        headers: { ...config.headers, Authorization: `Bearer ${token}` },
+      });
+      recordSuccess();
+      return response.data;
     } catch (err) {
-      console.error(`Failed to update tracking for order ${order._id}:`, err?.response?.data || err.message);
+      if (err.response?.status === 401 && !reauthenticated) {
+        reauthenticated = true;
+        shiprocketToken = null;
+        attempt--;
+        continue;
+      }
+      const retryable = isRetryable(err, { method: config.method, idempotent });
+      if (!retryable && err.response && err.response.status < 500) {
+        // Shiprocket answered; the request itself was refused
+        recordSuccess();
+        throw err;
+      }
+      if (!retryable || attempt >= retries) {
+        recordFailure();
+        throw err;
+      }
+      const delay = RETRY_BASE_DELAY_MS * 2 ** attempt + Math.floor(Math.random() * 100);
+      console.warn(`[Shiprocket] ${config.method.toUpperCase()} ${config.url} failed (${err.response?.status || err.code || err.message}), retrying in ${delay}ms`);
+      await sleep(delay);
     }
   }
 }
 
+export async function createShiprocketOrder(orderData, options) {
+  return shiprocketRequest({ method: 'post', url: '/orders/create/adhoc', data: orderData }, options);
+}
+
+// Shiprocket's order for one of our orders, found by the order_id we pushed it with
+export async function findShiprocketOrderByChannelId(channelOrderId) {
+  const response = await shiprocketRequest({ method: 'get', url: '/orders', params: { search: channelOrderId } });
+  return (response?.data || []).find(order => String(order.channel_order_id) === String(channelOrderId)) || null;
+}
+
+// Replace an order's details in Shiprocket; only works before an AWB is assigned
+export async function updateShiprocketOrder(orderData) {
+  return shiprocketRequest({ method: 'post', url: '/orders/update/adhoc', data: orderData }, { idempotent: true });
+}
+
+export async function cancelShiprocketOrders(orderIds) {
+  return shiprocketRequest({ method: 'post', url: '/orders/cancel', data: { ids: orderIds.map(Number) } }, { idempotent: true });
+}
+
+export async function getShiprocketTracking(shipmentId) {
+  return shiprocketRequest({ method: 'get', url: '/courier/track', params: { shipment_id: shipmentId } });
+}
+
 export async function checkCourierServiceability({ pickup_postcode, delivery_postcode, cod = 0, weight = 1 }) {
-  await ensureToken();
-  const response = await axios.get(
-    `${shiprocketConfig.baseUrl}/courier/serviceability/`,
-    {
-      params: {
-        pickup_postcode,
-        delivery_postcode,
-        cod,
-        weight
-      },
-      headers: { Authorization: `Bearer ${shiprocketToken}` },
-    }
-  );
-  return response.data;
-} 
\ No newline at end of file
+  return shiprocketRequest({
+    method: 'get',
+    url: '/courier/serviceability/',
+    params: {
+      pickup_postcode,
+      delivery_postcode,
+      cod,
+      weight
+    },
+  });
+}
+
+// Readable message from a failed Shiprocket call
+export function getShiprocketErrorMessage(err) {
+  const data = err?.response?.data;
+  if (data?.message) return data.message;
+  if (data?.errors) return Object.values(data.errors).flat().join(', ');
+  return err?.message || 'Shiprocket request failed';
+}
+
+export async function assignShiprocketAwb(shipmentId, courierId, { isReturn = false } = {}) {
+  return shiprocketRequest({
+    method: 'post',
+    url: '/courier/assign/awb',
+    data: {
+      shipment_id: shipmentId,
+      ...(courierId ? { courier_id: courierId } : {}),
+      ...(isReturn ? { is_return: 1 } : {}),
+    },
+  });
+}
+
+// Reverse pickup: the courier collects from the customer and delivers to our warehouse
+export async function createShiprocketReturn(returnData) {
+  return shiprocketRequest({ method: 'post', url: '/orders/create/return', data: returnData });
+}
+
+export async function generateShiprocketPickup(shipmentIds) {
+  return shiprocketRequest({ method: 'post', url: '/courier/generate/pickup', data: { shipment_id: shipmentIds } });
+}
+
+export async function generateShiprocketLabel(shipmentIds) {
+  return shiprocketRequest({ method: 'post', url: '/courier/generate/label', data: { shipment_id: shipmentIds } }, { idempotent: true });
+}
+
+export async function generateShiprocketManifest(shipmentIds) {
+  return shiprocketRequest({ method: 'post', url: '/manifests/generate', data: { shipment_id: shipmentIds } });
+}
+
+// Manifests can only be generated once; after that they are re-printed by Shiprocket order ID
+export async function printShiprocketManifest(orderIds) {
+  return shiprocketRequest({ method: 'post', url: '/manifests/print', data: { order_ids: orderIds } }, { idempotent: true });
+}
+
+// Label and manifest PDFs are hosted by Shiprocket; fetch one so it can be sent straight to the admin
+export async function downloadShiprocketDocument(url) {
+  const response = await axios.get(url, { responseType: 'arraybuffer', timeout: shiprocketConfig.timeoutMs });
+  return Buffer.from(response.data);
+}